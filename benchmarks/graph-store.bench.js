@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * GraphStore benchmark
+ * Compares the indexed GraphStore against the previous array-scan graph
+ * (filter-rebuild on every add, linear hasEdge) on the server's hot paths.
+ *
+ * Usage: npm run bench
+ */
+
+const GraphStore = require('../src/graph-store');
+
+// The array implementation SwarmVisualizationServer used before GraphStore
+class ArrayGraph {
+  constructor() {
+    this.nodes = [];
+    this.edges = [];
+  }
+
+  addNode(node) {
+    this.nodes = this.nodes.filter(n => n.id !== node.id);
+    this.nodes.push(node);
+  }
+
+  addEdge(edge) {
+    this.edges = this.edges.filter(e => e.id !== edge.id);
+    this.edges.push(edge);
+  }
+
+  updateNode(id, updates) {
+    const node = this.nodes.find(n => n.id === id);
+    if (node) Object.assign(node, updates);
+  }
+
+  hasEdge(from, to) {
+    return this.edges.some(e =>
+      (e.from === from && e.to === to) ||
+      (e.from === to && e.to === from)
+    );
+  }
+
+  findTriangles() {
+    const adjacency = {};
+    for (const edge of this.edges) {
+      if (!adjacency[edge.from]) adjacency[edge.from] = [];
+      if (!adjacency[edge.to]) adjacency[edge.to] = [];
+      adjacency[edge.from].push(edge.to);
+      adjacency[edge.to].push(edge.from);
+    }
+
+    let count = 0;
+    for (const node of this.nodes) {
+      const neighbors = adjacency[node.id] || [];
+      for (let i = 0; i < neighbors.length; i++) {
+        for (let j = i + 1; j < neighbors.length; j++) {
+          if (this.hasEdge(neighbors[i], neighbors[j])) count++;
+        }
+      }
+    }
+    return count / 3;
+  }
+}
+
+// Deterministic swarm-shaped workload: agents executing tasks and collaborating
+function buildWorkload(size) {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  const pick = (prefix, count) => `${prefix}_${Math.floor(random() * count)}`;
+
+  const agents = Math.max(5, Math.floor(size / 20));
+  const ops = [];
+
+  for (let i = 0; i < size; i++) {
+    const taskId = `task_${i}`;
+    ops.push({ op: 'addNode', node: { id: taskId, type: 'Task', status: 'pending' } });
+    if (i < agents) {
+      ops.push({ op: 'addNode', node: { id: `agent_${i}`, type: 'Agent', status: 'active' } });
+    }
+
+    const agentId = pick('agent', agents);
+    ops.push({ op: 'addEdge', edge: { id: `${agentId}_EXECUTES_${taskId}`, type: 'EXECUTES', from: agentId, to: taskId } });
+    ops.push({ op: 'updateNode', id: taskId, updates: { status: 'executing', progress: 50 } });
+
+    const other = pick('agent', agents);
+    if (random() < 0.3 && other !== agentId) {
+      ops.push({ op: 'addEdge', edge: { id: `${agentId}_COLLABORATES_${other}`, type: 'COLLABORATES', from: agentId, to: other } });
+    }
+  }
+
+  return ops;
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  return { ms, result };
+}
+
+function run(GraphClass, ops) {
+  const graph = new GraphClass();
+
+  const ingest = time(() => {
+    for (const op of ops) {
+      if (op.op === 'addNode') graph.addNode(op.node);
+      else if (op.op === 'addEdge') graph.addEdge(op.edge);
+      else graph.updateNode(op.id, op.updates);
+    }
+  });
+
+  const triangles = time(() => graph.findTriangles());
+
+  return { ingest: ingest.ms, triangles: triangles.ms, triangleCount: triangles.result };
+}
+
+function main() {
+  const sizes = (process.argv[2] || '500,1000,2000').split(',').map(Number);
+  const rows = [];
+
+  for (const size of sizes) {
+    const ops = buildWorkload(size);
+    const legacy = run(ArrayGraph, ops);
+    const indexed = run(GraphStore, ops);
+
+    rows.push({
+      tasks: size,
+      events: ops.length,
+      'array ingest ms': legacy.ingest.toFixed(1),
+      'store ingest ms': indexed.ingest.toFixed(1),
+      'ingest speedup': `${(legacy.ingest / indexed.ingest).toFixed(1)}x`,
+      'array triangles ms': legacy.triangles.toFixed(1),
+      'store triangles ms': indexed.triangles.toFixed(1),
+      'triangles speedup': `${(legacy.triangles / indexed.triangles).toFixed(1)}x`,
+      // The array version counts parallel edges (A→B and B→A) as extra triangles
+      'triangles (array/store)': `${Math.round(legacy.triangleCount)}/${indexed.triangleCount}`
+    });
+  }
+
+  console.log('📊 GraphStore vs array graph');
+  console.table(rows);
+}
+
+main();
@@ -8,7 +8,10 @@ const WebSocket = require('ws');
 console.log('🔍 Debug Client - Testing Visualization WebSocket');
 console.log('=' .repeat(60));
 
-const ws = new WebSocket('ws://localhost:8080');
+// wsUrl from the server's /api/client-config; the token is needed when it has token auth enabled
+const url = process.env.SWARM_VIS_WS_URL || 'ws://localhost:8080';
+const token = process.env.SWARM_VIS_TOKEN;
+const ws = new WebSocket(`${url}${token ? `?token=${encodeURIComponent(token)}` : ''}`);
 
 ws.on('open', () => {
     console.log('✅ Connected to WebSocket server');
@@ -20,6 +23,10 @@ ws.on('message', (data) => {
         console.log('📥 Received message:');
         console.log(`   Type: ${message.type}`);
 
+        if (message.type === 'frame') {
+            console.log(`   🎞️  ${message.messages.length} batched: ${message.messages.map(inner => inner.type).join(', ')}`);
+        }
+
         if (message.type === 'initial') {
             console.log(`   📊 Nodes: ${message.data.nodes?.length || 0}`);
             console.log(`   🔗 Edges: ${message.data.edges?.length || 0}`);
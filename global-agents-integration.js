@@ -14,10 +14,13 @@ class GlobalAgentsIntegration extends EventEmitter {
     this.configPath = options.configPath || path.join(process.env.HOME, '.claude-flow/agents');
     this.logPath = options.logPath || path.join(process.env.HOME, '.claude-flow/logs');
     this.pollInterval = options.pollInterval || 5000; // 5 seconds
+    this.simulate = options.simulate !== false;      // Off: show the agents, but no simulated activity
 
     this.globalAgents = new Map();
     this.agentMetrics = new Map();
     this.isRunning = false;
+    this.stopped = false;          // Set by stopMonitoring(), possibly before init() finishes
+    this.timers = new Set();       // Pending simulated follow-ups, cancelled on stop
 
     this.init();
   }
@@ -28,7 +31,12 @@ class GlobalAgentsIntegration extends EventEmitter {
     try {
       await this.loadAgentConfigurations();
       await this.setupVisualizationNodes();
-      this.startMonitoring();
+      if (this.stopped) return;
+      if (this.simulate) {
+        this.startMonitoring();
+      } else {
+        console.log('⏸️  Agent simulation disabled');
+      }
 
       console.log('✅ Global Agents Integration ready');
     } catch (error) {
@@ -190,7 +198,10 @@ class GlobalAgentsIntegration extends EventEmitter {
     this.monitorInterval = setInterval(() => {
       // Only simulate activity if clients are connected
       if (this.server.clients.size > 0) {
-        this.updateAgentStatuses();
+        this.updateAgentStatuses().catch(error => {
+          // e.g. simulated activity rejected by strict schema validation
+          console.error('Error updating global agents:', error.message);
+        });
         this.updateMetrics();
         this.broadcastUpdates();
       } else {
@@ -203,6 +214,9 @@ class GlobalAgentsIntegration extends EventEmitter {
   }
 
   stopMonitoring() {
+    this.stopped = true;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
     if (!this.isRunning) return;
 
     this.isRunning = false;
@@ -212,6 +226,14 @@ class GlobalAgentsIntegration extends EventEmitter {
     console.log('⏹️  Stopped global agents monitoring');
   }
 
+  later(callback, delay) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delay);
+    this.timers.add(timer);
+  }
+
   async updateAgentStatuses() {
     // Simulate realistic agent work scenarios
     for (const [agentId, agent] of this.globalAgents) {
@@ -395,9 +417,8 @@ class GlobalAgentsIntegration extends EventEmitter {
       console.log(`🤝 ${agent1[1].config.name} collaborating with ${agent2[1].config.name}`);
 
       // Remove collaboration edge after 3 seconds
-      setTimeout(() => {
-        this.server.graph.edges = this.server.graph.edges.filter(e => e.id !== collabId);
-        this.server.broadcast('edge:removed', { id: collabId });
+      this.later(() => {
+        this.server.removeEdge(collabId, { reason: 'expired' });
       }, 3000);
     }
   }
@@ -470,7 +491,7 @@ class GlobalAgentsIntegration extends EventEmitter {
     console.log(`📊 ${agent.config.name} performing analysis`);
 
     // Complete analysis after 5 seconds
-    setTimeout(() => {
+    this.later(() => {
       this.server.updateNode(analysisId, {
         status: 'completed',
         progress: 100
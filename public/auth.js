@@ -0,0 +1,85 @@
+/**
+ * Token Auth for the browser clients
+ * Prompts for the server's bearer token when it requires one, keeps it in
+ * localStorage and adds it to API requests and WebSocket URLs.
+ */
+
+class SwarmAuth {
+  constructor(storageKey = 'swarm-viz-token') {
+    this.storageKey = storageKey;
+    this.basePath = '';
+    this.required = true;
+  }
+
+  // Apply the server's client config (see client-config.js)
+  configure({ basePath = '', auth = {} } = {}) {
+    this.basePath = basePath;
+    this.required = auth.mode !== 'none';
+  }
+
+  get token() {
+    return localStorage.getItem(this.storageKey);
+  }
+
+  set token(value) {
+    if (value) {
+      localStorage.setItem(this.storageKey, value);
+    } else {
+      localStorage.removeItem(this.storageKey);
+    }
+  }
+
+  // Browsers cannot set headers on a WebSocket upgrade, so the token rides in the query
+  withToken(url) {
+    if (!this.token) return url;
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}token=${encodeURIComponent(this.token)}`;
+  }
+
+  headers(headers = {}) {
+    return this.token ? { ...headers, Authorization: `Bearer ${this.token}` } : headers;
+  }
+
+  // fetch() with the token; a 401 asks for a new one and retries once
+  fetch(url, options = {}) {
+    const request = () => fetch(url, { ...options, headers: this.headers(options.headers) });
+
+    return request().then(response => {
+      if (response.status !== 401 || !this.login('The server rejected the stored token.')) {
+        return response;
+      }
+      return request();
+    });
+  }
+
+  login(reason = '') {
+    const token = window.prompt(`${reason} Enter the access token for this swarm visualization server:`.trim());
+    if (token === null) return false;
+
+    this.token = token.trim();
+    return !!this.token;
+  }
+
+  /**
+   * Resolves once the server accepts our token (or needs none). Network errors
+   * resolve too; the caller's reconnect loop retries later.
+   */
+  ensure() {
+    if (!this.required) return Promise.resolve(true);
+
+    return fetch(`${this.basePath}/api/auth`, { headers: this.headers() })
+      .then(response => {
+        if (response.status !== 401) return true;
+        const reason = this.token ? 'The stored token was rejected.' : 'This server requires a token.';
+        return this.login(reason) ? this.ensure() : false;
+      })
+      .catch(() => true);
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SwarmAuth };
+} else {
+  window.SwarmAuth = SwarmAuth;
+}
@@ -0,0 +1,33 @@
+/**
+ * Client config for the browser clients
+ * Asks the server where its API and WebSocket live (GET api/client-config,
+ * relative to the page so it works under any base path) instead of assuming
+ * the page's own host and port.
+ */
+
+class SwarmClientConfig {
+  // Used when the server can't be asked: same origin, served from the page's directory
+  static fallback() {
+    const basePath = window.location.pathname.replace(/\/[^/]*$/, '');
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return {
+      basePath,
+      wsUrl: `${protocol}//${window.location.host}${basePath}/`,
+      auth: { mode: 'token' },
+      features: {}
+    };
+  }
+
+  static load() {
+    return fetch('api/client-config')
+      .then(response => (response.ok ? response.json() : SwarmClientConfig.fallback()))
+      .catch(() => SwarmClientConfig.fallback());
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SwarmClientConfig };
+} else {
+  window.SwarmClientConfig = SwarmClientConfig;
+}
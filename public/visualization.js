@@ -9,6 +9,27 @@ class SwarmVisualization {
         this.edges = new vis.DataSet();
         this.network = null;
         this.ws = null;
+        // Where the server's API and WebSocket are; replaced by GET api/client-config on init
+        this.clientConfig = SwarmClientConfig.fallback();
+        // Bearer token, prompted for when the server requires one
+        this.auth = new SwarmAuth();
+        // Last broadcast seq applied, so a reconnect can resume instead of reloading
+        this.lastSeq = null;
+        this.serverEpoch = null;
+        // Server-side filters, seeded from the page URL (e.g. ?swarmId=swarm_1&nodeTypes=Agent,Task)
+        this.subscriptionFilters = this.readSubscriptionFilters(window.location.search);
+        // Named session (?session=id) whose graph this page shows; null for the default one
+        this.session = new URLSearchParams(window.location.search).get('session');
+        this.sessionDeleted = false;
+        // Outstanding commands by correlation id
+        this.pendingCommands = new Map();
+        this.commandCounter = 0;
+        // Original styles of highlighted critical path items, to restore on toggle off
+        this.criticalPathHighlight = null;
+        // Active bottlenecks by node id, badged in the graph and sidebar
+        this.bottlenecks = new Map();
+        // Bumped whenever the DataSets are reset, so fades started before then don't remove re-added items
+        this.graphGeneration = 0;
         this.selectedNode = null;
         this.physicsEnabled = true;
         this.currentLayout = 'hierarchical';
@@ -44,7 +65,13 @@ class SwarmVisualization {
 
     init() {
         this.setupNetwork();
-        this.connectWebSocket();
+        SwarmClientConfig.load()
+            .then(config => {
+                this.clientConfig = config;
+                this.auth.configure(config);
+                return this.auth.ensure();
+            })
+            .then(allowed => allowed && this.connectWebSocket());
         this.setupEventListeners();
     }
 
@@ -167,21 +194,40 @@ class SwarmVisualization {
     }
 
     connectWebSocket() {
-        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        const wsUrl = `${protocol}//${window.location.hostname}:8080`;
+        const resuming = this.lastSeq !== null;
+        const query = new URLSearchParams();
+        Object.entries(this.subscriptionFilters).forEach(([key, value]) => {
+            query.set(key, Array.isArray(value) ? value.join(',') : value);
+        });
+        if (resuming) query.set('resume', '1');
+        if (this.session) query.set('session', this.session);
+        if (this.auth.token) query.set('token', this.auth.token);
+        const wsUrl = `${this.clientConfig.wsUrl}${query.toString() ? `?${query}` : ''}`;
 
         this.ws = new WebSocket(wsUrl);
+        let opened = false;
 
         this.ws.onopen = () => {
+            opened = true;
             console.log('Connected to visualization server');
             this.updateConnectionStatus(true);
+
+            if (resuming) {
+                this.ws.send(JSON.stringify({
+                    type: 'resume',
+                    lastSeq: this.lastSeq,
+                    epoch: this.serverEpoch
+                }));
+            }
         };
 
         this.ws.onclose = () => {
             console.log('Disconnected from visualization server');
             this.updateConnectionStatus(false);
-            // Attempt reconnection after 3 seconds
-            setTimeout(() => this.connectWebSocket(), 3000);
+            if (this.sessionDeleted) return;
+            // Attempt reconnection after 3 seconds; a refused upgrade may mean the token was rejected
+            const ready = opened ? Promise.resolve(true) : this.auth.ensure();
+            ready.then(allowed => allowed && setTimeout(() => this.connectWebSocket(), 3000));
         };
 
         this.ws.onerror = (error) => {
@@ -189,15 +235,203 @@ class SwarmVisualization {
         };
 
         this.ws.onmessage = (event) => {
-            const message = JSON.parse(event.data);
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.error('Ignoring malformed message:', error);
+                return;
+            }
             this.handleMessage(message);
         };
     }
 
+    // Session-scoped equivalent of an /api path, under the server's base path
+    apiUrl(path) {
+        const scoped = this.session ? path.replace(/^\/api\//, `/api/sessions/${encodeURIComponent(this.session)}/`) : path;
+        return `${this.clientConfig.basePath}${scoped}`;
+    }
+
+    readSubscriptionFilters(search) {
+        const params = new URLSearchParams(search);
+        const filters = {};
+        ['nodeTypes', 'edgeTypes', 'status'].forEach(key => {
+            if (params.has(key)) filters[key] = params.get(key).split(',').filter(Boolean);
+        });
+        ['swarmId', 'workspace'].forEach(key => {
+            if (params.has(key)) filters[key] = params.get(key);
+        });
+        return filters;
+    }
+
+    subscribe(filters, replace = true) {
+        this.subscriptionFilters = replace ? { ...filters } : { ...this.subscriptionFilters, ...filters };
+
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({ type: 'subscribe', filters, replace }));
+        }
+    }
+
+    sendCommand(command, params = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+                reject(new Error('Not connected to visualization server'));
+                return;
+            }
+
+            const id = `cmd_${Date.now()}_${++this.commandCounter}`;
+            this.pendingCommands.set(id, { resolve, reject });
+            this.ws.send(JSON.stringify({ type: 'command', id, command, params }));
+        });
+    }
+
+    handleCommandResponse(message) {
+        const pending = this.pendingCommands.get(message.data.id);
+        if (!pending || message.type === 'command:ack') return;
+
+        this.pendingCommands.delete(message.data.id);
+        if (message.type === 'command:result') {
+            pending.resolve(message.data.result);
+        } else {
+            pending.reject(new Error(message.data.error.message));
+        }
+    }
+
+    togglePin(nodeId) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return;
+
+        const pinned = !(node.data && node.data.pinned);
+        const position = this.network.getPositions([nodeId])[nodeId] || {};
+        const command = pinned ? 'node:pin' : 'node:unpin';
+
+        this.sendCommand(command, { id: nodeId, x: position.x, y: position.y })
+            .then(() => this.logActivity('system', `${pinned ? '📌 Pinned' : 'Unpinned'} ${node.label}`))
+            .catch(error => console.error(`${command} failed:`, error));
+    }
+
+    toggleCriticalPath() {
+        if (this.criticalPathHighlight) {
+            this.clearCriticalPath();
+            return Promise.resolve();
+        }
+
+        return this.auth.fetch(this.apiUrl('/api/analysis/critical-path'))
+            .then(response => response.json())
+            .then(path => {
+                this.highlightCriticalPath(path);
+                const minutes = Math.round(path.duration / 60);
+                this.logActivity('analysis', path.nodes.length > 0
+                    ? `🛤️ Critical path: ${path.steps.length} steps, ~${minutes} min remaining`
+                    : '🛤️ No critical path (no outstanding tasks)');
+            })
+            .catch(error => console.error('Critical path request failed:', error));
+    }
+
+    highlightCriticalPath(path) {
+        const nodeIds = new Set(path.nodes);
+        const edgeKeys = new Set(path.edges.map(edge => `${edge.from}|${edge.type}|${edge.to}`));
+
+        // Broadcast edges may lack server ids, so match on endpoints and type
+        const nodes = this.nodes.get({ filter: node => nodeIds.has(node.id) });
+        const edges = this.edges.get({
+            filter: edge => edgeKeys.has(`${edge.from}|${edge.data && edge.data.type}|${edge.to}`)
+        });
+
+        this.criticalPathHighlight = {
+            nodes: nodes.map(node => ({ id: node.id, color: node.color, borderWidth: node.borderWidth })),
+            edges: edges.map(edge => ({ id: edge.id, color: edge.color, width: edge.width }))
+        };
+
+        this.nodes.update(nodes.map(node => ({
+            id: node.id,
+            borderWidth: 5,
+            color: { background: typeof node.color === 'string' ? node.color : node.color.background, border: '#E74C3C' }
+        })));
+        this.edges.update(edges.map(edge => ({ id: edge.id, color: { color: '#E74C3C' }, width: 5 })));
+    }
+
+    clearCriticalPath() {
+        const { nodes, edges } = this.criticalPathHighlight;
+        this.criticalPathHighlight = null;
+
+        this.nodes.update(nodes.filter(node => this.nodes.get(node.id)));
+        this.edges.update(edges.filter(edge => this.edges.get(edge.id)));
+    }
+
+    loadBottlenecks() {
+        return this.auth.fetch(this.apiUrl('/api/analysis/bottlenecks'))
+            .then(response => response.json())
+            .then(report => {
+                const badged = Array.from(this.bottlenecks.keys());
+                this.bottlenecks.clear();
+                report.bottlenecks.forEach(bottleneck => this.setBottleneck(bottleneck, true, false));
+                this.refreshBadges([...badged, ...this.bottlenecks.keys()]);
+            })
+            .catch(error => console.error('Bottleneck report request failed:', error));
+    }
+
+    setBottleneck(bottleneck, active, refresh = true) {
+        const current = (this.bottlenecks.get(bottleneck.nodeId) || []).filter(b => b.key !== bottleneck.key);
+        if (active) current.push(bottleneck);
+
+        if (current.length > 0) {
+            this.bottlenecks.set(bottleneck.nodeId, current);
+        } else {
+            this.bottlenecks.delete(bottleneck.nodeId);
+        }
+
+        if (refresh) this.refreshBadges([bottleneck.nodeId]);
+    }
+
+    refreshBadges(nodeIds) {
+        new Set(nodeIds).forEach(nodeId => {
+            const node = this.nodes.get(nodeId);
+            if (node && node.data) this.nodes.update(this.createVisNode(node.data));
+        });
+        this.updateSidebar();
+    }
+
     handleMessage(message) {
+        if (message.seq !== undefined) {
+            this.lastSeq = message.seq;
+        }
+
         switch (message.type) {
+            case 'frame':
+                // Broadcasts batched by the server, in order; one bad message must not lose the rest
+                (message.messages || []).forEach(inner => {
+                    try {
+                        this.handleMessage(inner);
+                    } catch (error) {
+                        console.error(`Failed to apply ${inner && inner.type} message:`, error);
+                    }
+                });
+                break;
             case 'initial':
+                if (message.snapshot) console.log('🐢 Connection fell behind - refreshed from a server snapshot');
+                this.serverEpoch = message.epoch;
                 this.loadInitialGraph(message.data);
+                this.loadBottlenecks();
+                break;
+            case 'bottleneck:detected':
+                this.setBottleneck(message.data, true);
+                this.logActivity('system', `🚧 Bottleneck: ${message.data.message}`);
+                break;
+            case 'bottleneck:resolved':
+                this.setBottleneck(message.data, false);
+                this.logActivity('system', `✅ Bottleneck resolved: ${message.data.message}`);
+                break;
+            case 'command:ack':
+            case 'command:result':
+            case 'command:error':
+                this.handleCommandResponse(message);
+                break;
+            case 'subscribed':
+                console.log('🔎 Subscription updated:', message.data.filters);
+                break;
+            case 'resume:ok':
+                console.log(`🔄 Resumed from seq ${message.data.fromSeq}, replaying ${message.data.count} missed updates`);
                 break;
             case 'node:added':
                 this.addNode(message.data);
@@ -208,6 +442,9 @@ class SwarmVisualization {
             case 'edge:added':
                 this.addEdge(message.data);
                 break;
+            case 'edge:updated':
+                this.updateEdge(message.data);
+                break;
             case 'file:modified':
                 this.handleFileModification(message.data);
                 break;
@@ -220,8 +457,11 @@ class SwarmVisualization {
             case 'agent:status_changed':
                 this.handleAgentStatusChange(message.data);
                 break;
+            case 'node:removed':
+                this.removeNodes(message.data.ids, message.data.reason);
+                break;
             case 'edge:removed':
-                this.removeEdge(message.data.id);
+                this.removeEdges(message.data.ids);
                 break;
             case 'analysis:completed':
                 this.handleAnalysisCompletion(message.data);
@@ -229,6 +469,23 @@ class SwarmVisualization {
             case 'gc:cleanup':
                 this.handleGarbageCollection(message.data);
                 break;
+            case 'session:deleted':
+                this.sessionDeleted = true;
+                this.logActivity('system', `🗂️ Session ${message.data.id} was deleted`);
+                break;
+            case 'graph:cleared':
+                // A replacing import follows with node:added/edge:added
+                this.criticalPathHighlight = null;
+                this.bottlenecks.clear();
+                Object.keys(this.pulseIntervals || {}).forEach(nodeId => this.removePulsingEffect(nodeId));
+                this.graphGeneration++;
+                this.nodes.clear();
+                this.edges.clear();
+                this.logActivity('system', `🧹 Graph cleared (${message.data.reason})`);
+                break;
+            case 'validation:error':
+                this.logActivity('system', `⚠️ Schema violation on ${message.data.type} ${message.data.id}: ${message.data.errors.join('; ')}`);
+                break;
             default:
                 console.log('Unknown message type:', message.type);
         }
@@ -241,6 +498,7 @@ class SwarmVisualization {
         console.log(`📊 Nodes: ${data.nodes?.length || 0}, Edges: ${data.edges?.length || 0}`);
 
         // Clear existing data
+        this.graphGeneration++;
         this.nodes.clear();
         this.edges.clear();
 
@@ -332,6 +590,19 @@ class SwarmVisualization {
         if (nodeData.borderWidth) visNode.borderWidth = nodeData.borderWidth;
         if (nodeData.borderColor) visNode.borderColor = nodeData.borderColor;
 
+        // Pinned nodes stay where they were put, for everyone
+        visNode.fixed = !!nodeData.pinned;
+        if (nodeData.pinned && nodeData.x !== undefined) visNode.x = nodeData.x;
+        if (nodeData.pinned && nodeData.y !== undefined) visNode.y = nodeData.y;
+
+        const bottlenecks = this.bottlenecks.get(nodeData.id);
+        if (bottlenecks && bottlenecks.length > 0) {
+            visNode.label = `⚠️ ${visNode.label}`;
+            visNode.borderWidth = 4;
+            visNode.color = { background: visNode.color, border: '#E67E22' };
+            visNode.title += bottlenecks.map(bottleneck => `<div style="padding: 0 10px 10px;">🚧 ${bottleneck.message}</div>`).join('');
+        }
+
         console.log('✅ Created vis node:', visNode);
         return visNode;
     }
@@ -346,7 +617,8 @@ class SwarmVisualization {
         });
 
         const visEdge = {
-            id: edgeData.id,
+            // The server's id, so edge:removed can find it; older payloads lack one
+            id: edgeData.id || `${edgeData.from}_${edgeData.type}_${edgeData.to}`,
             from: edgeData.from,
             to: edgeData.to,
             label: edgeData.label || edgeData.type,
@@ -391,6 +663,7 @@ class SwarmVisualization {
             IMPLEMENTS: '#3498DB',
             MODIFIES: '#E74C3C',
             DEPENDS_ON: '#9B59B6',
+            SUBTASK_OF: '#F39C12',
             STORES: '#34495E',
             LINKS_TO: '#2C3E50',
             COORDINATES_WITH: '#ff6b35',
@@ -408,6 +681,7 @@ class SwarmVisualization {
             IMPLEMENTS: 2,
             MODIFIES: 2,
             DEPENDS_ON: 2,
+            SUBTASK_OF: 1,
             STORES: 1,
             LINKS_TO: 1,
             COORDINATES_WITH: 3,
@@ -427,7 +701,8 @@ class SwarmVisualization {
 
     addNode(nodeData) {
         const visNode = this.createVisNode(nodeData);
-        this.nodes.add(visNode);
+        // An upsert, so a repeated node:added does not throw on the duplicate id
+        this.nodes.update(visNode);
         this.updateSidebar();
 
         // Create detailed log message based on node type
@@ -476,9 +751,16 @@ class SwarmVisualization {
         }
     }
 
+    updateEdge(edgeData) {
+        const existing = this.edges.get(edgeData.id);
+        if (existing) {
+            this.edges.update({ ...existing, ...this.createVisEdge(edgeData) });
+        }
+    }
+
     addEdge(edgeData) {
         const visEdge = this.createVisEdge(edgeData);
-        this.edges.add(visEdge);
+        this.edges.update(visEdge);
 
         // Log edge creation with context
         const fromNode = this.nodes.get(edgeData.from);
@@ -604,10 +886,14 @@ class SwarmVisualization {
             html += `<li style="font-weight: bold; margin-top: 10px;">${type}s</li>`;
             typeNodes.forEach(node => {
                 const status = node.data?.status || 'unknown';
+                const bottlenecks = this.bottlenecks.get(node.id) || [];
+                const badge = bottlenecks.length > 0
+                    ? `<span class="bottleneck-badge" title="${bottlenecks.map(b => b.message).join('\n')}">🚧</span>`
+                    : '';
                 html += `
                     <li class="node-item" onclick="swarmVis.selectNode('${node.id}')">
                         <span class="status-indicator status-${status}"></span>
-                        ${node.label}
+                        ${node.label}${badge}
                     </li>
                 `;
             });
@@ -1034,13 +1320,38 @@ class SwarmVisualization {
         }
     }
 
-    removeEdge(edgeId) {
-        console.log(`🗑️ Removing edge: ${edgeId}`);
-        try {
-            this.edges.remove(edgeId);
-        } catch (error) {
-            console.warn('Edge not found for removal:', edgeId);
-        }
+    removeNodes(ids, reason) {
+        const present = ids.filter(id => this.nodes.get(id));
+        if (present.length === 0) return;
+
+        present.forEach(id => {
+            this.removePulsingEffect(id);
+            this.bottlenecks.delete(id);
+            if (this.selectedNode === id) this.selectedNode = null;
+        });
+
+        this.fadeOut(this.nodes, present.map(id => ({ id, opacity: 0.15 })));
+        this.logActivity('system', `🗑️ Removed ${present.length} node${present.length === 1 ? '' : 's'}${reason ? ` (${reason})` : ''}`);
+    }
+
+    removeEdges(ids) {
+        const present = ids.filter(id => this.edges.get(id));
+        console.log(`🗑️ Removing ${present.length} edges`);
+        this.fadeOut(this.edges, present.map(id => ({ id, color: { opacity: 0.15 } })));
+    }
+
+    fadeOut(dataSet, dimmed) {
+        if (dimmed.length === 0) return;
+
+        // Dim first, then drop once the fade has shown
+        const generation = this.graphGeneration;
+        dataSet.update(dimmed);
+        setTimeout(() => {
+            if (generation !== this.graphGeneration) return;
+            dataSet.remove(dimmed.map(item => item.id).filter(id => dataSet.get(id)));
+            this.updateSidebar();
+            this.updateMetrics();
+        }, 600);
     }
 
     handleAnalysisCompletion(data) {
@@ -1070,9 +1381,11 @@ class SwarmVisualization {
     handleGarbageCollection(data) {
         console.log(`🗑️ Garbage collection: ${data.removedNodes} nodes, ${data.removedEdges} edges removed`);
 
-        // Log the cleanup activity
+        // Log the cleanup activity, naming the rules that removed anything
+        const rules = Object.keys(data.byRule || {}).join(', ');
         this.logActivity('system',
-            `GC: Cleaned ${data.removedNodes} nodes, ${data.removedEdges} edges (${data.beforeNodes}→${data.afterNodes})`
+            `GC: Cleaned ${data.removedNodes} nodes, ${data.removedEdges} edges (${data.beforeNodes}→${data.afterNodes})` +
+            (rules ? ` by ${rules}` : '')
         );
 
         // Update sidebar and metrics immediately to reflect cleanup
@@ -1143,6 +1456,18 @@ function fitNetwork() {
     }
 }
 
+function togglePinSelected() {
+    if (swarmVis && swarmVis.selectedNode) {
+        swarmVis.togglePin(swarmVis.selectedNode);
+    }
+}
+
+function toggleCriticalPath() {
+    if (swarmVis) {
+        swarmVis.toggleCriticalPath();
+    }
+}
+
 function toggleLayout() {
     if (swarmVis && swarmVis.network) {
         swarmVis.currentLayout = swarmVis.currentLayout === 'hierarchical' ? 'force' : 'hierarchical';
@@ -0,0 +1,144 @@
+/**
+ * Token Auth
+ * Optional bearer-token authentication and role-based permissions for the
+ * REST API and WebSocket. Tokens come from a list (e.g. SWARM_VIS_TOKENS,
+ * comma-separated `token[:role]`) and/or a tokens file with one
+ * `token [role] [name]` per line (`#` starts a comment). Tokens without a
+ * role are admins. With no tokens configured, auth is disabled and every
+ * caller is an anonymous admin.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Each role can do everything the previous ones can
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// Least role allowed to perform each action
+const PERMISSIONS = {
+  'graph:read': 'viewer',
+  'events:ingest': 'operator',
+  'nodes:pin': 'operator',
+  'agents:control': 'operator',
+  'gc:run': 'operator',
+  'analysis:run': 'operator',
+  'archive:restore': 'operator',
+  'gc:configure': 'admin',
+  'graph:import': 'admin',
+  'graph:clear': 'admin',
+  'sessions:manage': 'admin',
+  'audit:read': 'admin',
+  'config:read': 'admin'
+};
+
+const ANONYMOUS = Object.freeze({ name: 'anonymous', role: 'admin' });
+
+class TokenAuth {
+  constructor({ tokens = [], tokensFile } = {}) {
+    this.tokensFile = tokensFile || null;
+    // Compared as SHA-256 digests so lookups are constant-time and length-independent
+    this.entries = [];
+
+    const list = typeof tokens === 'string' ? tokens.split(',') : tokens || [];
+    for (const item of list) {
+      const [token, role] = String(item || '').trim().split(':');
+      this.addToken(token, role);
+    }
+    if (this.tokensFile) this.loadFile(this.tokensFile);
+  }
+
+  static can(role, action) {
+    const required = PERMISSIONS[action];
+    if (!required) throw new Error(`Unknown action: ${action}`);
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+
+  get enabled() {
+    return this.entries.length > 0;
+  }
+
+  addToken(token, role = 'admin', name) {
+    const value = String(token || '').trim();
+    if (!value) return;
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role for token ${this.entries.length + 1}: ${role} (expected ${ROLES.join(', ')})`);
+    }
+
+    this.entries.push({ digest: digest(value), role, name: name || `token-${this.entries.length + 1}` });
+  }
+
+  loadFile(file) {
+    const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+    for (const line of lines) {
+      const [token, role, ...name] = line.replace(/#.*/, '').trim().split(/\s+/);
+      this.addToken(token, role || undefined, name.join(' ') || undefined);
+    }
+  }
+
+  /**
+   * Bearer token from the Authorization header. With `allowQuery`, else the
+   * `token` query parameter: browsers cannot set headers on a WebSocket
+   * upgrade, but on REST routes the token would end up in logs and history.
+   */
+  tokenOf(req, { allowQuery = false } = {}) {
+    const header = /^Bearer\s+(\S+)$/i.exec(req.headers?.authorization || '');
+    if (header) return header[1];
+    if (!allowQuery) return null;
+
+    const query = new URL(req.url || '/', 'http://localhost').searchParams;
+    return query.get('token');
+  }
+
+  /**
+   * @returns {{name: string, role: string}|null} who holds the token
+   */
+  verify(token) {
+    if (!token) return null;
+
+    const candidate = digest(token);
+    // Check every token so timing doesn't reveal which one matched
+    let match = null;
+    for (const entry of this.entries) {
+      if (crypto.timingSafeEqual(entry.digest, candidate) && !match) match = entry;
+    }
+    return match && { name: match.name, role: match.role };
+  }
+
+  /**
+   * @returns {{name: string, role: string}|null} null when the request must be refused
+   */
+  identify(req, options) {
+    return this.enabled ? this.verify(this.tokenOf(req, options)) : ANONYMOUS;
+  }
+
+  authenticate(req, options) {
+    return this.identify(req, options) !== null;
+  }
+
+  // Express middleware; sets req.identity for permission checks further down
+  middleware() {
+    return (req, res, next) => {
+      req.identity = this.identify(req);
+      if (req.identity) return next();
+
+      res.set('WWW-Authenticate', 'Bearer realm="swarm-vis"');
+      res.status(401).json({ error: 'Missing or invalid token' });
+    };
+  }
+
+  // ws `verifyClient` hook: reject the upgrade with a 401
+  verifyClient() {
+    return ({ req }, done) => {
+      if (this.authenticate(req, { allowQuery: true })) return done(true);
+      done(false, 401, 'Unauthorized', { 'WWW-Authenticate': 'Bearer realm="swarm-vis"' });
+    };
+  }
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+module.exports = TokenAuth;
+module.exports.ROLES = ROLES;
+module.exports.PERMISSIONS = PERMISSIONS;
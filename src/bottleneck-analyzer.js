@@ -0,0 +1,175 @@
+/**
+ * Bottleneck Analyzer
+ * Rolling detection of three kinds of bottleneck:
+ *
+ * - agent_overload: an agent with too many unfinished EXECUTES tasks
+ * - stuck_task: a task executing far longer than the median completed task
+ *   (or its own estimatedDuration, until enough tasks have completed)
+ * - file_hotspot: a file modified by many distinct tasks within a window
+ *
+ * Each `run()` compares against the previous one and emits `detected` for new
+ * bottlenecks and `resolved` for ones that have cleared. `report()` returns
+ * the findings of the last run without analysing again.
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULTS = {
+  maxConcurrentTasks: 5,
+  stuckFactor: 3,
+  minDurationSamples: 3,
+  hotspotTasks: 5,
+  hotspotWindow: 5 * 60 * 1000
+};
+
+const FINISHED_STATUSES = new Set(['completed', 'failed']);
+
+class BottleneckAnalyzer extends EventEmitter {
+  constructor(graph, options = {}) {
+    super();
+    this.graph = graph;
+    this.thresholds = { ...DEFAULTS, ...options };
+    this.active = new Map();          // key -> bottleneck
+    this.executingSince = new Map();  // taskId -> first time seen executing, if the task has no start time
+    this.analyzedAt = null;           // time of the last run
+  }
+
+  run(now = Date.now()) {
+    const found = new Map();
+    for (const bottleneck of [
+      ...this.findOverloadedAgents(),
+      ...this.findStuckTasks(now),
+      ...this.findFileHotspots(now)
+    ]) {
+      const key = `${bottleneck.kind}:${bottleneck.nodeId}`;
+      const previous = this.active.get(key);
+      found.set(key, { key, ...bottleneck, detectedAt: previous ? previous.detectedAt : new Date(now) });
+    }
+
+    const previous = this.active;
+    this.active = found;
+    this.analyzedAt = new Date(now);
+
+    for (const [key, bottleneck] of found) {
+      if (!previous.has(key)) this.emit('detected', bottleneck);
+    }
+    for (const [key, bottleneck] of previous) {
+      if (!found.has(key)) this.emit('resolved', { ...bottleneck, resolvedAt: new Date(now) });
+    }
+
+    return this.report();
+  }
+
+  report() {
+    return {
+      analyzedAt: this.analyzedAt,
+      thresholds: this.thresholds,
+      bottlenecks: Array.from(this.active.values())
+    };
+  }
+
+  findOverloadedAgents() {
+    const overloaded = [];
+    const agents = new Set(this.graph.edgesOfType('EXECUTES').map(edge => edge.from));
+
+    for (const agentId of agents) {
+      const agent = this.graph.getNode(agentId);
+      if (!agent) continue;
+
+      const tasks = this.graph.edgesOf(agentId, { direction: 'out', type: 'EXECUTES' })
+        .map(edge => this.graph.getNode(edge.to))
+        .filter(task => task && !FINISHED_STATUSES.has(task.status));
+      if (tasks.length > this.thresholds.maxConcurrentTasks) {
+        overloaded.push({
+          kind: 'agent_overload',
+          nodeId: agentId,
+          value: tasks.length,
+          threshold: this.thresholds.maxConcurrentTasks,
+          tasks: tasks.map(task => task.id),
+          message: `${agent.label || agentId} has ${tasks.length} concurrent tasks (max ${this.thresholds.maxConcurrentTasks})`
+        });
+      }
+    }
+    return overloaded;
+  }
+
+  // Durations are in seconds, like estimatedDuration
+  findStuckTasks(now) {
+    const executing = this.graph.nodesWithStatus('Task', 'executing');
+    const median = this.medianDuration();
+
+    for (const taskId of this.executingSince.keys()) {
+      if (this.graph.getNode(taskId)?.status !== 'executing') this.executingSince.delete(taskId);
+    }
+
+    const stuck = [];
+    for (const task of executing) {
+      const baseline = median ?? Number(task.estimatedDuration);
+      if (!(baseline > 0)) continue;
+
+      const elapsed = (now - this.startTime(task, now)) / 1000;
+      const limit = baseline * this.thresholds.stuckFactor;
+      if (elapsed > limit) {
+        stuck.push({
+          kind: 'stuck_task',
+          nodeId: task.id,
+          value: Math.round(elapsed),
+          threshold: limit,
+          message: `${task.label || task.id} has been executing for ${Math.round(elapsed)}s (${median !== null ? 'median' : 'estimate'} ${baseline}s)`
+        });
+      }
+    }
+    return stuck;
+  }
+
+  findFileHotspots(now) {
+    const hotspots = [];
+    const files = new Set(this.graph.edgesOfType('MODIFIES').map(edge => edge.to));
+
+    for (const fileId of files) {
+      const file = this.graph.getNode(fileId);
+      if (!file) continue;
+
+      const tasks = new Set(this.graph.edgesOf(fileId, { direction: 'in', type: 'MODIFIES' })
+        .filter(edge => now - new Date(edge.timestamp).getTime() <= this.thresholds.hotspotWindow)
+        .map(edge => edge.from));
+      if (tasks.size >= this.thresholds.hotspotTasks) {
+        hotspots.push({
+          kind: 'file_hotspot',
+          nodeId: fileId,
+          value: tasks.size,
+          threshold: this.thresholds.hotspotTasks,
+          tasks: Array.from(tasks),
+          message: `${file.label || fileId} modified by ${tasks.size} tasks in the last ${Math.round(this.thresholds.hotspotWindow / 1000)}s`
+        });
+      }
+    }
+    return hotspots;
+  }
+
+  medianDuration() {
+    const durations = this.graph.nodesWithStatus('Task', 'completed')
+      .map(task => Number(task.duration))
+      .filter(duration => duration > 0)
+      .sort((a, b) => a - b);
+    if (durations.length < this.thresholds.minDurationSamples) return null;
+
+    const middle = Math.floor(durations.length / 2);
+    return durations.length % 2 ? durations[middle] : (durations[middle - 1] + durations[middle]) / 2;
+  }
+
+  // Explicit start time, else when it was assigned, else when we first saw it executing
+  startTime(task, now) {
+    const assigned = this.graph.edgesOf(task.id, { direction: 'in', type: 'EXECUTES' })
+      .map(edge => edge.startTime)
+      .find(Boolean);
+    const started = new Date(task.startedAt || task.startTime || assigned).getTime();
+    if (!Number.isNaN(started)) return started;
+
+    if (!this.executingSince.has(task.id)) this.executingSince.set(task.id, now);
+    return this.executingSince.get(task.id);
+  }
+}
+
+module.exports = BottleneckAnalyzer;
+module.exports.DEFAULTS = DEFAULTS;
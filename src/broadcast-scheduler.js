@@ -0,0 +1,123 @@
+/**
+ * Broadcast Scheduler
+ * Queues broadcasts and releases them as frames every `frameInterval` ms.
+ * A `node:updated` for a node already waiting in the queue replaces the
+ * earlier one, so an event storm reaches clients as one frame holding the
+ * latest state of each node. Also judges how far a client's send buffer
+ * is allowed to grow before it is downgraded or dropped.
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULTS = {
+  frameInterval: 50,                  // ms; 0 sends every broadcast immediately
+  maxBufferedAmount: 1024 * 1024,     // bytes queued for a client before it is sent snapshots instead
+  dropBufferedAmount: 16 * 1024 * 1024, // bytes queued for a client before it is disconnected
+  snapshotInterval: 2000              // ms between snapshots to a downgraded client
+};
+
+// Message types where only the latest pending message per node matters
+const COALESCED_TYPES = new Set(['node:updated']);
+
+class BroadcastConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid broadcast config: ${errors.join('; ')}`);
+    this.name = 'BroadcastConfigError';
+    this.errors = errors;
+  }
+}
+
+class BroadcastScheduler extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.config = BroadcastScheduler.validate({ ...DEFAULTS, ...config });
+    this.queue = [];
+    this.timer = null;
+    this.totals = { frames: 0, messages: 0, coalesced: 0 };
+  }
+
+  /**
+   * @returns {object} the config, if valid
+   * @throws {BroadcastConfigError} listing every problem
+   */
+  static validate(config) {
+    const errors = [];
+
+    for (const key of Object.keys(config)) {
+      if (!(key in DEFAULTS)) {
+        errors.push(`unknown setting: ${key}`);
+      } else if (typeof config[key] !== 'number' || !Number.isFinite(config[key]) || config[key] < 0) {
+        errors.push(`${key} must be a number of at least 0`);
+      }
+    }
+    if (config.dropBufferedAmount < config.maxBufferedAmount) {
+      errors.push('dropBufferedAmount must not be less than maxBufferedAmount');
+    }
+    if (config.snapshotInterval < 100) {
+      errors.push('snapshotInterval must be at least 100 ms');
+    }
+
+    if (errors.length > 0) throw new BroadcastConfigError(errors);
+    return config;
+  }
+
+  get pending() {
+    return this.queue.length;
+  }
+
+  /**
+   * Queue a message; `extra` travels with it to the 'flush' listener
+   */
+  push(type, data, extra = {}) {
+    if (COALESCED_TYPES.has(type) && data?.id !== undefined) {
+      // The newest copy goes to the back so it still follows anything queued in between
+      const index = this.queue.findIndex(entry => entry.type === type && entry.data?.id === data.id);
+      if (index !== -1) {
+        this.queue.splice(index, 1);
+        this.totals.coalesced++;
+      }
+    }
+    this.queue.push({ type, data, ...extra });
+
+    if (this.config.frameInterval === 0) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.config.frameInterval);
+    }
+  }
+
+  /**
+   * Emit everything queued as one frame
+   * @returns {number} messages flushed
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.queue.length === 0) return 0;
+
+    const entries = this.queue;
+    this.queue = [];
+    this.totals.frames++;
+    this.totals.messages += entries.length;
+    this.emit('flush', entries);
+    return entries.length;
+  }
+
+  /**
+   * @returns {'ok'|'slow'|'drop'} what a send buffer of `bufferedAmount` bytes calls for
+   */
+  classify(bufferedAmount = 0) {
+    if (bufferedAmount > this.config.dropBufferedAmount) return 'drop';
+    if (bufferedAmount > this.config.maxBufferedAmount) return 'slow';
+    return 'ok';
+  }
+
+  stop() {
+    this.flush();
+  }
+}
+
+module.exports = BroadcastScheduler;
+module.exports.BroadcastConfigError = BroadcastConfigError;
+module.exports.DEFAULTS = DEFAULTS;
+module.exports.COALESCED_TYPES = COALESCED_TYPES;
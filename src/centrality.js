@@ -0,0 +1,197 @@
+/**
+ * Centrality
+ * Per-node metrics from the schema's `node_metrics` list (degree, betweenness,
+ * clustering coefficient, PageRank) plus graph density.
+ *
+ * Betweenness is O(V·E), so results are cached against the graph's structural
+ * version and recomputed only when it has changed.
+ */
+
+const NODE_METRICS = ['degree_centrality', 'betweenness_centrality', 'clustering_coefficient', 'pagerank'];
+
+class CentralityAnalyzer {
+  constructor(graph, options = {}) {
+    this.graph = graph;
+    this.damping = options.damping ?? 0.85;
+    this.maxIterations = options.maxIterations || 100;
+    this.tolerance = options.tolerance ?? 1e-6;
+    this.cache = null;
+  }
+
+  /**
+   * Cached results, recomputed if the graph changed since (or `force` is set)
+   */
+  results({ force = false } = {}) {
+    if (force || !this.cache || this.cache.version !== this.graph.version) {
+      this.cache = this.compute();
+    }
+    return this.cache;
+  }
+
+  /**
+   * @returns {object|null} null only for nodes not in the graph
+   */
+  nodeMetrics(nodeId, { force = false } = {}) {
+    if (!this.graph.hasNode(nodeId)) return null;
+
+    let results = this.results({ force });
+    if (!results.nodes.has(nodeId)) {
+      results = this.results({ force: true });
+    }
+    const metrics = results.nodes.get(nodeId);
+
+    const rank = {};
+    for (const metric of NODE_METRICS) {
+      rank[metric] = results.ranks[metric].get(nodeId);
+    }
+    return { id: nodeId, ...metrics, rank, computedAt: new Date(results.computedAt) };
+  }
+
+  /**
+   * Nodes ordered by one metric, highest first.
+   * @param {{metric?: string, limit?: number, type?: string, force?: boolean}} options
+   */
+  ranked({ metric = 'pagerank', limit = 20, type, force } = {}) {
+    if (!NODE_METRICS.includes(metric)) {
+      throw new Error(`Unknown metric: ${metric} (expected ${NODE_METRICS.join(', ')})`);
+    }
+
+    const results = this.results({ force });
+    const nodes = [];
+    for (const id of results.order[metric]) {
+      const metrics = results.nodes.get(id);
+      if (type && metrics.type !== type) continue;
+      nodes.push({ id, rank: results.ranks[metric].get(id), score: metrics[metric], ...metrics });
+      if (nodes.length >= limit) break;
+    }
+
+    return {
+      metric,
+      computedAt: new Date(results.computedAt),
+      graph: { nodes: results.nodeCount, edges: results.edgeCount, density: results.density },
+      nodes
+    };
+  }
+
+  compute() {
+    const ids = this.graph.nodes.map(node => node.id);
+    const position = new Map(ids.map((id, i) => [id, i]));
+    const n = ids.length;
+
+    // Undirected adjacency (parallel edges collapsed) and directed out-links,
+    // ignoring edges whose other end is not in the graph
+    const neighbors = ids.map(id => this.graph.neighborsOf(id)
+      .filter(other => position.has(other) && other !== id)
+      .map(other => position.get(other)));
+    const outLinks = ids.map(id => Array.from(new Set(this.graph.edgesOf(id, { direction: 'out' })
+      .map(edge => edge.to)
+      .filter(to => position.has(to) && to !== id)))
+      .map(to => position.get(to)));
+
+    const betweenness = this.betweenness(neighbors);
+    const pagerank = this.pagerank(outLinks);
+
+    const nodes = new Map();
+    ids.forEach((id, i) => {
+      nodes.set(id, {
+        type: this.graph.getNode(id).type,
+        degree: neighbors[i].length,
+        degree_centrality: n > 1 ? neighbors[i].length / (n - 1) : 0,
+        betweenness_centrality: betweenness[i],
+        clustering_coefficient: this.graph.localClustering(id),
+        pagerank: pagerank[i]
+      });
+    });
+
+    const order = {};
+    const ranks = {};
+    for (const metric of NODE_METRICS) {
+      order[metric] = ids.slice().sort((a, b) => nodes.get(b)[metric] - nodes.get(a)[metric] || (a < b ? -1 : 1));
+      ranks[metric] = new Map(order[metric].map((id, i) => [id, i + 1]));
+    }
+
+    return {
+      version: this.graph.version,
+      computedAt: Date.now(),
+      nodeCount: n,
+      edgeCount: this.graph.edgeCount,
+      density: this.graph.calculateDensity(),
+      nodes,
+      order,
+      ranks
+    };
+  }
+
+  // Brandes' algorithm on the undirected graph, normalized to [0, 1]
+  betweenness(neighbors) {
+    const n = neighbors.length;
+    const scores = new Array(n).fill(0);
+
+    for (let s = 0; s < n; s++) {
+      const stack = [];
+      const predecessors = Array.from({ length: n }, () => []);
+      const paths = new Array(n).fill(0);
+      const distance = new Array(n).fill(-1);
+      paths[s] = 1;
+      distance[s] = 0;
+
+      const queue = [s];
+      for (let head = 0; head < queue.length; head++) {
+        const v = queue[head];
+        stack.push(v);
+        for (const w of neighbors[v]) {
+          if (distance[w] < 0) {
+            distance[w] = distance[v] + 1;
+            queue.push(w);
+          }
+          if (distance[w] === distance[v] + 1) {
+            paths[w] += paths[v];
+            predecessors[w].push(v);
+          }
+        }
+      }
+
+      const dependency = new Array(n).fill(0);
+      while (stack.length > 0) {
+        const w = stack.pop();
+        for (const v of predecessors[w]) {
+          dependency[v] += (paths[v] / paths[w]) * (1 + dependency[w]);
+        }
+        if (w !== s) scores[w] += dependency[w];
+      }
+    }
+
+    // Each pair was counted from both ends
+    const scale = n > 2 ? 1 / ((n - 1) * (n - 2)) : 0;
+    return scores.map(score => score * scale);
+  }
+
+  // Power iteration over directed links; dangling nodes spread their rank evenly
+  pagerank(outLinks) {
+    const n = outLinks.length;
+    if (n === 0) return [];
+
+    let ranks = new Array(n).fill(1 / n);
+    for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+      let dangling = 0;
+      for (let v = 0; v < n; v++) {
+        if (outLinks[v].length === 0) dangling += ranks[v];
+      }
+
+      const base = (1 - this.damping) / n + this.damping * dangling / n;
+      const next = new Array(n).fill(base);
+      for (let v = 0; v < n; v++) {
+        const share = this.damping * ranks[v] / outLinks[v].length;
+        for (const w of outLinks[v]) next[w] += share;
+      }
+
+      const delta = next.reduce((sum, rank, v) => sum + Math.abs(rank - ranks[v]), 0);
+      ranks = next;
+      if (delta < this.tolerance) break;
+    }
+    return ranks;
+  }
+}
+
+module.exports = CentralityAnalyzer;
+module.exports.NODE_METRICS = NODE_METRICS;
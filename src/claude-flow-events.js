@@ -0,0 +1,52 @@
+/**
+ * Claude Flow Events
+ * Mapping from Claude Flow event types to the server's visualization events,
+ * with the minimal shape each one needs to produce a consistent graph.
+ */
+
+const CLAUDE_FLOW_EVENTS = {
+  swarm_init: { emits: 'swarm:created', required: ['id'] },
+  agent_spawn: { emits: 'agent:spawned', required: ['id'] },
+  task_orchestrate: { emits: 'task:created', required: ['id'] },
+  task_assign: { emits: 'task:assigned', required: ['taskId', 'agentId'] },
+  task_progress: { emits: 'task:progress', required: ['taskId', 'progress'] },
+  file_operation: { emits: 'file:modified', required: ['filePath'] },
+  issue_update: { emits: 'issue:linked', required: ['id'] },
+  agent_message: { emits: 'agent:collaboration', required: ['from', 'to'] }
+};
+
+/**
+ * @returns {string[]} validation errors; empty when the event can be ingested
+ */
+function validateClaudeFlowEvent(event) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return ['event must be an object'];
+  }
+  if (typeof event.type !== 'string') {
+    return ['type is required'];
+  }
+
+  const spec = CLAUDE_FLOW_EVENTS[event.type];
+  if (!spec) {
+    return [`unknown event type: ${event.type}`];
+  }
+  if (!event.data || typeof event.data !== 'object' || Array.isArray(event.data)) {
+    return ['data must be an object'];
+  }
+  if (event.sessionId !== undefined && typeof event.sessionId !== 'string') {
+    return ['sessionId must be a string'];
+  }
+
+  const errors = spec.required
+    .filter(field => event.data[field] === undefined || event.data[field] === null || event.data[field] === '')
+    .map(field => `data.${field} is required`);
+
+  if (event.type === 'task_progress' && event.data.progress !== undefined &&
+      !(typeof event.data.progress === 'number' && event.data.progress >= 0 && event.data.progress <= 100)) {
+    errors.push('data.progress must be a number between 0 and 100');
+  }
+
+  return errors;
+}
+
+module.exports = { CLAUDE_FLOW_EVENTS, validateClaudeFlowEvent };
@@ -0,0 +1,85 @@
+/**
+ * Command Router
+ * Request/response commands over the WebSocket. A client sends
+ *   { type: 'command', id, command, params }
+ * and gets `command:ack` straight away, then `command:result` or
+ * `command:error`, all echoing the same correlation id.
+ *
+ * Commands may declare a permission; the `authorize(permission, context, command)`
+ * hook decides, and a refusal is reported as a FORBIDDEN command:error.
+ */
+
+class CommandError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'CommandError';
+    this.code = code;
+  }
+}
+
+class CommandRouter {
+  constructor({ authorize } = {}) {
+    this.handlers = new Map();
+    this.permissions = new Map();
+    this.authorize = authorize || null;
+  }
+
+  register(name, handler, { permission } = {}) {
+    this.handlers.set(name, handler);
+    if (permission) this.permissions.set(name, permission);
+    return this;
+  }
+
+  has(name) {
+    return this.handlers.has(name);
+  }
+
+  get names() {
+    return Array.from(this.handlers.keys());
+  }
+
+  /**
+   * Run a command message, reporting progress through `reply(type, data)`.
+   * @param {{id?: string, command: string, params?: object}} message
+   * @param {object} context - passed through to the handler (e.g. the socket)
+   * @param {(type: string, data: object) => void} reply
+   */
+  async handle(message, context, reply) {
+    const { id = null, command, params = {} } = message;
+
+    if (!this.handlers.has(command)) {
+      reply('command:error', {
+        id,
+        command,
+        error: { code: 'UNKNOWN_COMMAND', message: `Unknown command: ${command}` }
+      });
+      return;
+    }
+
+    const permission = this.permissions.get(command);
+    if (permission && this.authorize && !this.authorize(permission, context, command)) {
+      reply('command:error', {
+        id,
+        command,
+        error: { code: 'FORBIDDEN', message: `Not allowed to run ${command}` }
+      });
+      return;
+    }
+
+    reply('command:ack', { id, command });
+
+    try {
+      const result = await this.handlers.get(command)(params, context);
+      reply('command:result', { id, command, result: result === undefined ? null : result });
+    } catch (error) {
+      reply('command:error', {
+        id,
+        command,
+        error: { code: error.code || 'COMMAND_FAILED', message: error.message }
+      });
+    }
+  }
+}
+
+module.exports = CommandRouter;
+module.exports.CommandError = CommandError;
@@ -0,0 +1,309 @@
+/**
+ * Config
+ * Server settings merged from, in increasing precedence: built-in defaults,
+ * a JSON config file (`swarm-vis.config.json`, or `--config`/SWARM_VIS_CONFIG),
+ * a `.env` file, the environment and command-line flags. The result is
+ * validated as a whole and records which source set each value.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dotenv = require('dotenv');
+const GcPolicy = require('./gc-policy');
+const BroadcastScheduler = require('./broadcast-scheduler');
+const { VALIDATION_MODES } = require('./schema-validator');
+
+const CONFIG_FILE = 'swarm-vis.config.json';
+
+const DEFAULTS = {
+  port: 8080,
+  host: null,                       // null: all interfaces
+  basePath: '',                     // Mount point, e.g. '/swarm'
+  publicUrl: null,                  // Browser-visible URL of the mount point, if a proxy rewrites it
+  persistenceDir: null,
+  archiveDir: null,
+  validationMode: 'warn',
+  auth: {
+    tokens: null,
+    tokensFile: null
+  },
+  agents: {
+    configPath: path.join(os.homedir(), '.claude-flow/agents'),
+    logPath: path.join(os.homedir(), '.claude-flow/logs'),
+    pollInterval: 3000,
+    simulate: true
+  },
+  gc: {},                           // Overrides of the GC policy defaults (src/gc-policy.js)
+  broadcast: {}                     // Overrides of the broadcast defaults (src/broadcast-scheduler.js)
+};
+
+// Settings reachable from the environment and the command line
+const OPTIONS = [
+  { key: 'port', env: 'SWARM_VIS_PORT', flag: 'port', type: 'number' },
+  { key: 'host', env: 'SWARM_VIS_HOST', flag: 'host', type: 'string' },
+  { key: 'basePath', env: 'SWARM_VIS_BASE_PATH', flag: 'base-path', type: 'string' },
+  { key: 'publicUrl', env: 'SWARM_VIS_PUBLIC_URL', flag: 'public-url', type: 'string' },
+  { key: 'persistenceDir', env: 'SWARM_VIS_PERSISTENCE_DIR', flag: 'persistence-dir', type: 'string' },
+  { key: 'archiveDir', env: 'SWARM_VIS_ARCHIVE_DIR', flag: 'archive-dir', type: 'string' },
+  { key: 'validationMode', env: 'SWARM_VIS_VALIDATION', flag: 'validation', type: 'string' },
+  // No flag: command lines are visible to every user on the machine
+  { key: 'auth.tokens', env: 'SWARM_VIS_TOKENS', type: 'string' },
+  { key: 'auth.tokensFile', env: 'SWARM_VIS_TOKENS_FILE', flag: 'tokens-file', type: 'string' },
+  { key: 'agents.configPath', env: 'SWARM_VIS_AGENTS_DIR', flag: 'agents-dir', type: 'string' },
+  { key: 'agents.logPath', env: 'SWARM_VIS_AGENT_LOGS_DIR', flag: 'agent-logs-dir', type: 'string' },
+  { key: 'agents.pollInterval', env: 'SWARM_VIS_AGENT_POLL_INTERVAL', flag: 'agent-poll-interval', type: 'number' },
+  { key: 'agents.simulate', env: 'SWARM_VIS_SIMULATION', flag: 'simulation', type: 'boolean' },
+  { key: 'gc.enabled', env: 'SWARM_VIS_GC', flag: 'gc', type: 'boolean' },
+  { key: 'gc.maxNodes', env: 'SWARM_VIS_GC_MAX_NODES', flag: 'gc-max-nodes', type: 'number' },
+  { key: 'gc.maxEdges', env: 'SWARM_VIS_GC_MAX_EDGES', flag: 'gc-max-edges', type: 'number' },
+  { key: 'gc.maxAge', env: 'SWARM_VIS_GC_MAX_AGE', flag: 'gc-max-age', type: 'number' },
+  { key: 'gc.gcInterval', env: 'SWARM_VIS_GC_INTERVAL', flag: 'gc-interval', type: 'number' },
+  { key: 'gc.eviction', env: 'SWARM_VIS_GC_EVICTION', flag: 'gc-eviction', type: 'string' },
+  { key: 'broadcast.frameInterval', env: 'SWARM_VIS_FRAME_INTERVAL', flag: 'frame-interval', type: 'number' },
+  { key: 'broadcast.maxBufferedAmount', env: 'SWARM_VIS_MAX_BUFFERED', flag: 'max-buffered', type: 'number' },
+  { key: 'broadcast.dropBufferedAmount', env: 'SWARM_VIS_DROP_BUFFERED', flag: 'drop-buffered', type: 'number' }
+];
+
+const SECRET_KEYS = ['auth.tokens'];
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration: ${errors.join('; ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * @param {{argv?: string[], env?: object, cwd?: string}} context - argv without the node and script entries
+ * @returns {{config: object, sources: object, files: {config: string|null, env: string|null}}}
+ * @throws {ConfigError}
+ */
+function loadConfig({ argv = process.argv.slice(2), env = process.env, cwd = process.cwd() } = {}) {
+  const errors = [];
+  const flags = parseArgs(argv, errors);
+
+  // The environment wins over .env, as with dotenv itself
+  const envFile = path.resolve(cwd, flags.get('env-file') || '.env');
+  const hasEnvFile = fs.existsSync(envFile);
+  const vars = { ...(hasEnvFile ? dotenv.parse(fs.readFileSync(envFile)) : {}), ...env };
+
+  const explicitFile = flags.get('config') || vars.SWARM_VIS_CONFIG;
+  const configFile = path.resolve(cwd, explicitFile || CONFIG_FILE);
+  const hasConfigFile = Boolean(explicitFile) || fs.existsSync(configFile);
+  const fileSettings = hasConfigFile ? readConfigFile(configFile, errors) : {};
+
+  const config = clone(DEFAULTS);
+  const sources = {};
+  const set = (key, value, source) => {
+    const [section, name] = key.split('.');
+    if (name) {
+      config[section][name] = value;
+    } else {
+      config[section] = value;
+    }
+    sources[key] = source;
+  };
+
+  for (const [key, value] of Object.entries(fileSettings)) {
+    const isSection = DEFAULTS[key] && typeof DEFAULTS[key] === 'object';
+    if (!(key in DEFAULTS)) {
+      errors.push(`${path.basename(configFile)}: unknown setting: ${key}`);
+    } else if (isSection && isPlainObject(value)) {
+      Object.entries(value).forEach(([name, item]) => set(`${key}.${name}`, item, 'file'));
+    } else if (isSection) {
+      errors.push(`${path.basename(configFile)}: ${key} must be an object`);
+    } else {
+      set(key, value, 'file');
+    }
+  }
+
+  const apply = (option, raw, name, source) => {
+    const value = coerce(raw, option, name, errors);
+    if (value !== undefined) set(option.key, value, source);
+  };
+  for (const option of OPTIONS) {
+    if (option.env && vars[option.env] !== undefined && vars[option.env] !== '') {
+      apply(option, vars[option.env], option.env, env[option.env] !== undefined ? 'env' : '.env');
+    }
+  }
+  for (const option of OPTIONS) {
+    if (option.flag && flags.has(option.flag)) {
+      apply(option, flags.get(option.flag), `--${option.flag}`, 'cli');
+    }
+  }
+
+  errors.push(...validateConfig(config));
+  if (errors.length > 0) throw new ConfigError(errors);
+
+  return {
+    config,
+    sources,
+    files: { config: hasConfigFile ? configFile : null, env: hasEnvFile ? envFile : null }
+  };
+}
+
+/**
+ * `--name value`, `--name=value`, `--flag` (true) and `--no-flag` (false)
+ * @returns {Map<string, string|boolean>}
+ */
+function parseArgs(argv, errors = []) {
+  const known = new Set(['config', 'env-file', ...OPTIONS.filter(option => option.flag).map(option => option.flag)]);
+  const isBoolean = name => OPTIONS.some(option => option.flag === name && option.type === 'boolean');
+  const flags = new Map();
+
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(no-)?([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match || !known.has(match[2]) || (match[1] && !isBoolean(match[2]))) {
+      errors.push(`unknown argument: ${argv[i]}`);
+      continue;
+    }
+
+    const [, negated, name, inline] = match;
+    if (negated) {
+      flags.set(name, false);
+    } else if (inline !== undefined) {
+      flags.set(name, inline);
+    } else if (isBoolean(name)) {
+      flags.set(name, true);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      flags.set(name, argv[++i]);
+    } else {
+      errors.push(`--${name} needs a value`);
+    }
+  }
+  return flags;
+}
+
+function readConfigFile(file, errors) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    errors.push(`cannot read ${file}: ${error.code || error.message}`);
+    return {};
+  }
+
+  try {
+    const settings = JSON.parse(raw);
+    if (isPlainObject(settings)) return settings;
+    errors.push(`${path.basename(file)} must hold a JSON object`);
+  } catch (error) {
+    errors.push(`${path.basename(file)} is not valid JSON: ${error.message}`);
+  }
+  return {};
+}
+
+function coerce(value, option, name, errors) {
+  if (typeof value !== 'string') return value;
+
+  switch (option.type) {
+    case 'number': {
+      const number = Number(value);
+      if (value.trim() === '' || Number.isNaN(number)) {
+        errors.push(`${name} must be a number (got "${value}")`);
+        return undefined;
+      }
+      return number;
+    }
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(value)) return true;
+      if (/^(false|0|no|off)$/i.test(value)) return false;
+      errors.push(`${name} must be true or false (got "${value}")`);
+      return undefined;
+    default:
+      return value;
+  }
+}
+
+/**
+ * @returns {string[]} problems with a merged config
+ */
+function validateConfig(config) {
+  const errors = [];
+  const optionalString = (key, value) => {
+    if (value !== null && (typeof value !== 'string' || value.trim() === '')) {
+      errors.push(`${key} must be a non-empty string`);
+    }
+  };
+
+  if (!Number.isInteger(config.port) || config.port < 0 || config.port > 65535) {
+    errors.push('port must be an integer from 0 to 65535');
+  }
+  optionalString('host', config.host);
+  if (typeof config.basePath !== 'string' || !/^(\/[A-Za-z0-9._~-]+)*\/?$/.test(config.basePath)) {
+    errors.push('basePath must be empty or a path such as /swarm');
+  }
+  if (config.publicUrl !== null && !/^https?:\/\/[^/]/.test(String(config.publicUrl))) {
+    errors.push('publicUrl must be an http(s) URL');
+  }
+  optionalString('persistenceDir', config.persistenceDir);
+  optionalString('archiveDir', config.archiveDir);
+  if (!VALIDATION_MODES.includes(config.validationMode)) {
+    errors.push(`validationMode must be one of ${VALIDATION_MODES.join(', ')}`);
+  }
+
+  const { tokens, tokensFile } = config.auth;
+  if (tokens !== null && typeof tokens !== 'string' &&
+    !(Array.isArray(tokens) && tokens.every(token => typeof token === 'string'))) {
+    errors.push('auth.tokens must be a comma-separated string or a list of tokens');
+  }
+  optionalString('auth.tokensFile', tokensFile);
+  Object.keys(config.auth)
+    .filter(key => !(key in DEFAULTS.auth))
+    .forEach(key => errors.push(`unknown setting: auth.${key}`));
+
+  const agents = config.agents;
+  optionalString('agents.configPath', agents.configPath);
+  optionalString('agents.logPath', agents.logPath);
+  if (typeof agents.pollInterval !== 'number' || !(agents.pollInterval >= 100)) {
+    errors.push('agents.pollInterval must be at least 100 ms');
+  }
+  if (typeof agents.simulate !== 'boolean') {
+    errors.push('agents.simulate must be a boolean');
+  }
+  Object.keys(agents)
+    .filter(key => !(key in DEFAULTS.agents))
+    .forEach(key => errors.push(`unknown setting: agents.${key}`));
+
+  try {
+    new GcPolicy(config.gc);
+  } catch (error) {
+    if (!(error instanceof GcPolicy.GcConfigError)) throw error;
+    errors.push(...error.errors.map(message => `gc: ${message}`));
+  }
+
+  try {
+    new BroadcastScheduler(config.broadcast);
+  } catch (error) {
+    if (!(error instanceof BroadcastScheduler.BroadcastConfigError)) throw error;
+    errors.push(...error.errors.map(message => `broadcast: ${message}`));
+  }
+
+  return errors;
+}
+
+// Safe to show: secrets are replaced by how many there are
+function redact(config) {
+  const copy = clone(config);
+  for (const key of SECRET_KEYS) {
+    const [section, name] = key.split('.');
+    const value = copy[section][name];
+    if (value) {
+      const count = Array.isArray(value) ? value.length : String(value).split(',').filter(item => item.trim()).length;
+      copy[section][name] = `<${count} redacted>`;
+    }
+  }
+  return copy;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadConfig, parseArgs, validateConfig, redact, ConfigError, DEFAULTS, OPTIONS, CONFIG_FILE };
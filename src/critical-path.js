@@ -0,0 +1,167 @@
+/**
+ * Critical Path
+ * Longest chain of remaining work through task and issue dependencies:
+ *
+ * - (a)-[:DEPENDS_ON]->(b): a cannot start until b is finished
+ * - (t)-[:IMPLEMENTS]->(i): i is finished once all its tasks are, and t waits
+ *   for whatever i depends on
+ * - (agent)-[:EXECUTES]->(t): agents working on path tasks are included
+ *
+ * Tasks weigh their remaining time, `estimatedDuration * (1 - progress / 100)`;
+ * completed tasks weigh nothing. Dependency cycles are reported and skipped.
+ */
+
+class CriticalPathAnalyzer {
+  constructor(graph, options = {}) {
+    this.graph = graph;
+    // Used for tasks without an estimatedDuration, in the same unit (seconds)
+    this.defaultDuration = options.defaultDuration ?? 60;
+  }
+
+  remaining(node) {
+    if (node.status === 'completed') return 0;
+    if (node.estimatedDuration === undefined && node.type !== 'Task') return 0;
+
+    const duration = Number(node.estimatedDuration ?? this.defaultDuration) || 0;
+    const progress = Math.min(Math.max(Number(node.progress) || 0, 0), 100);
+    return duration * (1 - progress / 100);
+  }
+
+  /**
+   * @param {{target?: string}} options - end the path at this node instead of
+   *   wherever the most work finishes
+   * @returns {{duration, nodes, edges, steps, cycles}|null} null if target is unknown
+   */
+  analyze({ target } = {}) {
+    if (target !== undefined && !this.graph.hasNode(target)) return null;
+
+    const timing = new Map();
+    const visiting = new Set();
+    const cycles = new Set();
+
+    const finishOf = (id) => {
+      if (timing.has(id)) return timing.get(id).finish;
+      if (visiting.has(id)) return null;
+      visiting.add(id);
+
+      const node = this.graph.getNode(id);
+      const entry = { start: 0, finish: 0, remaining: this.remaining(node), startVia: null, finishVia: null };
+
+      // Start: after everything this node, or an issue it implements, depends on
+      const blockers = this.graph.edgesOf(id, { direction: 'out', type: 'DEPENDS_ON' }).map(edge => ({ edge }));
+      for (const implemented of this.graph.edgesOf(id, { direction: 'out', type: 'IMPLEMENTS' })) {
+        for (const edge of this.graph.edgesOf(implemented.to, { direction: 'out', type: 'DEPENDS_ON' })) {
+          blockers.push({ edge, through: implemented });
+        }
+      }
+      for (const { edge, through } of blockers) {
+        if (!this.graph.hasNode(edge.to)) continue;
+        const finish = finishOf(edge.to);
+        if (finish === null) {
+          cycles.add(edge.id);
+        } else if (finish > entry.start) {
+          entry.start = finish;
+          entry.startVia = { id: edge.to, edges: through ? [through, edge] : [edge] };
+        }
+      }
+      entry.finish = entry.start + entry.remaining;
+
+      // Finish: no earlier than the last of its implementing tasks
+      for (const edge of this.graph.edgesOf(id, { direction: 'in', type: 'IMPLEMENTS' })) {
+        if (!this.graph.hasNode(edge.from)) continue;
+        const finish = finishOf(edge.from);
+        if (finish === null) {
+          cycles.add(edge.id);
+        } else if (finish > entry.finish) {
+          entry.finish = finish;
+          entry.finishVia = { id: edge.from, edges: [edge] };
+        }
+      }
+
+      visiting.delete(id);
+      timing.set(id, entry);
+      return entry.finish;
+    };
+
+    // Issues before the tasks implementing them, so a tie ends at the issue
+    const candidates = new Set();
+    for (const edge of this.graph.edgesOfType('DEPENDS_ON')) {
+      candidates.add(edge.from).add(edge.to);
+    }
+    for (const edge of this.graph.edgesOfType('IMPLEMENTS')) {
+      candidates.add(edge.to).add(edge.from);
+    }
+    this.graph.nodesOfType('Task').forEach(node => candidates.add(node.id));
+
+    let end = target;
+    if (end === undefined) {
+      let latest = 0;
+      for (const id of candidates) {
+        if (!this.graph.hasNode(id)) continue;
+        const finish = finishOf(id);
+        if (finish > latest) {
+          latest = finish;
+          end = id;
+        }
+      }
+    } else {
+      finishOf(end);
+    }
+
+    const path = end === undefined ? { nodes: [], edges: [] } : this.trace(end, timing);
+    const steps = path.nodes.map(id => {
+      const node = this.graph.getNode(id);
+      const entry = timing.get(id);
+      return {
+        id,
+        type: node.type,
+        label: node.label,
+        status: node.status,
+        ...(entry && { remaining: entry.remaining, start: entry.start, finish: entry.finish })
+      };
+    });
+
+    return {
+      duration: end === undefined ? 0 : timing.get(end).finish,
+      nodes: path.nodes,
+      edges: path.edges.map(({ id, type, from, to }) => ({ id, type, from, to })),
+      steps,
+      cycles: Array.from(cycles)
+    };
+  }
+
+  // Walk back from the end along whichever dependency set each time
+  trace(end, timing) {
+    const nodes = new Set();
+    const edges = new Map();
+    const visit = (id) => nodes.add(id);
+    const follow = (edge) => edges.set(edge.id, edge);
+
+    let id = end;
+    while (id) {
+      visit(id);
+      const entry = timing.get(id);
+      const via = entry.finishVia || entry.startVia;
+      if (via) via.edges.forEach(follow);
+
+      if (entry.finishVia) {
+        id = via.id;
+        continue;
+      }
+
+      // This node's own work is on the path; so are the agents doing it
+      for (const edge of this.graph.edgesOf(id, { direction: 'in', type: 'EXECUTES' })) {
+        if (!this.graph.hasNode(edge.from)) continue;
+        visit(edge.from);
+        follow(edge);
+      }
+      if (entry.startVia?.edges.length === 2) visit(entry.startVia.edges[0].to);
+      id = entry.startVia?.id;
+    }
+
+    // Earliest work first
+    return { nodes: Array.from(nodes).reverse(), edges: Array.from(edges.values()).reverse() };
+  }
+}
+
+module.exports = CriticalPathAnalyzer;
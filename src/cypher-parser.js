@@ -0,0 +1,488 @@
+/**
+ * Cypher Parser
+ * Tokenizer and recursive-descent parser for the Cypher subset the query
+ * engine runs:
+ *
+ *   MATCH [p =] (a:Label {prop: value})-[r:TYPE|OTHER]->(b), ...
+ *   [WHERE expr]
+ *   RETURN [DISTINCT] expr [AS alias], ...
+ *   [ORDER BY expr [ASC|DESC], ...] [SKIP n] [LIMIT n]
+ *
+ * Expressions cover literals, $params, property access, lists, arithmetic,
+ * comparisons, IN, IS [NOT] NULL, STARTS WITH / ENDS WITH / CONTAINS,
+ * AND / OR / XOR / NOT and function calls (aggregates included).
+ */
+
+class QueryError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} (at position ${position})`);
+    this.name = 'QueryError';
+    this.code = 'QUERY_ERROR';
+    this.position = position;
+  }
+}
+
+const TWO_CHAR_OPERATORS = ['<=', '>=', '<>', '!='];
+const SINGLE_CHAR_TOKENS = '()[]{}:,.=<>+-*/%|$';
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Line comments
+    if (source.startsWith('//', i)) {
+      while (i < source.length && source[i] !== '\n') i++;
+      continue;
+    }
+
+    const start = i;
+
+    if (/[0-9]/.test(ch)) {
+      while (/[0-9]/.test(source[i])) i++;
+      if (source[i] === '.' && /[0-9]/.test(source[i + 1])) {
+        i++;
+        while (/[0-9]/.test(source[i])) i++;
+      }
+      tokens.push({ type: 'number', value: Number(source.slice(start, i)), pos: start, end: i });
+      continue;
+    }
+
+    if (ch === '\'' || ch === '"') {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          i++;
+          value += { n: '\n', t: '\t' }[source[i]] || source[i];
+        } else {
+          value += source[i];
+        }
+        i++;
+      }
+      if (i >= source.length) throw new QueryError('Unterminated string', start);
+      i++;
+      tokens.push({ type: 'string', value, pos: start, end: i });
+      continue;
+    }
+
+    if (ch === '`') {
+      const end = source.indexOf('`', i + 1);
+      if (end === -1) throw new QueryError('Unterminated identifier', start);
+      i = end + 1;
+      tokens.push({ type: 'ident', value: source.slice(start + 1, end), pos: start, end: i, quoted: true });
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      while (i < source.length && /[A-Za-z0-9_]/.test(source[i])) i++;
+      tokens.push({ type: 'ident', value: source.slice(start, i), pos: start, end: i });
+      continue;
+    }
+
+    const pair = source.slice(i, i + 2);
+    if (TWO_CHAR_OPERATORS.includes(pair)) {
+      i += 2;
+      tokens.push({ type: 'punct', value: pair, pos: start, end: i });
+      continue;
+    }
+
+    if (SINGLE_CHAR_TOKENS.includes(ch)) {
+      i++;
+      tokens.push({ type: 'punct', value: ch, pos: start, end: i });
+      continue;
+    }
+
+    throw new QueryError(`Unexpected character '${ch}'`, start);
+  }
+
+  tokens.push({ type: 'eof', value: null, pos: source.length, end: source.length });
+  return tokens;
+}
+
+class CypherParser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  static parse(source) {
+    if (typeof source !== 'string' || !source.trim()) {
+      throw new QueryError('Query must be a non-empty string');
+    }
+    return new CypherParser(source).parseQuery();
+  }
+
+  // Token helpers
+  peek(offset = 0) {
+    return this.tokens[this.index + offset];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isPunct(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'punct' && token.value === value;
+  }
+
+  isKeyword(word, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'ident' && !token.quoted && token.value.toUpperCase() === word;
+  }
+
+  acceptPunct(value) {
+    if (this.isPunct(value)) return this.next();
+    return null;
+  }
+
+  acceptKeyword(word) {
+    if (this.isKeyword(word)) return this.next();
+    return null;
+  }
+
+  expectPunct(value) {
+    const token = this.acceptPunct(value);
+    if (!token) this.fail(`Expected '${value}'`);
+    return token;
+  }
+
+  expectKeyword(word) {
+    const token = this.acceptKeyword(word);
+    if (!token) this.fail(`Expected ${word}`);
+    return token;
+  }
+
+  expectIdent() {
+    const token = this.peek();
+    if (token.type !== 'ident') this.fail('Expected an identifier');
+    return this.next().value;
+  }
+
+  expectInteger(clause) {
+    const token = this.next();
+    if (token.type !== 'number' || !Number.isInteger(token.value) || token.value < 0) {
+      throw new QueryError(`${clause} expects a non-negative integer`, token.pos);
+    }
+    return token.value;
+  }
+
+  fail(message) {
+    const token = this.peek();
+    const found = token.type === 'eof' ? 'end of query' : `'${token.value}'`;
+    throw new QueryError(`${message}, found ${found}`, token.pos);
+  }
+
+  // Clauses
+  parseQuery() {
+    this.expectKeyword('MATCH');
+    const patterns = [this.parsePattern()];
+    while (this.acceptPunct(',')) {
+      patterns.push(this.parsePattern());
+    }
+
+    const where = this.acceptKeyword('WHERE') ? this.parseExpression() : null;
+
+    this.expectKeyword('RETURN');
+    const distinct = !!this.acceptKeyword('DISTINCT');
+    const returns = [this.parseReturnItem()];
+    while (this.acceptPunct(',')) {
+      returns.push(this.parseReturnItem());
+    }
+
+    const orderBy = [];
+    if (this.acceptKeyword('ORDER')) {
+      this.expectKeyword('BY');
+      do {
+        const start = this.peek().pos;
+        const expression = this.parseExpression();
+        const text = this.textFrom(start);
+        let descending = false;
+        if (this.acceptKeyword('DESC') || this.acceptKeyword('DESCENDING')) {
+          descending = true;
+        } else if (!this.acceptKeyword('ASC')) {
+          this.acceptKeyword('ASCENDING');
+        }
+        orderBy.push({ expression, text, descending });
+      } while (this.acceptPunct(','));
+    }
+
+    const skip = this.acceptKeyword('SKIP') ? this.expectInteger('SKIP') : 0;
+    const limit = this.acceptKeyword('LIMIT') ? this.expectInteger('LIMIT') : null;
+
+    if (this.peek().type !== 'eof') this.fail('Unexpected input');
+
+    return { patterns, where, distinct, returns, orderBy, skip, limit };
+  }
+
+  parseReturnItem() {
+    const start = this.peek().pos;
+    const expression = this.parseExpression();
+    const text = this.textFrom(start);
+    const alias = this.acceptKeyword('AS') ? this.expectIdent() : null;
+    return { expression, alias, name: alias || text };
+  }
+
+  // Source text of the tokens consumed since `start`, used for column names
+  textFrom(start) {
+    return this.source.slice(start, this.tokens[this.index - 1].end);
+  }
+
+  // Patterns
+  parsePattern() {
+    let pathVariable = null;
+    if (this.peek().type === 'ident' && this.isPunct('=', 1)) {
+      pathVariable = this.next().value;
+      this.next();
+    }
+
+    const nodes = [this.parseNodePattern()];
+    const relationships = [];
+    while (this.isPunct('-') || this.isPunct('<')) {
+      relationships.push(this.parseRelationshipPattern());
+      nodes.push(this.parseNodePattern());
+    }
+
+    return { pathVariable, nodes, relationships };
+  }
+
+  parseNodePattern() {
+    this.expectPunct('(');
+    const node = { variable: null, label: null, properties: null };
+
+    if (this.peek().type === 'ident') node.variable = this.next().value;
+    if (this.acceptPunct(':')) node.label = this.expectIdent();
+    if (this.isPunct('{')) node.properties = this.parseMap();
+
+    this.expectPunct(')');
+    return node;
+  }
+
+  parseRelationshipPattern() {
+    const pointsLeft = !!this.acceptPunct('<');
+    this.expectPunct('-');
+
+    const relationship = { variable: null, types: [], properties: null, direction: 'both' };
+
+    if (this.acceptPunct('[')) {
+      if (this.peek().type === 'ident') relationship.variable = this.next().value;
+      if (this.acceptPunct(':')) {
+        relationship.types.push(this.expectIdent());
+        while (this.acceptPunct('|')) {
+          this.acceptPunct(':');
+          relationship.types.push(this.expectIdent());
+        }
+      }
+      if (this.isPunct('*')) this.fail('Variable-length relationships are not supported');
+      if (this.isPunct('{')) relationship.properties = this.parseMap();
+      this.expectPunct(']');
+    }
+
+    this.expectPunct('-');
+    const pointsRight = !!this.acceptPunct('>');
+
+    if (pointsLeft && pointsRight) this.fail('A relationship cannot point both ways');
+    if (pointsLeft) relationship.direction = 'in';
+    if (pointsRight) relationship.direction = 'out';
+
+    return relationship;
+  }
+
+  parseMap() {
+    this.expectPunct('{');
+    const entries = [];
+    if (!this.isPunct('}')) {
+      do {
+        const key = this.expectIdent();
+        this.expectPunct(':');
+        entries.push([key, this.parseExpression()]);
+      } while (this.acceptPunct(','));
+    }
+    this.expectPunct('}');
+    return entries;
+  }
+
+  // Expressions, lowest precedence first
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  parseOr() {
+    let left = this.parseXor();
+    while (this.acceptKeyword('OR')) {
+      left = { type: 'logical', operator: 'OR', left, right: this.parseXor() };
+    }
+    return left;
+  }
+
+  parseXor() {
+    let left = this.parseAnd();
+    while (this.acceptKeyword('XOR')) {
+      left = { type: 'logical', operator: 'XOR', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.acceptKeyword('AND')) {
+      left = { type: 'logical', operator: 'AND', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.acceptKeyword('NOT')) {
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+
+    for (const operator of ['=', '<>', '!=', '<', '<=', '>', '>=']) {
+      if (this.acceptPunct(operator)) {
+        return {
+          type: 'compare',
+          operator: operator === '!=' ? '<>' : operator,
+          left,
+          right: this.parseAdditive()
+        };
+      }
+    }
+
+    if (this.acceptKeyword('IS')) {
+      const negated = !!this.acceptKeyword('NOT');
+      this.expectKeyword('NULL');
+      return { type: 'isNull', negated, operand: left };
+    }
+    if (this.acceptKeyword('IN')) {
+      return { type: 'in', left, right: this.parseAdditive() };
+    }
+    if (this.acceptKeyword('CONTAINS')) {
+      return { type: 'string', operator: 'CONTAINS', left, right: this.parseAdditive() };
+    }
+    if (this.isKeyword('STARTS') || this.isKeyword('ENDS')) {
+      const operator = this.next().value.toUpperCase();
+      this.expectKeyword('WITH');
+      return { type: 'string', operator, left, right: this.parseAdditive() };
+    }
+
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isPunct('+') || this.isPunct('-')) {
+      const operator = this.next().value;
+      left = { type: 'arithmetic', operator, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (this.isPunct('*') || this.isPunct('/') || this.isPunct('%')) {
+      const operator = this.next().value;
+      left = { type: 'arithmetic', operator, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.acceptPunct('-')) {
+      return { type: 'negate', operand: this.parseUnary() };
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let expression = this.parsePrimary();
+    while (this.acceptPunct('.')) {
+      expression = { type: 'property', object: expression, key: this.expectIdent() };
+    }
+    return expression;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token.type === 'number' || token.type === 'string') {
+      this.next();
+      return { type: 'literal', value: token.value };
+    }
+
+    if (this.acceptPunct('$')) {
+      return { type: 'parameter', name: this.expectIdent() };
+    }
+
+    if (this.acceptPunct('(')) {
+      const expression = this.parseExpression();
+      this.expectPunct(')');
+      return expression;
+    }
+
+    if (this.acceptPunct('[')) {
+      const items = [];
+      if (!this.isPunct(']')) {
+        do {
+          items.push(this.parseExpression());
+        } while (this.acceptPunct(','));
+      }
+      this.expectPunct(']');
+      return { type: 'list', items };
+    }
+
+    if (token.type === 'ident') {
+      if (!token.quoted) {
+        const word = token.value.toUpperCase();
+        if (word === 'TRUE' || word === 'FALSE') {
+          this.next();
+          return { type: 'literal', value: word === 'TRUE' };
+        }
+        if (word === 'NULL') {
+          this.next();
+          return { type: 'literal', value: null };
+        }
+      }
+
+      this.next();
+      if (this.acceptPunct('(')) {
+        return this.parseFunctionCall(token.value);
+      }
+      return { type: 'variable', name: token.value };
+    }
+
+    this.fail('Expected an expression');
+  }
+
+  parseFunctionCall(name) {
+    const call = { type: 'function', name: name.toLowerCase(), distinct: false, args: [], star: false };
+
+    if (this.acceptPunct('*')) {
+      call.star = true;
+    } else if (!this.isPunct(')')) {
+      call.distinct = !!this.acceptKeyword('DISTINCT');
+      do {
+        call.args.push(this.parseExpression());
+      } while (this.acceptPunct(','));
+    }
+
+    this.expectPunct(')');
+    return call;
+  }
+}
+
+module.exports = CypherParser;
+module.exports.QueryError = QueryError;
+module.exports.tokenize = tokenize;
@@ -0,0 +1,128 @@
+/**
+ * Event History
+ * Ordered, sequenced record of every graph mutation. Supports paging through
+ * raw events and rebuilding the graph as it stood at any past moment.
+ *
+ * Event shapes:
+ *   { seq, type: 'node:added',   timestamp, node }
+ *   { seq, type: 'node:updated', timestamp, id, updates }
+ *   { seq, type: 'node:removed', timestamp, ids }
+ *   { seq, type: 'edge:added',   timestamp, edge }
+ *   { seq, type: 'edge:removed', timestamp, ids }
+ */
+
+class EventHistory {
+  constructor(options = {}) {
+    this.maxEvents = options.maxEvents || 10000;
+    this.events = [];
+    this.seq = 0;
+
+    // State before the oldest retained event; trimmed events are folded into it
+    this.base = EventHistory.emptyState();
+  }
+
+  static emptyState() {
+    return { nodes: new Map(), edges: new Map(), seq: 0, timestamp: null };
+  }
+
+  static apply(state, event) {
+    switch (event.type) {
+      case 'node:added':
+        state.nodes.set(event.node.id, { ...event.node });
+        break;
+      case 'node:updated': {
+        const node = state.nodes.get(event.id);
+        if (node) state.nodes.set(event.id, { ...node, ...event.updates });
+        break;
+      }
+      case 'node:removed':
+        event.ids.forEach(id => state.nodes.delete(id));
+        break;
+      case 'edge:added':
+        state.edges.set(event.edge.id, { ...event.edge });
+        break;
+      case 'edge:removed':
+        event.ids.forEach(id => state.edges.delete(id));
+        break;
+    }
+    state.seq = event.seq;
+    state.timestamp = event.timestamp;
+    return state;
+  }
+
+  record(type, payload, timestamp = new Date()) {
+    const event = { seq: ++this.seq, type, timestamp, ...payload };
+    this.events.push(event);
+    this.trim();
+    return event;
+  }
+
+  trim() {
+    while (this.events.length > this.maxEvents) {
+      EventHistory.apply(this.base, this.events.shift());
+    }
+  }
+
+  // Reset to a known state (e.g. a persisted snapshot) and continue from its sequence
+  reset({ nodes = [], edges = [], seq = 0, timestamp = null } = {}) {
+    this.base = {
+      nodes: new Map(nodes.map(n => [n.id, { ...n }])),
+      edges: new Map(edges.map(e => [e.id, { ...e }])),
+      seq,
+      timestamp
+    };
+    this.events = [];
+    this.seq = seq;
+  }
+
+  // Append already-sequenced events (e.g. replayed from the write-ahead log)
+  load(events) {
+    for (const event of events) {
+      if (event.seq <= this.seq) continue;
+      this.events.push(event);
+      this.seq = event.seq;
+    }
+    this.trim();
+  }
+
+  since(seq = 0, limit = 500) {
+    const events = this.events.filter(e => e.seq > seq).slice(0, limit);
+    const lastSeq = events.length > 0 ? events[events.length - 1].seq : seq;
+
+    return {
+      events,
+      lastSeq,
+      latestSeq: this.seq,
+      hasMore: lastSeq < this.seq,
+      // Requested range starts before what is still retained
+      truncated: seq < this.base.seq
+    };
+  }
+
+  stateAt(at) {
+    const cutoff = new Date(at).getTime();
+    const state = {
+      nodes: new Map(this.base.nodes),
+      edges: new Map(this.base.edges),
+      seq: this.base.seq,
+      timestamp: this.base.timestamp
+    };
+
+    for (const event of this.events) {
+      if (new Date(event.timestamp).getTime() > cutoff) break;
+      EventHistory.apply(state, event);
+    }
+
+    const baseTime = this.base.timestamp ? new Date(this.base.timestamp).getTime() : -Infinity;
+    return {
+      nodes: Array.from(state.nodes.values()),
+      edges: Array.from(state.edges.values()),
+      seq: state.seq,
+      timestamp: new Date(cutoff),
+      // Older than anything retained - the result is the oldest state we still know
+      truncated: cutoff < baseTime
+    };
+  }
+}
+
+module.exports = EventHistory;
@@ -0,0 +1,231 @@
+/**
+ * GC Policy
+ * Decides what garbage collection removes. Rules, in order:
+ *
+ * 1. protected: `preserveTypes`, and nodes whose status is listed in
+ *    `preserveStatuses[type]` (with their edges), are never collected
+ * 2. ttl: items older than their type's `ttl` (or the default `maxAge`,
+ *    `noClientMaxAge` while nobody is watching) expire
+ * 3. cap: types over their `max`, then the graph over `maxNodes`/`maxEdges`,
+ *    are trimmed by the `eviction` order: `oldest` first or least recently
+ *    updated (`lru`)
+ *
+ * `types` is keyed by node or relationship type. The policy only plans
+ * removals, attributing each to the rule that chose it; the caller applies them.
+ */
+
+const EVICTION_ORDERS = ['oldest', 'lru'];
+
+const DEFAULT_CONFIG = {
+  maxNodes: 100,
+  maxEdges: 150,
+  maxAge: 2 * 60 * 1000,
+  gcInterval: 10 * 1000,
+  preserveTypes: ['GlobalAgent', 'Workspace', 'CoordinationHub'],
+  preserveStatuses: { Task: ['executing'] },
+  types: {},
+  eviction: 'oldest',
+  enabled: true,
+  clientAwareGC: true,             // Collect with noClientMaxAge when no clients are connected
+  noClientMaxAge: 30 * 1000
+};
+
+const NUMBER_FIELDS = ['maxNodes', 'maxEdges', 'maxAge', 'gcInterval', 'noClientMaxAge'];
+const BOOLEAN_FIELDS = ['enabled', 'clientAwareGC'];
+
+class GcConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid GC config: ${errors.join('; ')}`);
+    this.name = 'GcConfigError';
+    this.errors = errors;
+  }
+}
+
+class GcPolicy {
+  constructor(config = {}) {
+    this.config = GcPolicy.validate({ ...DEFAULT_CONFIG, ...config });
+  }
+
+  /**
+   * @returns {object} the config, if valid
+   * @throws {GcConfigError}
+   */
+  static validate(config) {
+    const errors = [];
+    const isCount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+    const isMap = value => value && typeof value === 'object' && !Array.isArray(value);
+
+    for (const key of Object.keys(config)) {
+      if (!(key in DEFAULT_CONFIG)) errors.push(`unknown setting: ${key}`);
+    }
+    NUMBER_FIELDS
+      .filter(key => !isCount(config[key]))
+      .forEach(key => errors.push(`${key} must be a non-negative number`));
+    if (isCount(config.gcInterval) && config.gcInterval < 1000) {
+      errors.push('gcInterval must be at least 1000 ms');
+    }
+    BOOLEAN_FIELDS
+      .filter(key => typeof config[key] !== 'boolean')
+      .forEach(key => errors.push(`${key} must be a boolean`));
+    if (!isStringList(config.preserveTypes)) {
+      errors.push('preserveTypes must be a list of types');
+    }
+    if (!EVICTION_ORDERS.includes(config.eviction)) {
+      errors.push(`eviction must be one of ${EVICTION_ORDERS.join(', ')}`);
+    }
+
+    if (!isMap(config.preserveStatuses)) {
+      errors.push('preserveStatuses must map types to status lists');
+    } else {
+      Object.entries(config.preserveStatuses)
+        .filter(([, statuses]) => !isStringList(statuses))
+        .forEach(([type]) => errors.push(`preserveStatuses.${type} must be a list of statuses`));
+    }
+
+    if (!isMap(config.types)) {
+      errors.push('types must map types to { ttl, max }');
+    } else {
+      for (const [type, rule] of Object.entries(config.types)) {
+        if (!isMap(rule)) {
+          errors.push(`types.${type} must be an object`);
+          continue;
+        }
+        Object.keys(rule)
+          .filter(key => key !== 'ttl' && key !== 'max')
+          .forEach(key => errors.push(`types.${type}.${key} is not a setting (expected ttl, max)`));
+        // A null ttl means the type never expires
+        if (rule.ttl !== undefined && rule.ttl !== null && !isCount(rule.ttl)) {
+          errors.push(`types.${type}.ttl must be a non-negative number or null`);
+        }
+        if (rule.max !== undefined && !isCount(rule.max)) {
+          errors.push(`types.${type}.max must be a non-negative number`);
+        }
+      }
+    }
+
+    if (errors.length > 0) throw new GcConfigError(errors);
+    return config;
+  }
+
+  /**
+   * Replace the given top-level settings, keeping the rest
+   * @throws {GcConfigError} leaving the current config untouched
+   */
+  update(changes) {
+    this.config = GcPolicy.validate({ ...this.config, ...changes });
+    return this.config;
+  }
+
+  isProtected(node) {
+    return this.config.preserveTypes.includes(node.type) ||
+      (this.config.preserveStatuses[node.type] || []).includes(node.status);
+  }
+
+  /**
+   * @param {GraphStore} graph
+   * @param {{now?: number, hasClients?: boolean}} context
+   * @returns {{run: boolean, maxAge: number, nodes: Map<string, string>, edges: Map<string, string>}}
+   *   ids to remove, each with the rule that chose it
+   */
+  plan(graph, { now = Date.now(), hasClients = true } = {}) {
+    const config = this.config;
+    const watched = hasClients || !config.clientAwareGC;
+    const maxAge = watched ? config.maxAge : config.noClientMaxAge;
+    const nodes = new Map();
+    const edges = new Map();
+
+    // Nobody watching: a full pass every time; otherwise only once over a cap.
+    // Types with their own TTL expire on every pass regardless.
+    const full = !watched ||
+      graph.nodeCount > config.maxNodes ||
+      graph.edgeCount > config.maxEdges ||
+      Object.entries(config.types).some(([type, rule]) => rule.max !== undefined &&
+        graph.nodesOfType(type).length + graph.edgesOfType(type).length > rule.max);
+    const typeTtls = Object.values(config.types).some(rule => rule.ttl !== undefined && rule.ttl !== null);
+    if (!full && !typeTtls) return { run: false, maxAge, nodes, edges };
+
+    const statusProtected = new Set(graph.nodes
+      .filter(node => (config.preserveStatuses[node.type] || []).includes(node.status))
+      .map(node => node.id));
+    const nodeCandidates = graph.nodes.filter(node => !this.isProtected(node));
+    const edgeCandidates = graph.edges.filter(edge => !statusProtected.has(edge.from) && !statusProtected.has(edge.to));
+
+    const removeNode = (node, rule) => {
+      if (nodes.has(node.id)) return;
+      nodes.set(node.id, rule);
+      // Edges go with their nodes, unless an earlier rule already took them
+      for (const edge of graph.edgesOf(node.id)) {
+        if (!edges.has(edge.id)) edges.set(edge.id, 'incident');
+      }
+    };
+    const removeEdge = (edge, rule) => {
+      if (!edges.has(edge.id)) edges.set(edge.id, rule);
+    };
+
+    // ttl
+    const expire = (items, remove) => {
+      for (const item of items) {
+        const rule = config.types[item.type];
+        const ttl = rule && rule.ttl !== undefined ? rule.ttl : full ? maxAge : null;
+        if (ttl !== null && now - new Date(item.timestamp).getTime() > ttl) {
+          remove(item, rule && rule.ttl !== undefined ? `ttl:${item.type}` : 'ttl');
+        }
+      }
+    };
+    expire(nodeCandidates, removeNode);
+    expire(edgeCandidates, removeEdge);
+
+    // cap
+    const order = (items) => items.sort((a, b) => this.evictionTime(a) - this.evictionTime(b));
+    const trim = (items, removed, max, remove, rule) => {
+      const remaining = items.filter(item => !removed.has(item.id));
+      const excess = remaining.length - max;
+      if (excess > 0) order(remaining).slice(0, excess).forEach(item => remove(item, rule));
+    };
+
+    for (const [type, rule] of Object.entries(config.types)) {
+      if (rule.max === undefined) continue;
+      trim(nodeCandidates.filter(node => node.type === type), nodes, rule.max, removeNode, `cap:${type}`);
+      trim(edgeCandidates.filter(edge => edge.type === type), edges, rule.max, removeEdge, `cap:${type}`);
+    }
+
+    // Protected nodes count towards the global caps but are never evicted; once they
+    // fill a cap on their own, no unprotected item fits under it
+    const protectedNodes = graph.nodeCount - nodeCandidates.length;
+    trim(nodeCandidates, nodes, Math.max(0, config.maxNodes - protectedNodes), removeNode, 'cap:nodes');
+    const protectedEdges = graph.edgeCount - edgeCandidates.length;
+    trim(edgeCandidates, edges, Math.max(0, config.maxEdges - protectedEdges), removeEdge, 'cap:edges');
+
+    return { run: full || nodes.size > 0 || edges.size > 0, maxAge, nodes, edges };
+  }
+
+  evictionTime(item) {
+    const created = new Date(item.timestamp).getTime() || 0;
+    if (this.config.eviction === 'oldest') return created;
+
+    const touched = [item.updated, item.lastSeen]
+      .map(time => (time ? new Date(time).getTime() : 0))
+      .filter(time => !Number.isNaN(time));
+    return Math.max(created, ...touched);
+  }
+
+  /**
+   * Removal counts per rule: { rule: { nodes, edges } }
+   */
+  static summarize({ nodes, edges }) {
+    const byRule = {};
+    const count = (rule, kind) => {
+      byRule[rule] = byRule[rule] || { nodes: 0, edges: 0 };
+      byRule[rule][kind]++;
+    };
+    nodes.forEach(rule => count(rule, 'nodes'));
+    edges.forEach(rule => count(rule, 'edges'));
+    return byRule;
+  }
+}
+
+module.exports = GcPolicy;
+module.exports.GcConfigError = GcConfigError;
+module.exports.DEFAULT_CONFIG = DEFAULT_CONFIG;
+module.exports.EVICTION_ORDERS = EVICTION_ORDERS;
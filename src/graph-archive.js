@@ -0,0 +1,205 @@
+/**
+ * Graph Archive
+ * On-disk home for nodes and edges removed by garbage collection, so they
+ * stay queryable and can be restored. Records are appended to numbered
+ * JSON-lines segments (`segment-000001.jsonl`, ...), each holding up to
+ * `segmentSize` records. An in-memory index by id, type and archive time
+ * points at each record's segment and byte offset; bodies are read from disk
+ * on demand.
+ *
+ * Record shapes:
+ *   { op: 'archive', kind: 'node'|'edge', id, type, rule, archivedAt, item }
+ *   { op: 'restore', id, restoredAt }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SEGMENT_PATTERN = /^segment-(\d+)\.jsonl$/;
+
+class GraphArchive {
+  constructor(options = {}) {
+    if (!options.dir) {
+      throw new Error('GraphArchive requires a dir option');
+    }
+
+    this.dir = options.dir;
+    this.segmentSize = options.segmentSize || 1000;
+
+    // id -> { kind, id, type, rule, archivedAt, from?, to?, segment, offset, length }, oldest first
+    this.entries = new Map();
+    this.byType = new Map();
+
+    this.segment = 1;
+    this.segmentRecords = 0;
+    this.segmentBytes = 0;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  segmentFile(segment) {
+    return path.join(this.dir, `segment-${String(segment).padStart(6, '0')}.jsonl`);
+  }
+
+  // Rebuild the index from the segments on disk
+  async load() {
+    const segments = (await fs.promises.readdir(this.dir))
+      .map(file => SEGMENT_PATTERN.exec(file))
+      .filter(Boolean)
+      .map(match => Number(match[1]))
+      .sort((a, b) => a - b);
+
+    for (const segment of segments) {
+      const raw = await fs.promises.readFile(this.segmentFile(segment));
+      let offset = 0;
+      let records = 0;
+
+      for (const line of raw.toString('utf8').split('\n')) {
+        const length = Buffer.byteLength(line);
+        if (line.trim()) {
+          try {
+            this.indexRecord(JSON.parse(line), segment, offset, length);
+            records++;
+          } catch (error) {
+            // A torn final write after a crash - everything before it is intact
+            console.warn(`⚠️  Skipping unreadable archive record in segment ${segment}`);
+          }
+        }
+        offset += length + 1;
+      }
+
+      this.segment = segment;
+      this.segmentRecords = records;
+      this.segmentBytes = raw.length;
+    }
+
+    return this.size;
+  }
+
+  indexRecord(record, segment, offset, length) {
+    this.unindex(record.id);
+    if (record.op !== 'archive') return;
+
+    const { item, ...meta } = record;
+    const entry = { ...meta, segment, offset, length };
+    if (record.kind === 'edge') {
+      entry.from = item.from;
+      entry.to = item.to;
+    }
+
+    this.entries.set(record.id, entry);
+    if (!this.byType.has(record.type)) this.byType.set(record.type, new Set());
+    this.byType.get(record.type).add(record.id);
+  }
+
+  unindex(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+
+    this.entries.delete(id);
+    this.byType.get(entry.type)?.delete(id);
+  }
+
+  append(record) {
+    if (this.segmentRecords >= this.segmentSize) {
+      this.segment++;
+      this.segmentRecords = 0;
+      this.segmentBytes = 0;
+    }
+
+    const line = JSON.stringify(record);
+    const length = Buffer.byteLength(line);
+    // Synchronous so the archive holds an item before it leaves the live graph
+    fs.appendFileSync(this.segmentFile(this.segment), line + '\n');
+
+    this.indexRecord(record, this.segment, this.segmentBytes, length);
+    this.segmentRecords++;
+    this.segmentBytes += length + 1;
+  }
+
+  /**
+   * @param {Array<{kind: 'node'|'edge', item: object, rule?: string}>} removals
+   */
+  add(removals, archivedAt = new Date()) {
+    for (const { kind, item, rule = null } of removals) {
+      this.append({ op: 'archive', kind, id: item.id, type: item.type, rule, archivedAt, item });
+    }
+  }
+
+  /**
+   * @returns {object|null} the archive record, including the removed item
+   */
+  get(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+
+    const buffer = Buffer.alloc(entry.length);
+    const fd = fs.openSync(this.segmentFile(entry.segment), 'r');
+    try {
+      fs.readSync(fd, buffer, 0, entry.length, entry.offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const { op, ...record } = JSON.parse(buffer.toString('utf8'));
+    return record;
+  }
+
+  // Archived edges touching a node
+  edgesOf(nodeId) {
+    return [...this.entries.values()]
+      .filter(entry => entry.kind === 'edge' && (entry.from === nodeId || entry.to === nodeId))
+      .map(entry => entry.id);
+  }
+
+  /**
+   * Newest first.
+   * @param {{type?: string, kind?: string, rule?: string, since?: Date, until?: Date, limit?: number, offset?: number}} filter
+   * @returns {{total: number, items: object[]}}
+   */
+  query({ type, kind, rule, since, until, limit = 100, offset = 0 } = {}) {
+    const candidates = type
+      ? [...(this.byType.get(type) || [])].map(id => this.entries.get(id))
+      : [...this.entries.values()];
+
+    const matches = candidates
+      .filter(entry => (!kind || entry.kind === kind) && (!rule || entry.rule === rule))
+      .filter(entry => {
+        const time = new Date(entry.archivedAt);
+        return (!since || time >= since) && (!until || time <= until);
+      })
+      .reverse();
+
+    return {
+      total: matches.length,
+      items: matches.slice(offset, offset + limit).map(entry => this.get(entry.id))
+    };
+  }
+
+  // Drop items from the archive once they are back in the live graph
+  remove(ids, restoredAt = new Date()) {
+    for (const id of ids) {
+      if (this.entries.has(id)) this.append({ op: 'restore', id, restoredAt });
+    }
+  }
+
+  stats() {
+    const byKind = { node: 0, edge: 0 };
+    this.entries.forEach(entry => byKind[entry.kind]++);
+
+    return {
+      dir: this.dir,
+      items: this.size,
+      nodes: byKind.node,
+      edges: byKind.edge,
+      segment: this.segment,
+      byType: Object.fromEntries([...this.byType].map(([type, ids]) => [type, ids.size]).filter(([, count]) => count > 0))
+    };
+  }
+}
+
+module.exports = GraphArchive;
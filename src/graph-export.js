@@ -0,0 +1,320 @@
+/**
+ * Graph Export
+ * Serializes the graph for other tools: GraphML (yEd, Neo4j apoc), GEXF (Gephi),
+ * DOT (Graphviz), Cypher (Neo4j) and apoc-style CSV.
+ *
+ * Node types become each format's labels and relationship types its edge
+ * labels; schema visualization (shape, color) carries over where the format
+ * supports it. Client-only display fields (positions, colors, ...) are dropped.
+ */
+
+const FORMATS = {
+  graphml: { contentType: 'application/graphml+xml', extension: 'graphml' },
+  gexf: { contentType: 'application/gexf+xml', extension: 'gexf' },
+  dot: { contentType: 'text/vnd.graphviz', extension: 'dot' },
+  cypher: { contentType: 'application/x-cypher-query', extension: 'cypher' },
+  csv: { contentType: 'text/csv', extension: 'csv' }
+};
+
+// Display-only fields set by the client or layout, not part of the data model.
+// `title` is data (issue and task titles), so it is kept.
+const DISPLAY_FIELDS = new Set(['x', 'y', 'pinned', 'fixed', 'color', 'size', 'font', 'borderWidth', 'borderColor', 'shape', 'group', 'physics', 'hidden']);
+
+const DOT_SHAPES = {
+  hexagon: 'hexagon',
+  circle: 'circle',
+  square: 'box',
+  box: 'box',
+  diamond: 'diamond',
+  database: 'cylinder'
+};
+
+// Graphviz attributes our properties must not shadow
+const DOT_RESERVED = new Set(['label', 'shape', 'style', 'fillcolor', 'color', 'width', 'height', 'weight', 'dir', 'id', 'tooltip', 'url', 'href']);
+
+class GraphExporter {
+  constructor(schema = {}) {
+    this.schema = schema;
+  }
+
+  /**
+   * @param {GraphStore} graph
+   * @param {{format: string, nodeTypes?: string[], edgeTypes?: string[], since?: Date, until?: Date}} options
+   * @returns {{body: string, contentType: string, extension: string}}
+   */
+  export(graph, { format, ...filters }) {
+    const spec = FORMATS[format];
+    if (!spec) {
+      throw new Error(`Unknown export format: ${format} (expected ${Object.keys(FORMATS).join(', ')})`);
+    }
+
+    const { nodes, edges } = this.select(graph, filters);
+    const body = this[format](nodes, edges);
+    return { body, ...spec };
+  }
+
+  select(graph, { nodeTypes, edgeTypes, since, until } = {}) {
+    const inWindow = (item) => {
+      if (!since && !until) return true;
+      const time = new Date(item.timestamp).getTime();
+      if (Number.isNaN(time)) return false;
+      return (!since || time >= since.getTime()) && (!until || time <= until.getTime());
+    };
+
+    const nodes = graph.nodes.filter(node =>
+      (!nodeTypes || nodeTypes.includes(node.type)) && inWindow(node));
+    const ids = new Set(nodes.map(node => node.id));
+    const edges = graph.edges.filter(edge =>
+      ids.has(edge.from) && ids.has(edge.to) &&
+      (!edgeTypes || edgeTypes.includes(edge.type)) && inWindow(edge));
+
+    return { nodes, edges };
+  }
+
+  graphml(nodes, edges) {
+    const nodeColumns = columns(nodes, ['labels']);
+    const edgeColumns = columns(edges, ['label']);
+    const keyLines = [
+      '  <key id="labels" for="node" attr.name="labels" attr.type="string"/>',
+      ...nodeColumns.map(({ name, key, type }) =>
+        `  <key id="n_${xml(key)}" for="node" attr.name="${xml(name)}" attr.type="${GRAPHML_TYPES[type]}"/>`),
+      '  <key id="label" for="edge" attr.name="label" attr.type="string"/>',
+      ...edgeColumns.map(({ name, key, type }) =>
+        `  <key id="e_${xml(key)}" for="edge" attr.name="${xml(name)}" attr.type="${GRAPHML_TYPES[type]}"/>`)
+    ];
+
+    const data = (prefix, itemColumns, item) => itemColumns
+      .filter(({ name }) => hasValue(item[name]))
+      .map(({ name, key }) => `<data key="${prefix}_${xml(key)}">${xml(text(item[name]))}</data>`)
+      .join('');
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"' +
+        ' xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+      ...keyLines,
+      '  <graph id="swarm" edgedefault="directed">',
+      ...nodes.map(node => `    <node id="${xml(node.id)}" labels=":${xml(node.type)}">` +
+        `<data key="labels">:${xml(node.type)}</data>${data('n', nodeColumns, node)}</node>`),
+      ...edges.map(edge => `    <edge id="${xml(edge.id)}" source="${xml(edge.from)}" target="${xml(edge.to)}" label="${xml(edge.type)}">` +
+        `<data key="label">${xml(edge.type)}</data>${data('e', edgeColumns, edge)}</edge>`),
+      '  </graph>',
+      '</graphml>',
+      ''
+    ].join('\n');
+  }
+
+  gexf(nodes, edges) {
+    const nodeColumns = columns(nodes, ['type']);
+    const edgeColumns = columns(edges, ['type']);
+    const attributeLines = (cls, itemColumns) => [
+      `    <attributes class="${cls}">`,
+      '      <attribute id="type" title="type" type="string"/>',
+      ...itemColumns.map(({ name, key, type }) =>
+        `      <attribute id="${xml(key)}" title="${xml(name)}" type="${GEXF_TYPES[type]}"/>`),
+      '    </attributes>'
+    ];
+    const attvalues = (itemColumns, item) => '<attvalues>' +
+      `<attvalue for="type" value="${xml(item.type)}"/>` +
+      itemColumns
+        .filter(({ name }) => hasValue(item[name]))
+        .map(({ name, key }) => `<attvalue for="${xml(key)}" value="${xml(text(item[name]))}"/>`)
+        .join('') +
+      '</attvalues>';
+
+    const viz = (node) => {
+      const visual = this.schema.nodes?.[node.type]?.visualization || {};
+      const rgb = hexToRgb(resolveColor(visual.color, node));
+      return (rgb ? `<viz:color r="${rgb.r}" g="${rgb.g}" b="${rgb.b}"/>` : '') +
+        (visual.size ? `<viz:size value="${visual.size}"/>` : '');
+    };
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+      `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}"><creator>claude-flow-swarm-visualization</creator></meta>`,
+      '  <graph defaultedgetype="directed" mode="static">',
+      ...attributeLines('node', nodeColumns),
+      ...attributeLines('edge', edgeColumns),
+      '    <nodes>',
+      ...nodes.map(node => `      <node id="${xml(node.id)}" label="${xml(node.label || node.id)}">` +
+        `${attvalues(nodeColumns, node)}${viz(node)}</node>`),
+      '    </nodes>',
+      '    <edges>',
+      ...edges.map(edge => `      <edge id="${xml(edge.id)}" source="${xml(edge.from)}" target="${xml(edge.to)}" label="${xml(edge.type)}">` +
+        `${attvalues(edgeColumns, edge)}</edge>`),
+      '    </edges>',
+      '  </graph>',
+      '</gexf>',
+      ''
+    ].join('\n');
+  }
+
+  dot(nodes, edges) {
+    const attributes = (pairs) => pairs
+      .filter(([, value]) => hasValue(value))
+      .map(([name, value]) => `${dotName(name)}=${dotId(text(value))}`)
+      .join(', ');
+    // `label` is already the display label; other clashes get a prefix
+    const properties = (item) => Object.entries(propertiesOf(item))
+      .filter(([name]) => name !== 'label')
+      .map(([name, value]) => [DOT_RESERVED.has(name.toLowerCase()) ? `data_${name}` : name, value]);
+
+    const nodeLines = nodes.map(node => {
+      const visual = this.schema.nodes?.[node.type]?.visualization || {};
+      return `  ${dotId(node.id)} [${attributes([
+        ['label', node.label || node.id],
+        ['shape', DOT_SHAPES[visual.shape] || 'ellipse'],
+        ['fillcolor', resolveColor(visual.color, node)],
+        ['type', node.type],
+        ...properties(node)
+      ])}];`;
+    });
+    const edgeLines = edges.map(edge => {
+      const visual = this.schema.relationships?.[edge.type]?.visualization || {};
+      return `  ${dotId(edge.from)} -> ${dotId(edge.to)} [${attributes([
+        ['label', edge.type],
+        ['color', typeof visual.color === 'string' ? visual.color : null],
+        ['style', visual.dashes ? 'dashed' : null],
+        ['dir', visual.arrows === 'both' ? 'both' : null],
+        ...properties(edge)
+      ])}];`;
+    });
+
+    return ['digraph swarm {', '  node [style=filled];', ...nodeLines, ...edgeLines, '}', ''].join('\n');
+  }
+
+  cypher(nodes, edges) {
+    const types = new Map(nodes.map(node => [node.id, node.type]));
+    const map = (item) => `{${Object.entries(propertiesOf(item))
+      .map(([name, value]) => `${cypherName(name)}: ${cypherValue(value)}`)
+      .join(', ')}}`;
+
+    return [
+      `// claude-flow-swarm-visualization export, ${new Date().toISOString()}`,
+      ...nodes.map(node =>
+        `MERGE (n:${cypherName(node.type)} {id: ${cypherValue(node.id)}}) SET n += ${map(node)};`),
+      ...edges.map(edge =>
+        `MATCH (a:${cypherName(types.get(edge.from))} {id: ${cypherValue(edge.from)}}), ` +
+        `(b:${cypherName(types.get(edge.to))} {id: ${cypherValue(edge.to)}}) ` +
+        `MERGE (a)-[r:${cypherName(edge.type)}]->(b) SET r += ${map(edge)};`),
+      ''
+    ].join('\n');
+  }
+
+  // Layout of apoc.export.csv.all: node rows, then relationship rows, sharing one
+  // column per property name
+  csv(nodes, edges) {
+    const propertyColumns = Array.from(new Set([...columns(nodes), ...columns(edges)].map(column => column.name))).sort();
+    const header = ['_id', '_labels', ...propertyColumns, '_start', '_end', '_type'];
+    const properties = item => propertyColumns.map(name => text(item[name]));
+
+    const rows = [
+      header,
+      ...nodes.map(node => [node.id, `:${node.type}`, ...properties(node), '', '', '']),
+      ...edges.map(edge => ['', '', ...properties(edge), edge.from, edge.to, edge.type])
+    ];
+
+    return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+  }
+}
+
+const GRAPHML_TYPES = { number: 'double', boolean: 'boolean', string: 'string' };
+const GEXF_TYPES = { number: 'double', boolean: 'boolean', string: 'string' };
+
+/**
+ * Exportable properties: everything but identity and display fields
+ */
+function propertiesOf(item) {
+  const properties = {};
+  for (const [name, value] of Object.entries(item)) {
+    if (name === 'id' || name === 'type' || name === 'from' || name === 'to') continue;
+    if (DISPLAY_FIELDS.has(name) || !hasValue(value) || typeof value === 'function') continue;
+    properties[name] = value;
+  }
+  return properties;
+}
+
+/**
+ * Union of properties across items, typed number/boolean if every value is,
+ * else string. `reserved` names get a distinct key so they don't collide.
+ */
+function columns(items, reserved = []) {
+  const found = new Map();
+  for (const item of items) {
+    for (const [name, value] of Object.entries(propertiesOf(item))) {
+      const type = typeof value === 'number' && Number.isFinite(value) ? 'number'
+        : typeof value === 'boolean' ? 'boolean' : 'string';
+      const previous = found.get(name);
+      found.set(name, previous && previous !== type ? 'string' : type);
+    }
+  }
+
+  return Array.from(found.keys()).sort().map(name => ({
+    name,
+    key: reserved.includes(name) ? `prop_${name}` : name,
+    type: found.get(name)
+  }));
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null;
+}
+
+function text(value) {
+  if (!hasValue(value)) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function xml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function dotId(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+function dotName(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : dotId(name);
+}
+
+function cypherName(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `\`${String(name).replace(/`/g, '``')}\``;
+}
+
+function cypherValue(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (Array.isArray(value) && value.every(v => ['string', 'number', 'boolean'].includes(typeof v))) {
+    return `[${value.map(cypherValue).join(', ')}]`;
+  }
+  return `'${text(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function csvField(value) {
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+// Schema colors are either one hex value or keyed by status (or subtype)
+function resolveColor(color, node) {
+  if (!color) return null;
+  if (typeof color === 'string') return color;
+  return color[node.status] || Object.values(color)[0] || null;
+}
+
+function hexToRgb(color) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(color || '');
+  if (!match) return null;
+  const value = parseInt(match[1], 16);
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+module.exports = GraphExporter;
+module.exports.FORMATS = FORMATS;
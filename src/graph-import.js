@@ -0,0 +1,312 @@
+/**
+ * Graph Import
+ * Parses a graph back from the server's JSON snapshot (`GET /api/graph`),
+ * GraphML (our export or Neo4j apoc.export.graphml) and apoc-style CSV.
+ *
+ * Like the OTLP mapper this only plans changes ({type, data} nodes and
+ * {type, from, to, properties} edges); the caller applies them to the graph.
+ */
+
+const FORMATS = ['json', 'graphml', 'csv'];
+
+// Set again by addNode/addEdge on import
+const IDENTITY_FIELDS = new Set(['id', 'type', 'from', 'to', 'timestamp']);
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+class GraphImporter {
+  /**
+   * Guess the format from a request content type
+   * @returns {string|null}
+   */
+  static formatOf(contentType = '') {
+    if (/json/i.test(contentType)) return 'json';
+    if (/graphml|xml/i.test(contentType)) return 'graphml';
+    if (/csv/i.test(contentType)) return 'csv';
+    return null;
+  }
+
+  /**
+   * @param {string|object} body - parsed JSON or the raw document
+   * @param {string} format - json, graphml or csv
+   * @returns {{nodes: Array<{type, data}>, edges: Array<{type, from, to, properties}>,
+   *   rejected: {nodes: number, edges: number}, errors: string[]}}
+   * @throws {ImportError} when the document cannot be read at all
+   */
+  parse(body, format) {
+    if (!FORMATS.includes(format)) {
+      throw new ImportError(`Unknown import format: ${format} (expected ${FORMATS.join(', ')})`);
+    }
+
+    const plan = { nodes: [], edges: [], rejected: { nodes: 0, edges: 0 }, errors: [] };
+    this[format](body, plan);
+    return plan;
+  }
+
+  json(body, plan) {
+    const graph = typeof body === 'string' ? parseJson(body) : body;
+    if (!graph || !Array.isArray(graph.nodes)) {
+      throw new ImportError('Expected a graph snapshot with a nodes array');
+    }
+
+    for (const node of graph.nodes) {
+      if (!node || !node.id || !node.type) {
+        reject(plan, 'nodes', 'node must have an id and type');
+        continue;
+      }
+      const { type, timestamp, ...data } = node;
+      plan.nodes.push({ type, data });
+    }
+
+    for (const edge of Array.isArray(graph.edges) ? graph.edges : []) {
+      addEdge(plan, edge?.type, edge?.from, edge?.to, edge ? properties(edge) : {});
+    }
+  }
+
+  graphml(body, plan) {
+    const document = String(body);
+    if (!/<graphml[\s>]/.test(document)) {
+      throw new ImportError('Expected a GraphML document');
+    }
+
+    // key id -> { name, type }
+    const keys = new Map();
+    for (const [, attributes] of document.matchAll(/<key\b([^>]*?)\/?>/g)) {
+      const attrs = xmlAttributes(attributes);
+      keys.set(attrs.id, { name: attrs['attr.name'] || attrs.id, type: attrs['attr.type'] || 'string' });
+    }
+
+    // apoc writes internal ids (n0, n1, ...) and keeps ours as an `id` property
+    const ids = new Map();
+    for (const element of xmlElements(document, 'node')) {
+      const values = dataValues(element.content, keys);
+      const labels = element.attributes.labels || values.labels;
+      const type = labelOf(labels) || values.type;
+      const id = values.id !== undefined ? String(values.id) : element.attributes.id;
+      ids.set(element.attributes.id, id);
+
+      if (!id || !type) {
+        reject(plan, 'nodes', `node ${id || '?'} must have an id and a label`);
+        continue;
+      }
+      delete values.labels;
+      delete values.type;
+      delete values.timestamp;
+      plan.nodes.push({ type, data: { ...values, id } });
+    }
+
+    for (const element of xmlElements(document, 'edge')) {
+      const values = dataValues(element.content, keys);
+      const type = element.attributes.label || values.label || values.type;
+      const from = ids.get(element.attributes.source) || element.attributes.source;
+      const to = ids.get(element.attributes.target) || element.attributes.target;
+      delete values.label;
+      addEdge(plan, type, from, to, properties(values));
+    }
+  }
+
+  // Layout of apoc.export.csv.all: node rows, then relationship rows. Relationship
+  // properties may sit in the shared columns before _start or in columns after _type.
+  csv(body, plan) {
+    const [header, ...rows] = parseCsv(String(body));
+    const start = header ? header.indexOf('_start') : -1;
+    if (!header || header[0] !== '_id' || header[1] !== '_labels' || start < 0 || header[start + 2] !== '_type') {
+      throw new ImportError('Expected an apoc-style CSV header (_id, _labels, ..., _start, _end, _type, ...)');
+    }
+
+    const nodeColumns = header.slice(2, start);
+    const edgeColumns = header.slice(start + 3);
+    const values = (row, names, offset) => {
+      const result = {};
+      names.forEach((name, index) => {
+        if (row[offset + index] !== undefined && row[offset + index] !== '') {
+          result[name] = csvValue(row[offset + index]);
+        }
+      });
+      return result;
+    };
+
+    const ids = new Map();
+    const edgeRows = [];
+    for (const row of rows) {
+      if (row.length === 1 && row[0] === '') continue;
+
+      if (row[0]) {
+        const data = values(row, nodeColumns, 2);
+        const id = data.id !== undefined ? String(data.id) : row[0];
+        const type = labelOf(row[1]);
+        ids.set(row[0], id);
+
+        if (!type) {
+          reject(plan, 'nodes', `node ${id} must have a label`);
+          continue;
+        }
+        delete data.timestamp;
+        plan.nodes.push({ type, data: { ...data, id } });
+      } else {
+        edgeRows.push(row);
+      }
+    }
+
+    // Relationships may reference apoc's internal node ids
+    for (const row of edgeRows) {
+      const from = ids.get(row[start]) || row[start];
+      const to = ids.get(row[start + 1]) || row[start + 1];
+      const data = { ...values(row, nodeColumns, 2), ...values(row, edgeColumns, start + 3) };
+      addEdge(plan, row[start + 2], from, to, properties(data));
+    }
+  }
+}
+
+function addEdge(plan, type, from, to, props) {
+  if (!type || !from || !to) {
+    reject(plan, 'edges', 'edge must have a type, from and to');
+    return;
+  }
+  plan.edges.push({ type, from: String(from), to: String(to), properties: props });
+}
+
+function reject(plan, kind, error) {
+  plan.rejected[kind]++;
+  plan.errors.push(error);
+}
+
+function properties(item) {
+  const result = {};
+  for (const [name, value] of Object.entries(item)) {
+    if (!IDENTITY_FIELDS.has(name)) result[name] = value;
+  }
+  return result;
+}
+
+// First label of ":Agent" or ":Agent:Worker"
+function labelOf(labels) {
+  return labels ? String(labels).split(':').find(Boolean) || null : null;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ImportError(`Invalid JSON: ${error.message}`);
+  }
+}
+
+function xmlElements(document, tag) {
+  const pattern = new RegExp(`<${tag}\\b([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/${tag}>)`, 'g');
+  return Array.from(document.matchAll(pattern), ([, attributes, content = '']) => ({
+    attributes: xmlAttributes(attributes),
+    content
+  }));
+}
+
+function xmlAttributes(source) {
+  const attributes = {};
+  for (const [, name, value] of source.matchAll(/([\w:.-]+)\s*=\s*"([^"]*)"/g)) {
+    attributes[name] = unescapeXml(value);
+  }
+  return attributes;
+}
+
+function dataValues(content, keys) {
+  const values = {};
+  for (const [, attributes, raw] of content.matchAll(/<data\b([^>]*)>([\s\S]*?)<\/data>/g)) {
+    const keyId = xmlAttributes(attributes).key;
+    const key = keys.get(keyId) || { name: keyId, type: 'string' };
+    const cdata = /^<!\[CDATA\[([\s\S]*)\]\]>$/.exec(raw);
+    values[key.name] = typedValue(cdata ? cdata[1] : unescapeXml(raw), key.type);
+  }
+  return values;
+}
+
+function unescapeXml(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+    }
+    return XML_ENTITIES[code] !== undefined ? XML_ENTITIES[code] : entity;
+  });
+}
+
+function typedValue(value, type) {
+  switch (type) {
+    case 'int':
+    case 'long':
+    case 'float':
+    case 'double':
+      return Number(value);
+    case 'boolean':
+      return value === 'true';
+    default:
+      return structured(value);
+  }
+}
+
+// CSV carries no types: numbers, booleans and JSON lists/maps are recovered by shape
+function csvValue(value) {
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(value)) return Number(value);
+  return structured(value);
+}
+
+// Arrays and maps are exported as JSON strings
+function structured(value) {
+  if (!/^\s*[[{]/.test(value)) return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+module.exports = GraphImporter;
+module.exports.ImportError = ImportError;
+module.exports.FORMATS = FORMATS;
@@ -0,0 +1,103 @@
+/**
+ * Graph Persistence
+ * Durable storage for the visualization graph: an append-only write-ahead
+ * event log plus periodic snapshots of nodes and edges.
+ *
+ * Any object exposing the same methods can be passed to the server as
+ * `options.persistence`:
+ *   load()                -> Promise<{ snapshot, events }>
+ *   append(event)         -> void
+ *   saveSnapshot(state)   -> void   (state: { nodes, edges, seq })
+ *   flush() / close()     -> Promise<void>
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileGraphPersistence {
+  constructor(options = {}) {
+    if (!options.dir) {
+      throw new Error('FileGraphPersistence requires a dir option');
+    }
+
+    this.dir = options.dir;
+    this.logFile = path.join(this.dir, 'events.log');
+    this.snapshotFile = path.join(this.dir, 'snapshot.json');
+
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  async load() {
+    const snapshot = await this.readSnapshot();
+    const events = await this.readLog();
+    return { snapshot, events };
+  }
+
+  async readSnapshot() {
+    try {
+      const raw = await fs.promises.readFile(this.snapshotFile, 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ Failed to read graph snapshot:', error);
+      }
+      return null;
+    }
+  }
+
+  async readLog() {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.logFile, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ Failed to read event log:', error);
+      }
+      return [];
+    }
+
+    const events = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        // A torn final write after a crash - everything before it is intact
+        console.warn('⚠️  Skipping unreadable event log entry');
+      }
+    }
+    return events;
+  }
+
+  append(event) {
+    // Synchronous so the entry is on disk before the mutation is broadcast
+    fs.appendFileSync(this.logFile, JSON.stringify(event) + '\n');
+  }
+
+  saveSnapshot(state) {
+    const snapshot = {
+      ...state,
+      savedAt: new Date()
+    };
+
+    // Write-then-rename keeps the previous snapshot intact until the new one is complete
+    const tmpFile = `${this.snapshotFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(snapshot));
+    fs.renameSync(tmpFile, this.snapshotFile);
+
+    // Everything in the log is now covered by the snapshot
+    fs.writeFileSync(this.logFile, '');
+
+    return snapshot;
+  }
+
+  async flush() {
+    // Appends are synchronous, nothing is buffered
+  }
+
+  async close() {
+    await this.flush();
+  }
+}
+
+module.exports = FileGraphPersistence;
@@ -0,0 +1,431 @@
+/**
+ * Graph Store
+ * Indexed in-memory graph: Map-based id lookup, adjacency indexes by edge type
+ * and direction, and per-type secondary indexes for nodes and edges.
+ *
+ * `nodes` / `edges` are exposed as arrays for compatibility with code (and the
+ * JSON API) that treated the graph as plain arrays.
+ */
+
+class GraphStore {
+  constructor() {
+    this.nodeMap = new Map();
+    this.edgeMap = new Map();
+    this.index = {
+      nodesByType: new Map(),      // type -> Set<nodeId>
+      nodesByStatus: new Map(),    // type -> Map<status, Set<nodeId>>
+      edgesByType: new Map(),      // type -> Set<edgeId>
+      out: new Map(),              // nodeId -> Map<edgeType, Set<edgeId>>
+      in: new Map(),               // nodeId -> Map<edgeType, Set<edgeId>>
+      neighbors: new Map()         // nodeId -> Map<neighborId, edgeCount> (undirected)
+    };
+
+    // Bumped whenever nodes or edges are added or removed, so derived
+    // structures (e.g. centrality) know when they are stale
+    this.version = 0;
+
+    this.metrics = {};
+    this.timestamp = new Date();
+  }
+
+  get nodes() {
+    return Array.from(this.nodeMap.values());
+  }
+
+  get edges() {
+    return Array.from(this.edgeMap.values());
+  }
+
+  get nodeCount() {
+    return this.nodeMap.size;
+  }
+
+  get edgeCount() {
+    return this.edgeMap.size;
+  }
+
+  toJSON() {
+    // Indexes stay private; anything else attached to the graph (metrics, timestamp, ...) is public
+    const { nodeMap, edgeMap, index, version, ...rest } = this;
+    return { nodes: this.nodes, edges: this.edges, ...rest };
+  }
+
+  // Nodes
+  getNode(id) {
+    return this.nodeMap.get(id) || null;
+  }
+
+  hasNode(id) {
+    return this.nodeMap.has(id);
+  }
+
+  addNode(node) {
+    if (this.nodeMap.has(node.id)) {
+      this.unindexNode(this.nodeMap.get(node.id));
+    }
+    this.nodeMap.set(node.id, node);
+    this.indexNode(node);
+    this.version++;
+    return node;
+  }
+
+  updateNode(id, updates) {
+    const node = this.nodeMap.get(id);
+    if (!node) return null;
+
+    this.unindexNode(node);
+    Object.assign(node, updates);
+    this.indexNode(node);
+    return node;
+  }
+
+  removeNode(id) {
+    const node = this.nodeMap.get(id);
+    if (!node) return null;
+
+    this.unindexNode(node);
+    this.nodeMap.delete(id);
+    this.version++;
+    return node;
+  }
+
+  nodesOfType(type) {
+    return this.idsToItems(this.index.nodesByType.get(type), this.nodeMap);
+  }
+
+  nodesWithStatus(type, status) {
+    return this.idsToItems(this.index.nodesByStatus.get(type)?.get(status), this.nodeMap);
+  }
+
+  // Edges
+  getEdge(id) {
+    return this.edgeMap.get(id) || null;
+  }
+
+  addEdge(edge) {
+    if (this.edgeMap.has(edge.id)) {
+      this.unindexEdge(this.edgeMap.get(edge.id));
+    }
+    this.edgeMap.set(edge.id, edge);
+    this.indexEdge(edge);
+    this.version++;
+    return edge;
+  }
+
+  removeEdge(id) {
+    const edge = this.edgeMap.get(id);
+    if (!edge) return null;
+
+    this.unindexEdge(edge);
+    this.edgeMap.delete(id);
+    this.version++;
+    return edge;
+  }
+
+  edgesOfType(type) {
+    return this.idsToItems(this.index.edgesByType.get(type), this.edgeMap);
+  }
+
+  /**
+   * Edges touching a node.
+   * @param {string} nodeId
+   * @param {{direction?: 'out'|'in'|'both', type?: string}} options
+   */
+  edgesOf(nodeId, { direction = 'both', type } = {}) {
+    const ids = new Set();
+    const collect = (byType) => {
+      if (!byType) return;
+      if (type) {
+        byType.get(type)?.forEach(id => ids.add(id));
+      } else {
+        byType.forEach(set => set.forEach(id => ids.add(id)));
+      }
+    };
+
+    if (direction !== 'in') collect(this.index.out.get(nodeId));
+    if (direction !== 'out') collect(this.index.in.get(nodeId));
+
+    return this.idsToItems(ids, this.edgeMap);
+  }
+
+  neighborsOf(nodeId, options = {}) {
+    if (!options.direction && !options.type) {
+      return Array.from(this.index.neighbors.get(nodeId)?.keys() || []);
+    }
+
+    const ids = new Set();
+    for (const edge of this.edgesOf(nodeId, options)) {
+      ids.add(edge.from === nodeId ? edge.to : edge.from);
+    }
+    return Array.from(ids);
+  }
+
+  degree(nodeId) {
+    return this.edgesOf(nodeId).length;
+  }
+
+  hasEdge(from, to) {
+    return this.index.neighbors.get(from)?.has(to) || false;
+  }
+
+  clear() {
+    this.nodeMap.clear();
+    this.edgeMap.clear();
+    Object.values(this.index).forEach(map => map.clear());
+    this.version++;
+  }
+
+  // Index maintenance
+  indexNode(node) {
+    this.addToIndex(this.index.nodesByType, node.type, node.id);
+
+    if (node.status !== undefined) {
+      if (!this.index.nodesByStatus.has(node.type)) {
+        this.index.nodesByStatus.set(node.type, new Map());
+      }
+      this.addToIndex(this.index.nodesByStatus.get(node.type), node.status, node.id);
+    }
+  }
+
+  unindexNode(node) {
+    this.removeFromIndex(this.index.nodesByType, node.type, node.id);
+    this.removeFromIndex(this.index.nodesByStatus.get(node.type), node.status, node.id);
+  }
+
+  indexEdge(edge) {
+    this.addToIndex(this.index.edgesByType, edge.type, edge.id);
+    this.addToAdjacency(this.index.out, edge.from, edge.type, edge.id);
+    this.addToAdjacency(this.index.in, edge.to, edge.type, edge.id);
+
+    if (edge.from !== edge.to) {
+      this.countNeighbor(edge.from, edge.to, 1);
+      this.countNeighbor(edge.to, edge.from, 1);
+    }
+  }
+
+  unindexEdge(edge) {
+    this.removeFromIndex(this.index.edgesByType, edge.type, edge.id);
+    this.removeFromIndex(this.index.out.get(edge.from), edge.type, edge.id);
+    this.removeFromIndex(this.index.in.get(edge.to), edge.type, edge.id);
+
+    if (edge.from !== edge.to) {
+      this.countNeighbor(edge.from, edge.to, -1);
+      this.countNeighbor(edge.to, edge.from, -1);
+    }
+  }
+
+  addToIndex(index, key, id) {
+    if (!index.has(key)) index.set(key, new Set());
+    index.get(key).add(id);
+  }
+
+  removeFromIndex(index, key, id) {
+    const set = index?.get(key);
+    if (!set) return;
+    set.delete(id);
+    if (set.size === 0) index.delete(key);
+  }
+
+  addToAdjacency(adjacency, nodeId, type, edgeId) {
+    if (!adjacency.has(nodeId)) adjacency.set(nodeId, new Map());
+    this.addToIndex(adjacency.get(nodeId), type, edgeId);
+  }
+
+  countNeighbor(nodeId, neighborId, delta) {
+    if (!this.index.neighbors.has(nodeId)) this.index.neighbors.set(nodeId, new Map());
+    const counts = this.index.neighbors.get(nodeId);
+    const count = (counts.get(neighborId) || 0) + delta;
+
+    if (count > 0) {
+      counts.set(neighborId, count);
+    } else {
+      counts.delete(neighborId);
+      if (counts.size === 0) this.index.neighbors.delete(nodeId);
+    }
+  }
+
+  idsToItems(ids, map) {
+    if (!ids) return [];
+    const items = [];
+    ids.forEach(id => {
+      const item = map.get(id);
+      if (item) items.push(item);
+    });
+    return items;
+  }
+
+  // Metrics
+  calculateMetrics() {
+    const metrics = {
+      timestamp: new Date(),
+      graph: {
+        totalNodes: this.nodeCount,
+        totalEdges: this.edgeCount,
+        nodesByType: this.countNodesByType(),
+        edgesByType: this.countEdgesByType()
+      },
+      performance: {
+        activeTasks: this.nodesWithStatus('Task', 'executing').length,
+        completedTasks: this.nodesWithStatus('Task', 'completed').length,
+        activeAgents: this.nodesWithStatus('Agent', 'active').length,
+        avgTaskDuration: this.calculateAvgTaskDuration()
+      },
+      connectivity: {
+        avgDegree: this.calculateAvgDegree(),
+        clustering: this.calculateClustering(),
+        avgClustering: this.calculateAvgClustering(),
+        density: this.calculateDensity(),
+        components: this.findConnectedComponents()
+      }
+    };
+
+    this.metrics = metrics;
+    return metrics;
+  }
+
+  countByType(items) {
+    return items.reduce((acc, item) => {
+      acc[item.type] = (acc[item.type] || 0) + 1;
+      return acc;
+    }, {});
+  }
+
+  countNodesByType() {
+    return this.countIndex(this.index.nodesByType);
+  }
+
+  countEdgesByType() {
+    return this.countIndex(this.index.edgesByType);
+  }
+
+  countIndex(index) {
+    const counts = {};
+    index.forEach((ids, type) => {
+      counts[type] = ids.size;
+    });
+    return counts;
+  }
+
+  calculateAvgDegree() {
+    if (this.nodeCount === 0) return 0;
+    return (this.edgeCount * 2) / this.nodeCount;
+  }
+
+  calculateClustering() {
+    // Simplified clustering coefficient
+    const n = this.nodeCount;
+    const triangles = this.findTriangles();
+    const possibleTriangles = n * (n - 1) * (n - 2) / 6;
+    return possibleTriangles > 0 ? triangles / possibleTriangles : 0;
+  }
+
+  /**
+   * Local clustering coefficient: the share of a node's neighbor pairs that
+   * are themselves connected (undirected, parallel edges collapsed).
+   */
+  localClustering(nodeId) {
+    const neighbors = Array.from(this.index.neighbors.get(nodeId)?.keys() || []);
+    const k = neighbors.length;
+    if (k < 2) return 0;
+
+    let links = 0;
+    for (let i = 0; i < k; i++) {
+      const adjacent = this.index.neighbors.get(neighbors[i]);
+      for (let j = i + 1; j < k; j++) {
+        if (adjacent.has(neighbors[j])) links++;
+      }
+    }
+    return links / (k * (k - 1) / 2);
+  }
+
+  calculateAvgClustering() {
+    if (this.nodeCount === 0) return 0;
+
+    let total = 0;
+    for (const nodeId of this.nodeMap.keys()) {
+      total += this.localClustering(nodeId);
+    }
+    return total / this.nodeCount;
+  }
+
+  // Connected node pairs over possible pairs (undirected, parallel edges collapsed)
+  calculateDensity() {
+    const n = this.nodeCount;
+    if (n < 2) return 0;
+
+    let pairs = 0;
+    for (const [nodeId, neighbors] of this.index.neighbors) {
+      if (!this.nodeMap.has(nodeId)) continue;
+      for (const neighborId of neighbors.keys()) {
+        if (this.nodeMap.has(neighborId)) pairs++;
+      }
+    }
+    return (pairs / 2) / (n * (n - 1) / 2);
+  }
+
+  findTriangles() {
+    // Each triangle is counted once by only walking "upwards" in a fixed node order
+    const rank = new Map();
+    Array.from(this.index.neighbors.keys()).forEach((id, i) => rank.set(id, i));
+
+    let count = 0;
+    for (const [u, uNeighbors] of this.index.neighbors) {
+      const ru = rank.get(u);
+      for (const v of uNeighbors.keys()) {
+        if (rank.get(v) <= ru) continue;
+        for (const w of this.index.neighbors.get(v).keys()) {
+          if (rank.get(w) > rank.get(v) && uNeighbors.has(w)) {
+            count++;
+          }
+        }
+      }
+    }
+
+    return count;
+  }
+
+  findConnectedComponents() {
+    const visited = new Set();
+    let components = 0;
+
+    for (const nodeId of this.nodeMap.keys()) {
+      if (!visited.has(nodeId)) {
+        this.dfs(nodeId, visited);
+        components++;
+      }
+    }
+
+    return components;
+  }
+
+  dfs(nodeId, visited) {
+    const stack = [nodeId];
+    const component = [];
+
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (!visited.has(current)) {
+        visited.add(current);
+        component.push(current);
+        const neighbors = this.index.neighbors.get(current);
+        if (neighbors) stack.push(...neighbors.keys());
+      }
+    }
+
+    return component;
+  }
+
+  calculateAvgTaskDuration() {
+    const completedTasks = this.nodesWithStatus('Task', 'completed').filter(task => task.duration);
+
+    if (completedTasks.length === 0) return 0;
+
+    const totalDuration = completedTasks.reduce((sum, task) =>
+      sum + task.duration, 0
+    );
+
+    return totalDuration / completedTasks.length;
+  }
+}
+
+module.exports = GraphStore;
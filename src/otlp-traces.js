@@ -0,0 +1,256 @@
+/**
+ * OTLP Traces
+ * Maps OTLP/JSON trace exports (ExportTraceServiceRequest) onto the swarm graph:
+ *
+ * - each resource (service.name + service.instance.id) becomes an Agent
+ * - root spans become Tasks, child spans sub-Tasks (SUBTASK_OF their parent)
+ * - span links, cross-service parent/child calls and `peer.service` become
+ *   COLLABORATES edges between the agents involved
+ *
+ * Span duration (seconds) and status fill the task's `duration` and `status`.
+ * The mapper only plans changes; the caller applies them to the graph.
+ */
+
+const SPAN_KIND_CLIENT = 3;
+const STATUS_CODE_ERROR = 2;
+
+const SPAN_KINDS = {
+  SPAN_KIND_UNSPECIFIED: 0,
+  SPAN_KIND_INTERNAL: 1,
+  SPAN_KIND_SERVER: 2,
+  SPAN_KIND_CLIENT: 3,
+  SPAN_KIND_PRODUCER: 4,
+  SPAN_KIND_CONSUMER: 5
+};
+
+const STATUS_CODES = {
+  STATUS_CODE_UNSET: 0,
+  STATUS_CODE_OK: 1,
+  STATUS_CODE_ERROR: 2
+};
+
+class OtlpTraceMapper {
+  constructor(graph) {
+    this.graph = graph;
+  }
+
+  static agentId(serviceName, instanceId) {
+    return instanceId ? `otel-agent-${serviceName}-${instanceId}` : `otel-agent-${serviceName}`;
+  }
+
+  static taskId(spanId) {
+    return `otel-task-${spanId}`;
+  }
+
+  /**
+   * Structural problems that make the whole export unreadable; a bad span
+   * only rejects that span.
+   * @returns {string[]} empty when the request can be mapped
+   */
+  static validate(request) {
+    if (!isObject(request) || !Array.isArray(request.resourceSpans)) {
+      return ['resourceSpans must be an array'];
+    }
+
+    const errors = [];
+    request.resourceSpans.forEach((resourceSpans, i) => {
+      if (!isObject(resourceSpans)) {
+        errors.push(`resourceSpans[${i}] must be an object`);
+      } else if (resourceSpans.scopeSpans !== undefined && !Array.isArray(resourceSpans.scopeSpans)) {
+        errors.push(`resourceSpans[${i}].scopeSpans must be an array`);
+      } else {
+        (resourceSpans.scopeSpans || []).forEach((scopeSpans, j) => {
+          if (!isObject(scopeSpans)) {
+            errors.push(`resourceSpans[${i}].scopeSpans[${j}] must be an object`);
+          } else if (scopeSpans.spans !== undefined && !Array.isArray(scopeSpans.spans)) {
+            errors.push(`resourceSpans[${i}].scopeSpans[${j}].spans must be an array`);
+          }
+        });
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * @returns {{nodes: Array<{type, data}>, edges: Array<{type, from, to, properties}>,
+   *   acceptedSpans: number, rejectedSpans: number, errors: string[]}}
+   */
+  map(request) {
+    const plan = { nodes: [], edges: [], acceptedSpans: 0, rejectedSpans: 0, errors: [] };
+    const agents = new Map();       // agentId -> data
+    const spans = new Map();        // spanId -> { span, agentId, taskId }
+    const services = new Map();     // service.name -> agentId, for peer.service
+
+    for (const resourceSpans of request.resourceSpans) {
+      const resource = decodeAttributes(resourceSpans.resource?.attributes);
+      const serviceName = String(resource['service.name'] || 'unknown_service');
+      const agentId = OtlpTraceMapper.agentId(serviceName, resource['service.instance.id']);
+
+      for (const scopeSpans of resourceSpans.scopeSpans || []) {
+        for (const span of scopeSpans.spans || []) {
+          if (!span || typeof span.spanId !== 'string' || !span.spanId || typeof span.name !== 'string') {
+            plan.rejectedSpans++;
+            plan.errors.push('span must have a spanId and name');
+            continue;
+          }
+          if (span.links !== undefined && !Array.isArray(span.links)) {
+            plan.rejectedSpans++;
+            plan.errors.push(`span ${span.spanId}: links must be an array`);
+            continue;
+          }
+
+          if (!agents.has(agentId)) {
+            agents.set(agentId, {
+              id: agentId,
+              name: serviceName,
+              status: 'active',
+              source: 'otel',
+              ...(resource['service.instance.id'] && { instanceId: String(resource['service.instance.id']) }),
+              ...(resource['swarm.id'] && { swarmId: String(resource['swarm.id']) })
+            });
+            services.set(serviceName, agentId);
+          }
+          spans.set(span.spanId, { span, agentId, taskId: OtlpTraceMapper.taskId(span.spanId) });
+          plan.acceptedSpans++;
+        }
+      }
+    }
+
+    for (const agent of agents.values()) {
+      plan.nodes.push({ type: 'Agent', data: agent });
+      if (agent.swarmId) {
+        plan.edges.push({ type: 'ORCHESTRATES', from: agent.swarmId, to: agent.id, properties: {} });
+      }
+    }
+
+    const collaborations = new Map();
+    const collaborate = (from, to) => {
+      if (!from || !to || from === to) return;
+      const key = `${from}|${to}`;
+      collaborations.set(key, (collaborations.get(key) || 0) + 1);
+    };
+
+    for (const { span, agentId, taskId } of spans.values()) {
+      const parentSpanId = span.parentSpanId || null;
+      plan.nodes.push({ type: 'Task', data: this.taskData(span, taskId, parentSpanId) });
+      plan.edges.push({ type: 'EXECUTES', from: agentId, to: taskId, properties: { startTime: toDate(span.startTimeUnixNano) } });
+
+      if (parentSpanId) {
+        plan.edges.push({ type: 'SUBTASK_OF', from: taskId, to: OtlpTraceMapper.taskId(parentSpanId), properties: {} });
+        collaborate(this.agentOfSpan(parentSpanId, spans), agentId);
+      }
+
+      for (const link of span.links || []) {
+        if (link && link.spanId) collaborate(agentId, this.agentOfSpan(link.spanId, spans));
+      }
+
+      const attributes = decodeAttributes(span.attributes);
+      if (spanKind(span.kind) === SPAN_KIND_CLIENT && attributes['peer.service']) {
+        const peer = String(attributes['peer.service']);
+        collaborate(agentId, services.get(peer) || this.existingAgent(peer));
+      }
+    }
+
+    for (const [key, messages] of collaborations) {
+      const [from, to] = key.split('|');
+      const existing = this.graph.getEdge(`${from}_COLLABORATES_${to}`);
+      plan.edges.push({
+        type: 'COLLABORATES',
+        from,
+        to,
+        properties: { protocol: 'otel', messages: (Number(existing?.messages) || 0) + messages }
+      });
+    }
+
+    return plan;
+  }
+
+  taskData(span, taskId, parentSpanId) {
+    const start = toMillis(span.startTimeUnixNano);
+    const end = toMillis(span.endTimeUnixNano);
+    const ended = end > 0;
+    const failed = statusCode(span.status?.code) === STATUS_CODE_ERROR;
+
+    return {
+      id: taskId,
+      name: span.name,
+      status: failed ? 'failed' : ended ? 'completed' : 'executing',
+      progress: ended ? 100 : 0,
+      traceId: span.traceId,
+      spanId: span.spanId,
+      ...(parentSpanId && { parentSpanId, parentTaskId: OtlpTraceMapper.taskId(parentSpanId) }),
+      ...(start > 0 && { startedAt: new Date(start) }),
+      ...(ended && { completedAt: new Date(end) }),
+      ...(ended && start > 0 && { duration: (end - start) / 1000 }),
+      ...(span.status?.message && { statusMessage: span.status.message }),
+      attributes: decodeAttributes(span.attributes)
+    };
+  }
+
+  // Agent of a span in this export, or of one ingested earlier
+  agentOfSpan(spanId, spans) {
+    if (spans.has(spanId)) return spans.get(spanId).agentId;
+
+    const taskId = OtlpTraceMapper.taskId(spanId);
+    const executor = this.graph.edgesOf(taskId, { direction: 'in', type: 'EXECUTES' })[0];
+    return executor ? executor.from : null;
+  }
+
+  existingAgent(serviceName) {
+    const id = OtlpTraceMapper.agentId(serviceName);
+    return this.graph.hasNode(id) ? id : null;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function decodeAttributes(attributes) {
+  const decoded = {};
+  for (const attribute of Array.isArray(attributes) ? attributes : []) {
+    if (attribute && typeof attribute.key === 'string') {
+      decoded[attribute.key] = decodeValue(attribute.value);
+    }
+  }
+  return decoded;
+}
+
+function decodeValue(value) {
+  if (!value || typeof value !== 'object') return null;
+  if ('stringValue' in value) return value.stringValue;
+  if ('boolValue' in value) return value.boolValue;
+  if ('intValue' in value) return Number(value.intValue);
+  if ('doubleValue' in value) return Number(value.doubleValue);
+  if ('bytesValue' in value) return value.bytesValue;
+  if ('arrayValue' in value) return (value.arrayValue?.values || []).map(decodeValue);
+  if ('kvlistValue' in value) return decodeAttributes(value.kvlistValue?.values);
+  return null;
+}
+
+// OTLP/JSON carries 64-bit nanosecond timestamps as decimal strings
+function toMillis(nanos) {
+  if (nanos === undefined || nanos === null || nanos === '') return 0;
+  try {
+    return Number(BigInt(nanos) / 1000000n);
+  } catch (error) {
+    return 0;
+  }
+}
+
+function toDate(nanos) {
+  const millis = toMillis(nanos);
+  return millis > 0 ? new Date(millis) : new Date();
+}
+
+// Enums may arrive as numbers or as their names
+function spanKind(kind) {
+  return typeof kind === 'string' ? SPAN_KINDS[kind] : kind;
+}
+
+function statusCode(code) {
+  return typeof code === 'string' ? STATUS_CODES[code] : code;
+}
+
+module.exports = OtlpTraceMapper;
+module.exports.decodeAttributes = decodeAttributes;
@@ -0,0 +1,155 @@
+/**
+ * Prometheus Metrics
+ * Minimal counters, gauges and histograms rendered in the Prometheus text
+ * exposition format (version 0.0.4).
+ *
+ * Gauges are usually given a `collect(gauge)` callback that sets their values
+ * at scrape time, so they always reflect the live graph.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();   // label key -> { labels, value }
+  }
+
+  key(labels) {
+    return this.labelNames.map(name => labels[name] ?? '').join('\u0000');
+  }
+
+  entry(labels) {
+    const key = this.key(labels);
+    if (!this.values.has(key)) {
+      const picked = {};
+      this.labelNames.forEach(name => { picked[name] = String(labels[name] ?? ''); });
+      this.values.set(key, { labels: picked, value: 0 });
+    }
+    return this.values.get(key);
+  }
+
+  samples() {
+    return Array.from(this.values.values()).map(({ labels, value }) => ({ name: this.name, labels, value }));
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.entry(labels).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.entry(labels).value = value;
+  }
+
+  samples() {
+    if (this.collect) {
+      this.values.clear();
+      this.collect(this);
+    }
+    return super.samples();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super('histogram', name, help);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+    this.counts = new Array(this.buckets.length).fill(0);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  observe(value) {
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) this.counts[i]++;
+    });
+    this.sum += value;
+    this.count++;
+  }
+
+  samples() {
+    return [
+      ...this.buckets.map((bound, i) => ({ name: `${this.name}_bucket`, labels: { le: String(bound) }, value: this.counts[i] })),
+      { name: `${this.name}_bucket`, labels: { le: '+Inf' }, value: this.count },
+      { name: `${this.name}_sum`, labels: {}, value: this.sum },
+      { name: `${this.name}_count`, labels: {}, value: this.count }
+    ];
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  get(name) {
+    return this.metrics.get(name) || null;
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${escapeHelp(metric.help)}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const { name, labels, value } of metric.samples()) {
+        lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+function escapeHelp(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .map(([name, value]) => `${name}="${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+module.exports = MetricsRegistry;
+module.exports.CONTENT_TYPE = CONTENT_TYPE;
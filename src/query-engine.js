@@ -0,0 +1,511 @@
+/**
+ * Query Engine
+ * Runs the Cypher subset understood by CypherParser against a GraphStore.
+ *
+ * Results are `{ columns, rows, count }`, with each row keyed by column name
+ * (the alias, or the expression text). Nodes and relationships are returned as
+ * stored; paths as `{ nodes, relationships }`.
+ *
+ * One extension over standard Cypher, needed by the schema's `bottlenecks`
+ * query: aggregates inside WHERE are computed over every MATCH row.
+ */
+
+const CypherParser = require('./cypher-parser');
+const { QueryError } = CypherParser;
+
+const AGGREGATES = new Set(['count', 'avg', 'sum', 'min', 'max', 'collect']);
+
+class QueryEngine {
+  constructor(graph, options = {}) {
+    this.graph = graph;
+    this.maxRows = options.maxRows || 10000;
+  }
+
+  run(source, params = {}) {
+    const query = CypherParser.parse(source);
+    const context = { params: params || {} };
+
+    let rows = this.match(query.patterns, context);
+
+    if (query.where) {
+      const whereContext = { ...context, aggregateRows: rows };
+      rows = rows.filter(row => this.evaluate(query.where, row, whereContext) === true);
+    }
+
+    let entries = this.project(query, rows, context);
+
+    if (query.distinct) {
+      const seen = new Set();
+      entries = entries.filter(entry => {
+        const key = JSON.stringify(entry.values.map(identityKey));
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+
+    if (query.orderBy.length > 0) {
+      this.sort(query, entries, context);
+    }
+
+    const end = query.limit === null ? undefined : query.skip + query.limit;
+    entries = entries.slice(query.skip, end);
+
+    const columns = query.returns.map(item => item.name);
+    return {
+      columns,
+      rows: entries.map(entry => {
+        const row = {};
+        columns.forEach((column, i) => {
+          row[column] = entry.values[i];
+        });
+        return row;
+      }),
+      count: entries.length
+    };
+  }
+
+  // MATCH
+  match(patterns, context) {
+    let rows = [{}];
+    for (const pattern of patterns) {
+      const next = [];
+      for (const row of rows) {
+        this.matchPattern(pattern, row, context, next);
+      }
+      rows = next;
+    }
+    return rows;
+  }
+
+  matchPattern(pattern, row, context, out) {
+    const start = pattern.nodes[0];
+
+    for (const node of this.startCandidates(start, row, context)) {
+      const bound = start.variable ? { ...row, [start.variable]: node } : row;
+      this.extend(pattern, 0, bound, [node], [], new Set(), context, out);
+    }
+  }
+
+  startCandidates(nodePattern, row, context) {
+    const bound = nodePattern.variable ? row[nodePattern.variable] : undefined;
+    if (bound !== undefined) {
+      return this.nodeMatches(nodePattern, bound, row, context) ? [bound] : [];
+    }
+
+    const pool = nodePattern.label ? this.graph.nodesOfType(nodePattern.label) : this.graph.nodes;
+    return pool.filter(node => this.nodeMatches(nodePattern, node, row, context));
+  }
+
+  extend(pattern, i, row, nodes, relationships, usedEdges, context, out) {
+    if (i === pattern.relationships.length) {
+      out.push(pattern.pathVariable
+        ? { ...row, [pattern.pathVariable]: { nodes, relationships } }
+        : row);
+      if (out.length > this.maxRows) {
+        throw new QueryError(`Query matched more than ${this.maxRows} rows; narrow the pattern or add a WHERE`);
+      }
+      return;
+    }
+
+    const relPattern = pattern.relationships[i];
+    const nextPattern = pattern.nodes[i + 1];
+    const current = nodes[nodes.length - 1];
+
+    for (const edge of this.edgesFor(current.id, relPattern)) {
+      // A relationship is used at most once per match, as in Cypher
+      if (usedEdges.has(edge.id)) continue;
+      if (relPattern.variable && row[relPattern.variable] !== undefined && row[relPattern.variable] !== edge) continue;
+      if (!this.propertiesMatch(relPattern.properties, edge, row, context)) continue;
+
+      const other = this.graph.getNode(edge.from === current.id ? edge.to : edge.from);
+      if (!other) continue;
+      if (nextPattern.variable && row[nextPattern.variable] !== undefined && row[nextPattern.variable] !== other) continue;
+      if (!this.nodeMatches(nextPattern, other, row, context)) continue;
+
+      const next = { ...row };
+      if (relPattern.variable) next[relPattern.variable] = edge;
+      if (nextPattern.variable) next[nextPattern.variable] = other;
+
+      usedEdges.add(edge.id);
+      this.extend(pattern, i + 1, next, [...nodes, other], [...relationships, edge], usedEdges, context, out);
+      usedEdges.delete(edge.id);
+    }
+  }
+
+  edgesFor(nodeId, relPattern) {
+    const direction = relPattern.direction;
+    if (relPattern.types.length === 0) {
+      return this.graph.edgesOf(nodeId, { direction });
+    }
+    return relPattern.types.flatMap(type => this.graph.edgesOf(nodeId, { direction, type }));
+  }
+
+  nodeMatches(nodePattern, node, row, context) {
+    if (nodePattern.label && node.type !== nodePattern.label) return false;
+    return this.propertiesMatch(nodePattern.properties, node, row, context);
+  }
+
+  propertiesMatch(properties, item, row, context) {
+    if (!properties) return true;
+    return properties.every(([key, expression]) =>
+      valuesEqual(item[key], this.evaluate(expression, row, context)) === true
+    );
+  }
+
+  // RETURN
+  project(query, rows, context) {
+    const aggregated = query.returns.some(item => containsAggregate(item.expression));
+
+    if (!aggregated) {
+      return rows.map(row => ({
+        scope: row,
+        group: null,
+        values: query.returns.map(item => this.evaluate(item.expression, row, context))
+      }));
+    }
+
+    // Group by the non-aggregate return items
+    const keyItems = query.returns.filter(item => !containsAggregate(item.expression));
+    const groups = new Map();
+    for (const row of rows) {
+      const key = JSON.stringify(keyItems.map(item => identityKey(this.evaluate(item.expression, row, context))));
+      if (!groups.has(key)) groups.set(key, { row, rows: [] });
+      groups.get(key).rows.push(row);
+    }
+    if (groups.size === 0 && keyItems.length === 0) {
+      groups.set('', { row: {}, rows: [] });
+    }
+
+    return Array.from(groups.values()).map(group => ({
+      scope: group.row,
+      group: group.rows,
+      values: query.returns.map(item =>
+        this.evaluate(item.expression, group.row, { ...context, group: group.rows })
+      )
+    }));
+  }
+
+  sort(query, entries, context) {
+    const columns = query.returns.map(item => item.name);
+    const keys = new Map();
+
+    for (const entry of entries) {
+      const scope = { ...entry.scope };
+      query.returns.forEach((item, i) => {
+        if (item.alias) scope[item.alias] = entry.values[i];
+      });
+
+      keys.set(entry, query.orderBy.map(order => {
+        const column = columns.indexOf(order.text);
+        if (column !== -1) return entry.values[column];
+        return this.evaluate(order.expression, scope, { ...context, group: entry.group });
+      }));
+    }
+
+    entries.sort((a, b) => {
+      const keyA = keys.get(a);
+      const keyB = keys.get(b);
+      for (let i = 0; i < query.orderBy.length; i++) {
+        const result = compareForSort(keyA[i], keyB[i]);
+        if (result !== 0) return query.orderBy[i].descending ? -result : result;
+      }
+      return 0;
+    });
+  }
+
+  // Expressions
+  evaluate(expression, row, context) {
+    switch (expression.type) {
+      case 'literal':
+        return expression.value;
+
+      case 'parameter':
+        return context.params[expression.name] === undefined ? null : context.params[expression.name];
+
+      case 'variable':
+        if (!(expression.name in row)) {
+          throw new QueryError(`Unknown variable: ${expression.name}`);
+        }
+        return row[expression.name];
+
+      case 'property': {
+        const object = this.evaluate(expression.object, row, context);
+        if (object === null || object === undefined || typeof object !== 'object') return null;
+        const value = object[expression.key];
+        return value === undefined ? null : value;
+      }
+
+      case 'list':
+        return expression.items.map(item => this.evaluate(item, row, context));
+
+      case 'negate': {
+        const value = this.evaluate(expression.operand, row, context);
+        return typeof value === 'number' ? -value : null;
+      }
+
+      case 'arithmetic':
+        return arithmetic(
+          expression.operator,
+          this.evaluate(expression.left, row, context),
+          this.evaluate(expression.right, row, context)
+        );
+
+      case 'compare':
+        return compare(
+          expression.operator,
+          this.evaluate(expression.left, row, context),
+          this.evaluate(expression.right, row, context)
+        );
+
+      case 'logical':
+        return logical(
+          expression.operator,
+          this.evaluate(expression.left, row, context),
+          this.evaluate(expression.right, row, context)
+        );
+
+      case 'not': {
+        const value = this.evaluate(expression.operand, row, context);
+        return value === null ? null : !value;
+      }
+
+      case 'isNull': {
+        const value = this.evaluate(expression.operand, row, context);
+        const isNull = value === null || value === undefined;
+        return expression.negated ? !isNull : isNull;
+      }
+
+      case 'in': {
+        const value = this.evaluate(expression.left, row, context);
+        const list = this.evaluate(expression.right, row, context);
+        if (!Array.isArray(list)) return null;
+        return list.some(item => valuesEqual(item, value) === true);
+      }
+
+      case 'string': {
+        const left = this.evaluate(expression.left, row, context);
+        const right = this.evaluate(expression.right, row, context);
+        if (typeof left !== 'string' || typeof right !== 'string') return null;
+        if (expression.operator === 'CONTAINS') return left.includes(right);
+        if (expression.operator === 'STARTS') return left.startsWith(right);
+        return left.endsWith(right);
+      }
+
+      case 'function':
+        return AGGREGATES.has(expression.name)
+          ? this.aggregate(expression, context)
+          : this.callFunction(expression, row, context);
+
+      default:
+        throw new QueryError(`Unsupported expression: ${expression.type}`);
+    }
+  }
+
+  aggregate(call, context) {
+    const rows = context.group || context.aggregateRows;
+    if (!rows) {
+      throw new QueryError(`${call.name}() is only allowed in RETURN, ORDER BY or WHERE`);
+    }
+    if (call.star) {
+      if (call.name !== 'count') throw new QueryError(`${call.name}(*) is not supported`);
+      return rows.length;
+    }
+    if (call.args.length !== 1) {
+      throw new QueryError(`${call.name}() takes exactly one argument`);
+    }
+
+    // Aggregates can't nest, so evaluate the argument without the group
+    const rowContext = { params: context.params };
+    let values = rows
+      .map(row => this.evaluate(call.args[0], row, rowContext))
+      .filter(value => value !== null && value !== undefined);
+
+    if (call.distinct) {
+      const seen = new Set();
+      values = values.filter(value => {
+        const key = JSON.stringify(identityKey(value));
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+
+    switch (call.name) {
+      case 'count':
+        return values.length;
+      case 'collect':
+        return values;
+      case 'sum':
+        return values.filter(value => typeof value === 'number').reduce((sum, value) => sum + value, 0);
+      case 'avg': {
+        const numbers = values.filter(value => typeof value === 'number');
+        return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+      }
+      case 'min':
+      case 'max': {
+        if (values.length === 0) return null;
+        const sign = call.name === 'min' ? 1 : -1;
+        return values.reduce((best, value) => (compareForSort(value, best) * sign < 0 ? value : best));
+      }
+    }
+  }
+
+  callFunction(call, row, context) {
+    const args = call.args.map(arg => this.evaluate(arg, row, context));
+    const [first] = args;
+
+    switch (call.name) {
+      case 'id':
+        return first?.id ?? null;
+      case 'type':
+        return first?.type ?? null;
+      case 'labels':
+        return first ? [first.type] : null;
+      case 'properties':
+        return first ? { ...first } : null;
+      case 'nodes':
+        return first?.nodes ?? null;
+      case 'relationships':
+        return first?.relationships ?? null;
+      case 'length':
+        if (first && Array.isArray(first.relationships)) return first.relationships.length;
+        return typeof first === 'string' || Array.isArray(first) ? first.length : null;
+      case 'size':
+        return typeof first === 'string' || Array.isArray(first) ? first.length : null;
+      case 'coalesce':
+        return args.find(value => value !== null && value !== undefined) ?? null;
+      case 'tolower':
+        return typeof first === 'string' ? first.toLowerCase() : null;
+      case 'toupper':
+        return typeof first === 'string' ? first.toUpperCase() : null;
+      case 'tostring':
+        return first === null || first === undefined ? null : String(first);
+      case 'tointeger': {
+        const value = parseInt(first, 10);
+        return Number.isNaN(value) ? null : value;
+      }
+      case 'tofloat': {
+        const value = parseFloat(first);
+        return Number.isNaN(value) ? null : value;
+      }
+      case 'abs':
+        return typeof first === 'number' ? Math.abs(first) : null;
+      case 'round':
+        return typeof first === 'number' ? Math.round(first) : null;
+      default:
+        throw new QueryError(`Unknown function: ${call.name}()`);
+    }
+  }
+}
+
+function containsAggregate(expression) {
+  if (!expression || typeof expression !== 'object') return false;
+  if (expression.type === 'function' && AGGREGATES.has(expression.name)) return true;
+
+  return Object.values(expression).some(value =>
+    Array.isArray(value) ? value.some(containsAggregate) : containsAggregate(value)
+  );
+}
+
+// Graph entities compare by id; everything else by value
+function identityKey(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value === 'object' && !Array.isArray(value) && value.id !== undefined) {
+    return `#${value.id}`;
+  }
+  if (value && typeof value === 'object' && Array.isArray(value.relationships)) {
+    return value.relationships.map(rel => `#${rel.id}`);
+  }
+  return Array.isArray(value) ? value.map(identityKey) : value;
+}
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function valuesEqual(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return null;
+  return JSON.stringify(identityKey(a)) === JSON.stringify(identityKey(b));
+}
+
+function compare(operator, left, right) {
+  if (operator === '=') return valuesEqual(left, right);
+  if (operator === '<>') {
+    const equal = valuesEqual(left, right);
+    return equal === null ? null : !equal;
+  }
+
+  const a = comparable(left);
+  const b = comparable(right);
+  if (a === null || a === undefined || b === null || b === undefined) return null;
+  if (typeof a !== typeof b || (typeof a !== 'number' && typeof a !== 'string')) return null;
+
+  switch (operator) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+  }
+}
+
+function arithmetic(operator, left, right) {
+  if (left === null || left === undefined || right === null || right === undefined) return null;
+
+  if (operator === '+' && (typeof left === 'string' || typeof right === 'string')) {
+    return String(left) + String(right);
+  }
+  if (operator === '+' && Array.isArray(left)) {
+    return left.concat(right);
+  }
+
+  const a = comparable(left);
+  const b = comparable(right);
+  if (typeof a !== 'number' || typeof b !== 'number') return null;
+
+  switch (operator) {
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/': return b === 0 ? null : a / b;
+    case '%': return b === 0 ? null : a % b;
+  }
+}
+
+function logical(operator, left, right) {
+  const a = left === null || left === undefined ? null : !!left;
+  const b = right === null || right === undefined ? null : !!right;
+
+  switch (operator) {
+    case 'AND':
+      if (a === false || b === false) return false;
+      return a === null || b === null ? null : true;
+    case 'OR':
+      if (a === true || b === true) return true;
+      return a === null || b === null ? null : false;
+    case 'XOR':
+      return a === null || b === null ? null : a !== b;
+  }
+}
+
+// Ascending order: numbers, then strings, then everything else; nulls last
+function compareForSort(left, right) {
+  const a = comparable(left);
+  const b = comparable(right);
+  const rank = value => {
+    if (value === null || value === undefined) return 3;
+    if (typeof value === 'number') return 0;
+    if (typeof value === 'string') return 1;
+    return 2;
+  };
+
+  const rankA = rank(a);
+  const rankB = rank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (rankA === 0) return a - b;
+  if (rankA === 1) return a.localeCompare(b);
+  return 0;
+}
+
+module.exports = QueryEngine;
+module.exports.QueryError = QueryError;
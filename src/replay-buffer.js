@@ -0,0 +1,40 @@
+/**
+ * Replay Buffer
+ * Bounded ring of recently broadcast messages, keyed by sequence number, so a
+ * reconnecting client can be sent just the deltas it missed.
+ */
+
+class ReplayBuffer {
+  constructor(capacity = 1000) {
+    this.capacity = capacity;
+    this.entries = [];
+    this.latestSeq = 0;
+  }
+
+  push(entry) {
+    this.entries.push(entry);
+    this.latestSeq = entry.seq;
+
+    if (this.entries.length > this.capacity) {
+      this.entries.shift();
+    }
+  }
+
+  get oldestSeq() {
+    return this.entries.length > 0 ? this.entries[0].seq : this.latestSeq + 1;
+  }
+
+  /**
+   * Entries after `lastSeq`, or null when they can no longer be replayed
+   * (the buffer has rolled past them, or `lastSeq` is from the future).
+   */
+  since(lastSeq) {
+    if (lastSeq > this.latestSeq) return null;
+    if (lastSeq === this.latestSeq) return [];
+    if (lastSeq < this.oldestSeq - 1) return null;
+
+    return this.entries.filter(entry => entry.seq > lastSeq);
+  }
+}
+
+module.exports = ReplayBuffer;
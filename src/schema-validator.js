@@ -0,0 +1,127 @@
+/**
+ * Schema Validator
+ * Checks node properties and relationship endpoints against the declarations
+ * in swarm-vis-schema.json. Node and relationship types the schema doesn't
+ * declare (GlobalAgent, Workspace, PERFORMS, ...) are not validated, and
+ * properties it doesn't mention are allowed.
+ */
+
+const fs = require('fs');
+
+// strict: reject violating nodes/edges; warn: record and accept; off: skip validation
+const VALIDATION_MODES = ['strict', 'warn', 'off'];
+
+class SchemaValidationError extends Error {
+  constructor(message, violations) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.code = 'SCHEMA_VIOLATION';
+    this.violations = violations;
+  }
+}
+
+class SchemaValidator {
+  constructor(schema) {
+    const { nodes = {}, relationships = {} } = schema.schema || schema;
+
+    this.nodes = new Map();
+    for (const [type, definition] of Object.entries(nodes)) {
+      this.nodes.set(type, this.parseProperties(definition.properties));
+    }
+
+    this.relationships = new Map();
+    for (const [type, definition] of Object.entries(relationships)) {
+      this.relationships.set(type, {
+        from: definition.from,
+        to: definition.to,
+        properties: this.parseProperties(definition.properties)
+      });
+    }
+  }
+
+  static fromFile(schemaPath) {
+    return new SchemaValidator(JSON.parse(fs.readFileSync(schemaPath, 'utf8')));
+  }
+
+  parseProperties(properties = {}) {
+    const parsed = new Map();
+    for (const [name, spec] of Object.entries(properties)) {
+      const match = /^enum\[(.*)\]$/.exec(spec);
+      parsed.set(name, match
+        ? { kind: 'enum', values: match[1].split(',').map(value => value.trim()) }
+        : { kind: spec });
+    }
+    return parsed;
+  }
+
+  /**
+   * @returns {string[]} violations; empty when valid or the type is undeclared
+   */
+  validateNode(type, data = {}) {
+    const properties = this.nodes.get(type);
+    if (!properties) return [];
+
+    return this.checkProperties(properties, data);
+  }
+
+  /**
+   * @param {string} type - relationship type
+   * @param {string|undefined} fromType - node type of the source, if known
+   * @param {string|undefined} toType - node type of the target, if known
+   * @param {object} properties
+   */
+  validateEdge(type, fromType, toType, properties = {}) {
+    const relationship = this.relationships.get(type);
+    if (!relationship) return [];
+
+    const errors = [];
+    // Endpoints whose type the schema doesn't know can't be judged
+    if (this.nodes.has(fromType) && fromType !== relationship.from) {
+      errors.push(`${type} must start at ${relationship.from}, not ${fromType}`);
+    }
+    if (this.nodes.has(toType) && toType !== relationship.to) {
+      errors.push(`${type} must end at ${relationship.to}, not ${toType}`);
+    }
+
+    return errors.concat(this.checkProperties(relationship.properties, properties));
+  }
+
+  checkProperties(declared, data) {
+    const errors = [];
+    for (const [name, spec] of declared) {
+      const value = data[name];
+      if (value === undefined || value === null) continue;
+
+      const problem = this.checkValue(spec, value);
+      if (problem) errors.push(`${name} ${problem}`);
+    }
+    return errors;
+  }
+
+  checkValue(spec, value) {
+    switch (spec.kind) {
+      case 'enum':
+        return spec.values.includes(value) ? null : `must be one of ${spec.values.join(', ')} (got ${JSON.stringify(value)})`;
+      case 'string':
+        return typeof value === 'string' ? null : 'must be a string';
+      case 'number':
+        return Number.isFinite(value) ? null : 'must be a number';
+      case 'boolean':
+        return typeof value === 'boolean' ? null : 'must be a boolean';
+      case 'array':
+        return Array.isArray(value) ? null : 'must be an array';
+      case 'object':
+        return typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+      case 'timestamp':
+        return value instanceof Date || Number.isFinite(value) || !Number.isNaN(Date.parse(value))
+          ? null
+          : 'must be a timestamp';
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = SchemaValidator;
+module.exports.SchemaValidationError = SchemaValidationError;
+module.exports.VALIDATION_MODES = VALIDATION_MODES;
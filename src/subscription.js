@@ -0,0 +1,211 @@
+/**
+ * Subscription
+ * Per-client filter over the graph stream. A broadcast is resolved to the
+ * nodes/edges it concerns and delivered when any of them match; messages that
+ * don't concern graph entities (gc:cleanup, resume:ok, ...) always pass.
+ *
+ * Filters (all optional, combined with AND):
+ *   nodeTypes  - node types to include
+ *   edgeTypes  - edge types to include (edges also need both ends to match)
+ *   swarmId    - the swarm and everything it orchestrates, executes, modifies or implements
+ *   workspace  - the workspace and the nodes operating in it
+ *   status     - node statuses to include (nodes without a status are unaffected)
+ */
+
+const LIST_FILTERS = ['nodeTypes', 'edgeTypes', 'status'];
+const ID_FILTERS = ['swarmId', 'workspace'];
+const FILTER_KEYS = [...LIST_FILTERS, ...ID_FILTERS];
+
+// Followed against their direction to find the swarm a node belongs to
+const SWARM_MEMBERSHIP_EDGES = ['ORCHESTRATES', 'EXECUTES', 'MODIFIES', 'IMPLEMENTS'];
+
+class Subscription {
+  constructor(filters = {}) {
+    this.filters = Subscription.normalize(filters);
+  }
+
+  static normalize(filters) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      throw new Error('Subscription filters must be an object');
+    }
+
+    const normalized = {};
+    for (const [key, value] of Object.entries(filters)) {
+      if (!FILTER_KEYS.includes(key)) {
+        throw new Error(`Unknown subscription filter: ${key}`);
+      }
+      if (value === undefined || value === null) continue;
+
+      if (LIST_FILTERS.includes(key)) {
+        const list = Array.isArray(value) ? value : [value];
+        if (!list.every(item => typeof item === 'string')) {
+          throw new Error(`Subscription filter ${key} must be a list of strings`);
+        }
+        normalized[key] = list;
+      } else {
+        if (typeof value !== 'string') {
+          throw new Error(`Subscription filter ${key} must be a string`);
+        }
+        normalized[key] = value;
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * Filters from connection query parameters, e.g. ?nodeTypes=Agent,Task&swarmId=swarm_1
+   */
+  static fromQuery(params) {
+    const filters = {};
+    for (const key of FILTER_KEYS) {
+      if (!params.has(key)) continue;
+      const value = params.get(key);
+      filters[key] = LIST_FILTERS.includes(key) ? value.split(',').filter(Boolean) : value;
+    }
+    return filters;
+  }
+
+  get isEmpty() {
+    return Object.keys(this.filters).length === 0;
+  }
+
+  update(filters) {
+    // Checked on their own first: spreading an array, a number or null merges nothing
+    Subscription.normalize(filters);
+    this.filters = Subscription.normalize({ ...this.filters, ...filters });
+  }
+
+  remove(keys) {
+    for (const key of keys) {
+      delete this.filters[key];
+    }
+  }
+
+  clear() {
+    this.filters = {};
+  }
+
+  matches(subjects, graph) {
+    if (this.isEmpty || !subjects) return true;
+
+    return subjects.nodes.some(node => this.matchesNode(node, graph)) ||
+      subjects.edges.some(edge => this.matchesEdge(edge, graph));
+  }
+
+  matchesNode(node, graph) {
+    const { nodeTypes, status, swarmId, workspace } = this.filters;
+
+    if (nodeTypes && !nodeTypes.includes(node.type)) return false;
+    if (status && node.status !== undefined && !status.includes(node.status)) return false;
+    if (swarmId && !belongsToSwarm(graph, node, swarmId)) return false;
+    if (workspace && !inWorkspace(graph, node, workspace)) return false;
+    return true;
+  }
+
+  matchesEdge(edge, graph) {
+    if (this.filters.edgeTypes && !this.filters.edgeTypes.includes(edge.type)) return false;
+
+    // Endpoints the graph doesn't know yet can't be ruled out
+    return [edge.from, edge.to].every(id => {
+      const node = graph.getNode(id);
+      return !node || this.matchesNode(node, graph);
+    });
+  }
+
+  /**
+   * The graph trimmed to this subscription, shaped like GraphStore#toJSON
+   */
+  filterGraph(graph) {
+    if (this.isEmpty) return graph;
+
+    const nodes = graph.nodes.filter(node => this.matchesNode(node, graph));
+    const ids = new Set(nodes.map(node => node.id));
+    const edges = graph.edges.filter(edge =>
+      ids.has(edge.from) && ids.has(edge.to) && this.matchesEdge(edge, graph)
+    );
+
+    return { ...graph.toJSON(), nodes, edges };
+  }
+
+  toJSON() {
+    return this.filters;
+  }
+
+  /**
+   * Graph entities a broadcast concerns, or null when it isn't entity-scoped.
+   * Entities the graph no longer has fall back to what the payload says.
+   */
+  static subjectsOf(type, data, graph) {
+    if (!data) return null;
+
+    const nodeRef = (id, fallback) => {
+      const node = (id && graph.getNode(id)) || (fallback && { id, ...fallback });
+      return node ? { nodes: [node], edges: [] } : null;
+    };
+    const edgeRef = (edge) => ({ nodes: [], edges: [graph.getEdge(edge.id) || edge] });
+
+    switch (type) {
+      case 'node:added':
+        return nodeRef(data.data?.id, { ...data.data, type: data.type });
+      case 'node:updated':
+        return nodeRef(data.taskId || data.id);
+      case 'task:created':
+        return nodeRef(data.id, { type: 'Task' });
+      case 'agent:spawned':
+      case 'agent:terminated':
+        return nodeRef(`global-${data.id}`, { type: data.type, status: data.status });
+      case 'agent:status_changed':
+        return nodeRef(data.agentId, { type: 'GlobalAgent', status: data.newStatus });
+      case 'analysis:completed':
+        return nodeRef(data.id, { type: 'Analysis' });
+      case 'bottleneck:detected':
+      case 'bottleneck:resolved':
+        return nodeRef(data.nodeId);
+      case 'issue:linked':
+        return nodeRef(data.issueId || data.id, { type: 'Issue' });
+      case 'file:modified':
+        return nodeRef(data.filePath || data.path, { type: 'File', workspace: data.workspace });
+      case 'edge:added':
+      case 'edge:updated':
+        return edgeRef({ id: data.id, type: data.type, from: data.from, to: data.to });
+      case 'collaboration':
+        return edgeRef({ type: 'COLLABORATES', from: data.from, to: data.to });
+      case 'global-agents-update':
+        return { nodes: [{ type: 'GlobalAgent' }], edges: [] };
+      default:
+        return null;
+    }
+  }
+}
+
+function belongsToSwarm(graph, node, swarmId) {
+  if (node.id === swarmId || node.swarmId === swarmId) return true;
+  if (!node.id) return false;
+
+  const visited = new Set([node.id]);
+  const queue = [node.id];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    for (const type of SWARM_MEMBERSHIP_EDGES) {
+      for (const edge of graph.edgesOf(id, { direction: 'in', type })) {
+        if (edge.from === swarmId || graph.getNode(edge.from)?.swarmId === swarmId) return true;
+        if (!visited.has(edge.from)) {
+          visited.add(edge.from);
+          queue.push(edge.from);
+        }
+      }
+    }
+  }
+  return false;
+}
+
+function inWorkspace(graph, node, workspace) {
+  if (node.id === workspace || node.workspace === workspace) return true;
+  if (!node.id) return false;
+
+  return graph.edgesOf(node.id, { direction: 'out', type: 'OPERATES_IN' })
+    .some(edge => edge.to === workspace);
+}
+
+module.exports = Subscription;
@@ -6,107 +6,673 @@
 const express = require('express');
 const WebSocket = require('ws');
 const http = require('http');
+const fs = require('fs');
 const path = require('path');
 const EventEmitter = require('events');
+const FileGraphPersistence = require('./src/graph-persistence');
+const GraphArchive = require('./src/graph-archive');
+const EventHistory = require('./src/event-history');
+const GraphStore = require('./src/graph-store');
+const ReplayBuffer = require('./src/replay-buffer');
+const Subscription = require('./src/subscription');
+const CommandRouter = require('./src/command-router');
+const { CommandError } = CommandRouter;
+const { CLAUDE_FLOW_EVENTS, validateClaudeFlowEvent } = require('./src/claude-flow-events');
+const SchemaValidator = require('./src/schema-validator');
+const { SchemaValidationError, VALIDATION_MODES } = SchemaValidator;
+const QueryEngine = require('./src/query-engine');
+const { QueryError } = QueryEngine;
+const CentralityAnalyzer = require('./src/centrality');
+const CriticalPathAnalyzer = require('./src/critical-path');
+const BottleneckAnalyzer = require('./src/bottleneck-analyzer');
+const MetricsRegistry = require('./src/prometheus');
+const OtlpTraceMapper = require('./src/otlp-traces');
+const GraphExporter = require('./src/graph-export');
+const GraphImporter = require('./src/graph-import');
+const TokenAuth = require('./src/auth');
+const GcPolicy = require('./src/gc-policy');
+const BroadcastScheduler = require('./src/broadcast-scheduler');
+const { loadConfig, redact, ConfigError, DEFAULTS: CONFIG_DEFAULTS } = require('./src/config');
+const { GcConfigError } = GcPolicy;
+const { ImportError } = GraphImporter;
+
+// Largest batch accepted by POST /api/events
+const MAX_INGEST_BATCH = 1000;
+
+const MAX_VALIDATION_ERRORS = 500;
+const MAX_AUDIT_ENTRIES = 500;
+// Named sessions: ids usable in URLs as-is
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DEFAULT_SESSION = 'default';
+// Task duration histogram buckets, in seconds
+const TASK_DURATION_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600];
 
 class SwarmVisualizationServer extends EventEmitter {
-  constructor(port = 8080) {
+  constructor(port = 8080, options = {}) {
     super();
     this.port = port;
+    this.host = options.host || null;
+    this.options = options;
     this.app = express();
-    this.server = http.createServer(this.app);
-    this.wss = new WebSocket.Server({ server: this.server });
+    // Mount point, e.g. '/swarm' behind a reverse proxy; '' serves from the root
+    this.basePath = (options.basePath || '').replace(/\/+$/, '');
+    if (this.basePath && !this.basePath.startsWith('/')) this.basePath = `/${this.basePath}`;
+    // Browser-visible URL of the mount point, when a proxy rewrites host or path
+    this.publicUrl = options.publicUrl || null;
+
+    // A named session is an embedded server: no listener of its own, the
+    // default server hands it requests, sockets and events
+    this.sessionId = options.session || DEFAULT_SESSION;
+    this.embedded = Boolean(options.session);
+    this.sessions = new Map();
+    this.createdAt = new Date();
+    this.server = this.embedded ? null : http.createServer(this.basePath ? this.mountedApp() : this.app);
+
+    // Optional bearer tokens on the API and the WebSocket upgrade
+    this.auth = options.auth instanceof TokenAuth ? options.auth : new TokenAuth(options.auth);
+    // Actions refused by role, for GET /api/audit
+    this.auditLog = [];
+    this.deniedCount = 0;
+    const verifyToken = this.auth.verifyClient();
+    this.wss = this.embedded
+      ? new WebSocket.Server({ noServer: true })
+      : new WebSocket.Server({
+        server: this.server,
+        // Authenticate first, so unknown sessions aren't revealed to anonymous callers
+        verifyClient: (info, done) => verifyToken(info, (allowed, ...refusal) => {
+          if (!allowed) return done(false, ...refusal);
+          const url = new URL(info.req.url, 'http://localhost');
+          if (this.basePath && url.pathname !== this.basePath && !url.pathname.startsWith(`${this.basePath}/`)) {
+            return done(false, 404, 'Not Found');
+          }
+          const session = url.searchParams.get('session');
+          if (session && session !== this.sessionId && !this.sessions.has(session)) {
+            return done(false, 404, 'Unknown session');
+          }
+          done(true);
+        })
+      });
+
+    // Global agents: config/log directories and whether their activity is simulated
+    this.agentsConfig = { ...CONFIG_DEFAULTS.agents, ...options.agents };
 
     // Graph state
-    this.graph = {
-      nodes: [],
-      edges: [],
-      metrics: {},
-      timestamp: new Date()
-    };
+    this.graph = new GraphStore();
+
+    // Every mutation as an ordered, sequenced event
+    this.history = new EventHistory({ maxEvents: options.historySize });
 
     // Client connections
     this.clients = new Set();
 
-    // Garbage collection settings
-    this.gcConfig = {
-      maxNodes: 100,                    // More aggressive node limit (was 500)
-      maxEdges: 150,                    // More aggressive edge limit (was 600)
-      maxAge: 2 * 60 * 1000,           // 2 minutes max age (was 10 minutes)
-      gcInterval: 10 * 1000,           // Run GC every 10 seconds (was 30)
-      preserveTypes: ['GlobalAgent', 'Workspace', 'CoordinationHub'], // Never delete these
-      enabled: true,
-      clientAwareGC: true,             // New: More aggressive GC when no clients
-      noClientMaxAge: 30 * 1000        // 30 seconds when no clients connected
-    };
+    // Sequenced broadcasts: reconnecting clients resume from their last seq.
+    // The epoch changes on every process start so stale sequence numbers force a resync.
+    this.broadcastSeq = 0;
+    this.epoch = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.replayBuffer = new ReplayBuffer(options.replayBufferSize || 1000);
+    this.resumeTimeout = options.resumeTimeout || 5000;
+
+    // Broadcasts leave in frames; clients whose send buffer backs up are sent
+    // snapshots instead, or dropped (see src/broadcast-scheduler.js)
+    this.broadcaster = new BroadcastScheduler(options.broadcast);
+    this.broadcaster.on('flush', entries => this.sendFrame(entries));
+    this.connectionCount = 0;
+    this.slowClientTotals = { downgraded: 0, dropped: 0 };
+
+    // Garbage collection: what to remove is up to the policy (see src/gc-policy.js)
+    this.gcPolicy = new GcPolicy(options.gc);
+    this.gcTotals = {};
+    this.gcLastRun = null;
+
+    // Schema: validation rules and named queries
+    this.schema = JSON.parse(fs.readFileSync(
+      options.schemaPath || path.join(__dirname, 'swarm-vis-schema.json'),
+      'utf8'
+    )).schema;
+    this.queryEngine = new QueryEngine(this.graph);
+    this.traceMapper = new OtlpTraceMapper(this.graph);
+    this.exporter = new GraphExporter(this.schema);
+    this.importer = new GraphImporter();
+
+    // Centrality is recomputed lazily, on the first request after the graph changes
+    this.centrality = new CentralityAnalyzer(this.graph);
+    this.criticalPath = new CriticalPathAnalyzer(this.graph);
+
+    // Rolling bottleneck detection; changes are broadcast as they are found
+    this.bottlenecks = new BottleneckAnalyzer(this.graph, options.bottlenecks);
+    this.bottleneckIntervalMs = options.bottleneckInterval || 10 * 1000;
+    this.bottlenecks.on('detected', bottleneck => this.broadcast('bottleneck:detected', bottleneck));
+    this.bottlenecks.on('resolved', bottleneck => this.broadcast('bottleneck:resolved', bottleneck));
+
+    // Schema validation of nodes and edges as they are added
+    this.validationMode = options.validationMode || 'warn';
+    if (!VALIDATION_MODES.includes(this.validationMode)) {
+      throw new Error(`Invalid validation mode: ${this.validationMode} (expected ${VALIDATION_MODES.join(', ')})`);
+    }
+    this.validator = this.validationMode === 'off' ? null : new SchemaValidator(this.schema);
+    this.validationErrors = [];
+    this.validationErrorCount = 0;
+
+    // Persistence (optional): pass a custom adapter or a directory for the file-based one
+    this.persistence = options.persistence ||
+      (options.persistenceDir ? new FileGraphPersistence({ dir: options.persistenceDir }) : null);
+    this.snapshotIntervalMs = options.snapshotInterval || 60 * 1000;
+
+    // Archive (optional): GC moves removed items here instead of discarding them
+    this.archive = options.archive ||
+      (options.archiveDir ? new GraphArchive({ dir: options.archiveDir, segmentSize: options.archiveSegmentSize }) : null);
+
+    // Mutations made before the persisted state is restored are held back and replayed on top of it
+    this.restored = !this.persistence;
+    this.pendingEvents = [];
 
+    this.setupPrometheusMetrics();
     this.setupRoutes();
     this.setupWebSocket();
+    this.setupCommands();
     this.setupClaudeFlowIntegration();
     this.startGarbageCollection();
+    this.startBottleneckDetection();
   }
 
   setupRoutes() {
+    // Public: browsers read it before they know whether they need a token
+    this.app.get('/api/client-config', (req, res) => {
+      res.json(this.clientConfig(req));
+    });
+
     // Middleware
-    this.app.use(express.json());
+    this.app.use(['/api', '/v1', '/metrics'], this.auth.middleware());
+    this.app.use(express.json({ limit: '5mb' }));
 
     // Serve static files
     this.app.use(express.static(path.join(__dirname, 'public')));
 
     // API endpoints
+    // Lets browser clients check a stored token before connecting
+    this.app.get('/api/auth', (req, res) => {
+      const { name, role } = req.identity;
+      res.json({
+        enabled: this.auth.enabled,
+        authenticated: true,
+        name,
+        role,
+        permissions: Object.keys(TokenAuth.PERMISSIONS).filter(action => TokenAuth.can(role, action))
+      });
+    });
+
+    // Permission denials, newest last
+    this.app.get('/api/audit', this.authorize('audit:read'), (req, res) => {
+      const limit = Math.min(parseInt(req.query.limit || '100', 10), MAX_AUDIT_ENTRIES);
+      if (Number.isNaN(limit) || limit < 1) {
+        return res.status(400).json({ error: 'limit must be a positive number' });
+      }
+
+      res.json({ total: this.deniedCount, denied: this.auditLog.slice(-limit) });
+    });
+
+    this.app.delete('/api/graph', this.authorize('graph:clear'), (req, res) => {
+      res.json({ success: true, removed: this.clearGraph(`cleared by ${req.identity.name}`) });
+    });
+
     this.app.get('/api/graph', (req, res) => {
-      res.json(this.graph);
+      if (req.query.at === undefined) {
+        return res.json(this.graph);
+      }
+
+      const at = this.parseTimestamp(req.query.at);
+      if (at === null) {
+        return res.status(400).json({ error: `Invalid timestamp: ${req.query.at}` });
+      }
+
+      res.json(this.history.stateAt(at));
+    });
+
+    // Export for Gephi, Neo4j, Graphviz, ...: ?format=graphml|gexf|dot|cypher|csv
+    this.app.get('/api/export', (req, res) => {
+      const format = req.query.format || 'graphml';
+      if (!GraphExporter.FORMATS[format]) {
+        return res.status(400).json({ error: `Unknown format: ${format} (expected ${Object.keys(GraphExporter.FORMATS).join(', ')})` });
+      }
+
+      const range = {};
+      for (const bound of ['since', 'until']) {
+        if (req.query[bound] === undefined) continue;
+        range[bound] = this.parseTimestamp(req.query[bound]);
+        if (range[bound] === null) {
+          return res.status(400).json({ error: `Invalid timestamp: ${req.query[bound]}` });
+        }
+      }
+
+      const list = value => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : undefined);
+      const { body, contentType, extension } = this.exporter.export(this.graph, {
+        format,
+        nodeTypes: list(req.query.nodeTypes),
+        edgeTypes: list(req.query.edgeTypes),
+        ...range
+      });
+
+      res.attachment(`swarm-graph.${extension}`);
+      res.type(contentType);
+      res.send(body);
+    });
+
+    // Load a JSON snapshot, GraphML or apoc CSV: ?format=json|graphml|csv&mode=merge|replace
+    const importBody = express.text({ type: ['application/xml', 'text/xml', 'application/graphml+xml', 'text/csv', 'text/plain'], limit: '5mb' });
+    this.app.post('/api/import', this.authorize('graph:import'), importBody, (req, res) => {
+      const format = req.query.format || GraphImporter.formatOf(req.get('content-type'));
+      const mode = req.query.mode || 'merge';
+      if (!GraphImporter.FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Unknown format: ${format} (expected ${GraphImporter.FORMATS.join(', ')})` });
+      }
+      if (!['merge', 'replace'].includes(mode)) {
+        return res.status(400).json({ error: `Unknown mode: ${mode} (expected merge or replace)` });
+      }
+
+      try {
+        res.json(this.importGraph(this.importer.parse(req.body, format), { mode, format }));
+      } catch (error) {
+        if (!(error instanceof ImportError)) throw error;
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/events', (req, res) => {
+      const since = parseInt(req.query.since || '0', 10);
+      const limit = Math.min(parseInt(req.query.limit || '500', 10), 5000);
+
+      if (Number.isNaN(since) || Number.isNaN(limit) || limit < 1) {
+        return res.status(400).json({ error: 'since and limit must be numbers' });
+      }
+
+      res.json(this.history.since(since, limit));
+    });
+
+    // Claude Flow event ingestion: a single event or an array of them
+    this.app.post('/api/events', this.authorize('events:ingest'), (req, res) => {
+      const batch = Array.isArray(req.body) ? req.body : [req.body];
+
+      if (batch.length === 0) {
+        return res.status(400).json({ error: 'Expected an event or a non-empty array of events' });
+      }
+      if (batch.length > MAX_INGEST_BATCH) {
+        return res.status(413).json({ error: `Batches are limited to ${MAX_INGEST_BATCH} events` });
+      }
+
+      const results = batch.map((event, index) => ({ index, ...this.ingestClaudeFlowEvent(event) }));
+      const accepted = results.filter(result => result.accepted).length;
+
+      res.json({
+        accepted,
+        rejected: results.length - accepted,
+        results
+      });
+    });
+
+    // OTLP/HTTP trace receiver (JSON encoding only)
+    this.app.post('/v1/traces', this.authorize('events:ingest'), (req, res) => {
+      if (!req.is('application/json')) {
+        return res.status(415).json({ error: 'Only OTLP/JSON (application/json) is supported' });
+      }
+      const errors = OtlpTraceMapper.validate(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Expected an ExportTraceServiceRequest with resourceSpans', errors });
+      }
+
+      const result = this.ingestTraces(req.body);
+      res.json(result.rejectedSpans > 0
+        ? { partialSuccess: { rejectedSpans: result.rejectedSpans, errorMessage: result.errors.join('; ') } }
+        : {});
+    });
+
+    this.app.get('/api/validation/errors', (req, res) => {
+      const limit = Math.min(parseInt(req.query.limit || '100', 10), MAX_VALIDATION_ERRORS);
+      if (Number.isNaN(limit) || limit < 1) {
+        return res.status(400).json({ error: 'limit must be a positive number' });
+      }
+
+      res.json({
+        mode: this.validationMode,
+        total: this.validationErrorCount,
+        errors: this.validationErrors.slice(-limit)
+      });
+    });
+
+    // Cypher-subset queries over the live graph
+    this.app.post('/api/query', (req, res) => {
+      const { query, params } = req.body || {};
+      this.sendQueryResult(res, query, params);
+    });
+
+    this.app.get('/api/queries', (req, res) => {
+      res.json({ queries: this.schema.queries || {} });
+    });
+
+    this.app.get('/api/queries/:name', (req, res) => {
+      const query = this.schema.queries?.[req.params.name];
+      if (!query) {
+        return res.status(404).json({ error: `Unknown query: ${req.params.name}` });
+      }
+      this.sendQueryResult(res, query, req.query);
     });
 
     this.app.get('/api/metrics', (req, res) => {
       res.json(this.calculateMetrics());
     });
 
+    this.app.get('/api/metrics/centrality', (req, res) => {
+      const limit = req.query.limit !== undefined ? Number(req.query.limit) : 20;
+      if (!Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({ error: 'limit must be a positive integer' });
+      }
+
+      try {
+        res.json(this.centrality.ranked({
+          metric: req.query.metric,
+          type: req.query.type,
+          limit,
+          force: req.query.refresh === 'true'
+        }));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/nodes/:id/metrics', (req, res) => {
+      const metrics = this.centrality.nodeMetrics(req.params.id, { force: req.query.refresh === 'true' });
+      if (!metrics) {
+        return res.status(404).json({ error: `Unknown node: ${req.params.id}` });
+      }
+      res.json(metrics);
+    });
+
+    this.app.get('/api/analysis/critical-path', (req, res) => {
+      const result = this.criticalPath.analyze({ target: req.query.target });
+      if (!result) {
+        return res.status(404).json({ error: `Unknown node: ${req.query.target}` });
+      }
+      res.json({ ...result, computedAt: new Date() });
+    });
+
+    // Reading serves the last periodic run; re-running broadcasts any changes
+    this.app.get('/api/analysis/bottlenecks', (req, res) => {
+      res.json(this.bottlenecks.report());
+    });
+
+    this.app.post('/api/analysis/bottlenecks', this.authorize('analysis:run'), (req, res) => {
+      res.json(this.bottlenecks.run());
+    });
+
+    // Prometheus scrape endpoint
+    this.app.get('/metrics', (req, res) => {
+      res.type(MetricsRegistry.CONTENT_TYPE).send(this.prometheus.render());
+    });
+
     this.app.get('/api/health', (req, res) => {
       res.json({
         status: 'healthy',
         clients: this.clients.size,
-        nodes: this.graph.nodes.length,
-        edges: this.graph.edges.length,
-        uptime: process.uptime()
+        nodes: this.graph.nodeCount,
+        edges: this.graph.edgeCount,
+        uptime: process.uptime(),
+        broadcast: {
+          frameInterval: this.broadcaster.config.frameInterval,
+          pending: this.broadcaster.pending,
+          ...this.broadcaster.totals,
+          slowClients: this.slowClientTotals
+        },
+        clientLag: this.getClientLag()
       });
     });
 
+    // Effective settings and where each came from; secrets are redacted
+    this.app.get('/api/config', this.authorize('config:read'), (req, res) => {
+      res.json(this.describeConfig());
+    });
+
     this.app.get('/api/gc/stats', (req, res) => {
       res.json(this.getGcStats());
     });
 
-    this.app.post('/api/gc/run', (req, res) => {
-      const beforeNodes = this.graph.nodes.length;
-      const beforeEdges = this.graph.edges.length;
-
-      this.runGarbageCollection();
-
+    this.app.post('/api/gc/run', this.authorize('gc:run'), (req, res) => {
       res.json({
         success: true,
-        beforeNodes,
-        afterNodes: this.graph.nodes.length,
-        beforeEdges,
-        afterEdges: this.graph.edges.length,
+        ...this.runManualGarbageCollection(),
         message: 'Manual garbage collection completed'
       });
     });
+
+    this.app.put('/api/gc/config', this.authorize('gc:configure'), (req, res) => {
+      try {
+        res.json({ success: true, config: this.configureGarbageCollection(req.body || {}) });
+      } catch (error) {
+        if (!(error instanceof GcConfigError)) throw error;
+        res.status(400).json({ error: error.message, errors: error.errors });
+      }
+    });
+
+    // Items removed by GC: ?type&kind=node|edge&rule&since&until&limit&offset
+    this.app.get('/api/archive', (req, res) => {
+      if (!this.archive) {
+        return res.status(404).json({ error: 'Archive is not enabled (set archiveDir)' });
+      }
+
+      const filter = { type: req.query.type, kind: req.query.kind, rule: req.query.rule };
+      for (const bound of ['since', 'until']) {
+        if (req.query[bound] === undefined) continue;
+        filter[bound] = this.parseTimestamp(req.query[bound]);
+        if (filter[bound] === null) {
+          return res.status(400).json({ error: `Invalid timestamp: ${req.query[bound]}` });
+        }
+      }
+      filter.limit = Math.min(Number(req.query.limit || '100'), 1000);
+      filter.offset = Number(req.query.offset || '0');
+      if (!Number.isInteger(filter.limit) || filter.limit < 1) {
+        return res.status(400).json({ error: 'limit must be a positive integer' });
+      }
+      if (!Number.isInteger(filter.offset) || filter.offset < 0) {
+        return res.status(400).json({ error: 'offset must be a non-negative integer' });
+      }
+
+      res.json(this.archive.query(filter));
+    });
+
+    this.app.get('/api/archive/:id', (req, res) => {
+      const record = this.archive && this.archive.get(req.params.id);
+      if (!record) {
+        return res.status(404).json({ error: `Not in the archive: ${req.params.id}` });
+      }
+      res.json(record);
+    });
+
+    // Body: { ids: [...], edges: true } - edges brings back archived edges of restored nodes
+    this.app.post('/api/archive/restore', this.authorize('archive:restore'), (req, res) => {
+      if (!this.archive) {
+        return res.status(404).json({ error: 'Archive is not enabled (set archiveDir)' });
+      }
+
+      const { ids, edges = true } = req.body || {};
+      if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string')) {
+        return res.status(400).json({ error: 'ids must be a non-empty list of archived node or edge ids' });
+      }
+
+      res.json(this.restoreFromArchive(ids, { edges: edges !== false }));
+    });
+
+    if (!this.embedded) this.setupSessionRoutes();
+  }
+
+  setupSessionRoutes() {
+    const lookup = (id) => (id === this.sessionId ? this : this.sessions.get(id));
+
+    this.app.get('/api/sessions', (req, res) => {
+      res.json({ sessions: [this, ...this.sessions.values()].map(session => session.describeSession()) });
+    });
+
+    this.app.post('/api/sessions', this.authorize('sessions:manage'), (req, res) => {
+      const { id, gc } = req.body || {};
+      if (typeof id !== 'string' || !SESSION_ID_PATTERN.test(id)) {
+        return res.status(400).json({ error: 'id must be 1-64 letters, digits, _ or -' });
+      }
+      if (gc !== undefined && (typeof gc !== 'object' || gc === null || Array.isArray(gc))) {
+        return res.status(400).json({ error: 'gc must be an object of GC settings' });
+      }
+      if (lookup(id)) {
+        return res.status(409).json({ error: `Session already exists: ${id}` });
+      }
+
+      try {
+        res.status(201).json(this.createSession(id, { gc }).describeSession());
+      } catch (error) {
+        if (!(error instanceof GcConfigError)) throw error;
+        res.status(400).json({ error: error.message, errors: error.errors });
+      }
+    });
+
+    this.app.get('/api/sessions/:id', (req, res) => {
+      const session = lookup(req.params.id);
+      if (!session) {
+        return res.status(404).json({ error: `Unknown session: ${req.params.id}` });
+      }
+      res.json(session.describeSession());
+    });
+
+    this.app.delete('/api/sessions/:id', this.authorize('sessions:manage'), async (req, res) => {
+      if (req.params.id === this.sessionId) {
+        return res.status(400).json({ error: 'The default session cannot be deleted' });
+      }
+      if (!await this.deleteSession(req.params.id)) {
+        return res.status(404).json({ error: `Unknown session: ${req.params.id}` });
+      }
+      res.json({ success: true, id: req.params.id });
+    });
+
+    // Everything else under a session is that session's own /api
+    this.app.use('/api/sessions/:id', (req, res, next) => {
+      const session = lookup(req.params.id);
+      if (!session) {
+        return res.status(404).json({ error: `Unknown session: ${req.params.id}` });
+      }
+
+      req.url = `/api${req.url}`;
+      session.app.handle(req, res, next);
+    });
+  }
+
+  setupPrometheusMetrics() {
+    const registry = new MetricsRegistry();
+    const countsByType = (counts) => (gauge) => {
+      Object.entries(counts()).forEach(([type, count]) => gauge.set({ type }, count));
+    };
+
+    registry.gauge('swarm_vis_nodes', 'Nodes in the graph by type', ['type'],
+      countsByType(() => this.graph.countNodesByType()));
+    registry.gauge('swarm_vis_edges', 'Edges in the graph by type', ['type'],
+      countsByType(() => this.graph.countEdgesByType()));
+    registry.gauge('swarm_vis_active_agents', 'Agents with status active', [],
+      gauge => gauge.set({}, this.graph.nodesWithStatus('Agent', 'active').length));
+    registry.gauge('swarm_vis_active_tasks', 'Tasks with status executing', [],
+      gauge => gauge.set({}, this.graph.nodesWithStatus('Task', 'executing').length));
+    registry.gauge('swarm_vis_task_duration_average_seconds', 'Average duration of completed tasks in the graph', [],
+      gauge => gauge.set({}, this.graph.calculateAvgTaskDuration()));
+    registry.gauge('swarm_vis_websocket_clients', 'Connected WebSocket clients', [],
+      gauge => gauge.set({}, this.clients.size));
+    registry.gauge('swarm_vis_sessions', 'Named sessions besides the default one', [],
+      gauge => gauge.set({}, this.sessions.size));
+    registry.gauge('swarm_vis_archive_items', 'Nodes and edges held in the GC archive', [],
+      gauge => gauge.set({}, this.archive ? this.archive.size : 0));
+
+    registry.counter('swarm_vis_broadcast_messages_total', 'Messages broadcast to WebSocket clients', ['type']);
+    registry.counter('swarm_vis_broadcast_frames_total', 'Frames of queued broadcasts sent to WebSocket clients');
+    registry.counter('swarm_vis_slow_clients_total', 'WebSocket clients downgraded to snapshots or dropped for falling behind', ['action']);
+    registry.counter('swarm_vis_ingested_events_total', 'Claude Flow events accepted', ['type']);
+    registry.counter('swarm_vis_ingestion_errors_total', 'Claude Flow events rejected', ['reason']);
+    registry.counter('swarm_vis_otlp_spans_total', 'OTLP spans received', ['result']);
+    registry.counter('swarm_vis_auth_denied_total', 'Actions refused by role', ['action']);
+    registry.counter('swarm_vis_gc_runs_total', 'Garbage collection passes');
+    registry.counter('swarm_vis_gc_removed_total', 'Nodes and edges removed by garbage collection', ['kind']);
+    registry.counter('swarm_vis_gc_removed_by_rule_total', 'Nodes and edges removed by each GC rule', ['rule', 'kind']);
+
+    // Each task is observed once, when it is first seen completed with a duration
+    const durations = registry.histogram('swarm_vis_task_duration_seconds', 'Durations of completed tasks', TASK_DURATION_BUCKETS);
+    const observed = new Set();
+    this.on('graph:event', (event) => {
+      if (event.type === 'node:removed') {
+        event.ids.forEach(id => observed.delete(id));
+        return;
+      }
+      if (event.type !== 'node:added' && event.type !== 'node:updated') return;
+
+      const node = this.graph.getNode(event.node ? event.node.id : event.id);
+      const duration = Number(node?.duration);
+      if (node?.type === 'Task' && node.status === 'completed' && duration > 0 && !observed.has(node.id)) {
+        observed.add(node.id);
+        durations.observe(duration);
+      }
+    });
+
+    this.prometheus = registry;
+  }
+
+  sendQueryResult(res, query, params = {}) {
+    try {
+      res.json({ query, ...this.queryEngine.run(query, params) });
+    } catch (error) {
+      if (error instanceof QueryError) {
+        return res.status(400).json({ error: error.message, position: error.position });
+      }
+      throw error;
+    }
   }
 
   setupWebSocket() {
-    this.wss.on('connection', (ws) => {
-      console.log('New client connected');
+    this.wss.on('connection', (ws, req) => {
+      const query = new URL(req.url, 'http://localhost').searchParams;
+
+      // ?session=id belongs to that session's clients
+      const sessionId = query.get('session');
+      if (sessionId && sessionId !== this.sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (session) {
+          session.wss.emit('connection', ws, req);
+        } else {
+          ws.close(4004, 'Unknown session');
+        }
+        return;
+      }
+
+      console.log(this.embedded ? `New client connected to session ${this.sessionId}` : 'New client connected');
+      // Queued broadcasts describe changes the client's initial graph already holds
+      this.broadcaster.flush();
+      ws.id = ++this.connectionCount;
+      ws.connectedAt = new Date();
+      ws.mode = 'live';
+      ws.deliveredSeq = this.broadcastSeq;
       this.clients.add(ws);
+      ws.identity = this.auth.identify(req, { allowQuery: true });
 
-      // Send initial graph state
-      console.log(`📤 Sending initial data: ${this.graph.nodes.length} nodes, ${this.graph.edges.length} edges`);
-      ws.send(JSON.stringify({
-        type: 'initial',
-        data: this.graph
-      }));
+      try {
+        ws.subscription = new Subscription(Subscription.fromQuery(query));
+      } catch (error) {
+        ws.subscription = new Subscription();
+        this.sendTo(ws, 'error', { message: error.message });
+      }
+
+      if (query.has('resume')) {
+        // Hold broadcasts until the client says where it left off
+        ws.awaitingResume = true;
+        ws.resumeTimer = setTimeout(() => this.sendInitial(ws), this.resumeTimeout);
+      } else {
+        this.sendInitial(ws);
+      }
+
+      ws.on('message', (raw) => {
+        this.handleClientMessage(ws, raw);
+      });
 
       ws.on('close', () => {
         console.log('Client disconnected');
+        clearTimeout(ws.resumeTimer);
         this.clients.delete(ws);
       });
 
@@ -117,14 +683,238 @@ class SwarmVisualizationServer extends EventEmitter {
     });
   }
 
-  setupClaudeFlowIntegration() {
-    // Initialize Global Agents Integration
-    const GlobalAgentsIntegration = require('./global-agents-integration');
-    this.globalAgents = new GlobalAgentsIntegration(this, {
-      configPath: require('path').join(require('os').homedir(), '.claude-flow/agents'),
-      logPath: require('path').join(require('os').homedir(), '.claude-flow/logs'),
-      pollInterval: 3000
+  handleClientMessage(ws, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      this.sendTo(ws, 'error', { message: 'Invalid JSON' });
+      return;
+    }
+
+    switch (message?.type) {
+      case 'resume':
+        this.resumeClient(ws, message);
+        break;
+      case 'subscribe':
+        this.subscribeClient(ws, message);
+        break;
+      case 'unsubscribe':
+        this.unsubscribeClient(ws, message);
+        break;
+      case 'command':
+        this.commands.handle(message, { ws }, (type, data) => this.sendTo(ws, type, data));
+        break;
+      default:
+        this.sendTo(ws, 'error', { message: `Unknown message type: ${message?.type}` });
+    }
+  }
+
+  sendTo(ws, type, data) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type, data, timestamp: new Date() }));
+    }
+  }
+
+  sendInitial(ws, extra = {}) {
+    // Whatever is queued was applied to the graph already; send it before, not after, the graph
+    this.broadcaster.flush();
+    clearTimeout(ws.resumeTimer);
+    ws.awaitingResume = false;
+    ws.deliveredSeq = this.broadcastSeq;
+
+    console.log(`📤 Sending initial data: ${this.graph.nodeCount} nodes, ${this.graph.edgeCount} edges`);
+    ws.send(JSON.stringify({
+      type: 'initial',
+      data: ws.subscription ? ws.subscription.filterGraph(this.graph) : this.graph,
+      subscription: ws.subscription,
+      seq: this.broadcastSeq,
+      epoch: this.epoch,
+      ...extra
+    }));
+  }
+
+  resumeClient(ws, { lastSeq, epoch }) {
+    const missed = epoch === this.epoch && Number.isInteger(lastSeq)
+      ? this.replayBuffer.since(lastSeq)
+      : null;
+
+    if (missed === null) {
+      console.log(`🔄 Client resume from seq ${lastSeq} not possible - sending full resync`);
+      this.sendInitial(ws, { resync: true });
+      return;
+    }
+
+    clearTimeout(ws.resumeTimer);
+    ws.awaitingResume = false;
+
+    this.sendTo(ws, 'resume:ok', {
+      fromSeq: lastSeq,
+      toSeq: this.broadcastSeq,
+      count: missed.length
     });
+    missed
+      .filter(entry => this.shouldDeliver(ws, entry.type, entry.data))
+      .forEach(entry => ws.send(entry.message));
+    ws.deliveredSeq = this.broadcastSeq;
+  }
+
+  /**
+   * Narrow (or widen) what a client receives. `replace: true` swaps the filters
+   * wholesale; otherwise they are merged into the current ones. The client is
+   * sent a fresh `initial` trimmed to the new subscription.
+   */
+  subscribeClient(ws, { filters = {}, replace = false }) {
+    const subscription = ws.subscription || new Subscription();
+    try {
+      if (replace) {
+        subscription.filters = Subscription.normalize(filters);
+      } else {
+        subscription.update(filters);
+      }
+    } catch (error) {
+      this.sendTo(ws, 'error', { message: error.message });
+      return;
+    }
+
+    ws.subscription = subscription;
+    this.sendTo(ws, 'subscribed', { filters: subscription.filters });
+    this.sendInitial(ws);
+  }
+
+  unsubscribeClient(ws, { filters } = {}) {
+    if (filters !== undefined && !Array.isArray(filters)) {
+      this.sendTo(ws, 'error', { message: 'Unsubscribe filters must be a list of filter names' });
+      return;
+    }
+
+    const subscription = ws.subscription || new Subscription();
+    if (Array.isArray(filters)) {
+      subscription.remove(filters);
+    } else {
+      subscription.clear();
+    }
+
+    ws.subscription = subscription;
+    this.sendTo(ws, 'subscribed', { filters: subscription.filters });
+    this.sendInitial(ws);
+  }
+
+  shouldDeliver(client, type, data, subjects) {
+    if (!client.subscription || client.subscription.isEmpty) return true;
+
+    return client.subscription.matches(
+      subjects !== undefined ? subjects : Subscription.subjectsOf(type, data, this.graph),
+      this.graph
+    );
+  }
+
+  setupCommands() {
+    const requireAgentId = ({ agentId }) => {
+      if (typeof agentId !== 'string' || !agentId) {
+        throw new CommandError('INVALID_PARAMS', 'agentId is required');
+      }
+      if (!this.globalAgents?.globalAgents.has(agentId)) {
+        throw new CommandError('NOT_FOUND', `Global agent ${agentId} not found`);
+      }
+      return agentId;
+    };
+    const agentSummary = (id, agent) => ({ id, name: agent.config.name, status: agent.status });
+    const forEachGlobalAgent = async (action) => {
+      const ids = Array.from(this.globalAgents?.globalAgents.keys() || []);
+      const agents = await Promise.all(ids.map(async (id) => agentSummary(id, await action(id))));
+      return { agents };
+    };
+
+    const authorize = (permission, { ws }, command) => this.checkPermission(
+      // Sockets accepted before auth was configured (or test doubles) fall back to the default identity
+      ws.identity !== undefined ? ws.identity : this.auth.identify({ headers: {} }),
+      permission,
+      { via: 'websocket', target: command }
+    );
+
+    this.commands = new CommandRouter({ authorize })
+      .register('gc:run', () => this.runManualGarbageCollection(), { permission: 'gc:run' })
+      .register('graph:clear', () => this.clearGraph('command'), { permission: 'graph:clear' })
+      .register('metrics:get', () => this.calculateMetrics(), { permission: 'graph:read' })
+      .register('node:pin', ({ id, x, y }) => this.setNodePinned(id, true, { x, y }), { permission: 'nodes:pin' })
+      .register('node:unpin', ({ id }) => this.setNodePinned(id, false), { permission: 'nodes:pin' })
+      .register('agent:spawn', async (params) => {
+        const agentId = requireAgentId(params);
+        return agentSummary(agentId, await this.globalAgents.spawnAgent(agentId));
+      }, { permission: 'agents:control' })
+      .register('agent:terminate', async (params) => {
+        const agentId = requireAgentId(params);
+        return agentSummary(agentId, await this.globalAgents.terminateAgent(agentId));
+      }, { permission: 'agents:control' })
+      .register('agents:spawnAll', () => forEachGlobalAgent(id => this.globalAgents.spawnAgent(id)),
+        { permission: 'agents:control' })
+      .register('agents:terminateAll', () => forEachGlobalAgent(id => this.globalAgents.terminateAgent(id)),
+        { permission: 'agents:control' });
+  }
+
+  // Express middleware refusing the route to roles below the action's
+  authorize(action) {
+    return (req, res, next) => {
+      const allowed = this.checkPermission(req.identity, action, {
+        via: 'rest',
+        target: `${req.method} ${req.path}`,
+        ip: req.ip
+      });
+      if (allowed) return next();
+
+      res.status(403).json({ error: `Role ${req.identity?.role || 'none'} may not ${action}` });
+    };
+  }
+
+  /**
+   * Whether `identity` may perform `action`; refusals are audited.
+   * @param {{name: string, role: string}|null} identity
+   */
+  checkPermission(identity, action, context = {}) {
+    if (identity && TokenAuth.can(identity.role, action)) return true;
+
+    const entry = {
+      action,
+      name: identity?.name || null,
+      role: identity?.role || null,
+      ...context,
+      timestamp: new Date()
+    };
+    this.auditLog.push(entry);
+    if (this.auditLog.length > MAX_AUDIT_ENTRIES) {
+      this.auditLog.shift();
+    }
+    this.deniedCount++;
+    this.prometheus.get('swarm_vis_auth_denied_total').inc({ action });
+
+    console.warn(`🚫 Denied ${action} to ${entry.name || 'unknown'} (${entry.role || 'no role'}) via ${entry.via}: ${entry.target}`);
+    return false;
+  }
+
+  setNodePinned(id, pinned, { x, y } = {}) {
+    if (!this.graph.hasNode(id)) {
+      throw new CommandError('NOT_FOUND', `Node ${id} not found`);
+    }
+    if ([x, y].some(value => value !== undefined && !Number.isFinite(value))) {
+      throw new CommandError('INVALID_PARAMS', 'x and y must be numbers');
+    }
+
+    const updates = { pinned };
+    if (pinned && x !== undefined) updates.x = x;
+    if (pinned && y !== undefined) updates.y = y;
+
+    const node = this.updateNode(id, updates);
+    this.broadcast('node:updated', node);
+    return { id, pinned, x: node.x, y: node.y };
+  }
+
+  setupClaudeFlowIntegration() {
+    // Initialize Global Agents Integration; the machine's agents belong to the default session
+    if (!this.embedded) {
+      const GlobalAgentsIntegration = require('./global-agents-integration');
+      this.globalAgents = new GlobalAgentsIntegration(this, this.agentsConfig);
+    }
 
     // Listen for Claude Flow events
     this.on('swarm:created', (data) => {
@@ -133,8 +923,10 @@ class SwarmVisualizationServer extends EventEmitter {
     });
 
     this.on('agent:spawned', (data) => {
-      this.addNode('Agent', data);
-      this.addEdge('ORCHESTRATES', data.swarmId, data.id);
+      this.applyChanges({
+        nodes: [{ type: 'Agent', data }],
+        edges: [{ type: 'ORCHESTRATES', from: data.swarmId, to: data.id }]
+      });
       this.broadcast('node:added', { type: 'Agent', data });
     });
 
@@ -144,54 +936,65 @@ class SwarmVisualizationServer extends EventEmitter {
     });
 
     this.on('task:assigned', (data) => {
-      this.addEdge('EXECUTES', data.agentId, data.taskId, {
+      // The stored edge, so clients know its id when it is removed
+      const edge = this.addEdge('EXECUTES', data.agentId, data.taskId, {
         startTime: new Date()
       });
-      this.broadcast('edge:added', {
-        type: 'EXECUTES',
-        from: data.agentId,
-        to: data.taskId
-      });
+      this.broadcast('edge:added', edge);
     });
 
     this.on('task:progress', (data) => {
-      this.updateNode(data.taskId, {
+      const task = this.updateNode(data.taskId, {
         progress: data.progress,
         status: 'executing'
       });
-      this.broadcast('node:updated', data);
+      // The whole task, so queued progress updates for it collapse into the latest
+      if (task) this.broadcast('node:updated', task);
     });
 
     this.on('file:modified', (data) => {
-      this.addNode('File', data);
+      const changes = { nodes: [{ type: 'File', data }], edges: [] };
 
       // Link file to workspace if workspace info is provided
       if (data.workspace) {
-        this.addNode('Workspace', {
-          id: data.workspace,
-          name: data.workspace,
-          type: 'workspace'
+        changes.nodes.push({
+          type: 'Workspace',
+          data: { id: data.workspace, name: data.workspace, type: 'workspace' }
         });
-        this.addEdge('OPERATES_IN', data.filePath, data.workspace, {
-          path: data.filePath,
-          permissions: data.permissions || 'read,write'
+        changes.edges.push({
+          type: 'OPERATES_IN',
+          from: data.filePath,
+          to: data.workspace,
+          properties: { path: data.filePath, permissions: data.permissions || 'read,write' }
         });
       }
 
       if (data.taskId) {
-        this.addEdge('MODIFIES', data.taskId, data.filePath, {
-          operation: data.operation,
-          timestamp: new Date(),
-          diff: data.diff || null
+        changes.edges.push({
+          type: 'MODIFIES',
+          from: data.taskId,
+          to: data.filePath,
+          properties: { operation: data.operation, timestamp: new Date(), diff: data.diff || null }
         });
       }
 
+      this.applyChanges(changes);
       this.broadcast('file:modified', data);
     });
 
     this.on('issue:linked', (data) => {
-      this.addNode('Issue', data);
-      this.addEdge('IMPLEMENTS', data.taskId, data.issueId);
+      // Issues this one is blocked by: `dependsOn: ['issue_2']` or `[{ id, type }]`
+      const dependencies = [].concat(data.dependsOn || []).map((dependency) => {
+        const { id, type = 'blocks' } = typeof dependency === 'object' ? dependency : { id: dependency };
+        return { type: 'DEPENDS_ON', from: data.id, to: id, properties: { dependencyType: type } };
+      });
+
+      const { edges } = this.applyChanges({
+        nodes: [{ type: 'Issue', data }],
+        edges: [{ type: 'IMPLEMENTS', from: data.taskId, to: data.issueId }, ...dependencies]
+      });
+      edges.slice(1).forEach(edge => this.broadcast('edge:added', edge));
+
       this.broadcast('issue:linked', data);
     });
 
@@ -205,6 +1008,8 @@ class SwarmVisualizationServer extends EventEmitter {
   }
 
   addNode(type, data) {
+    this.validate('node', type, data.id, () => this.validator.validateNode(type, data));
+
     const node = {
       id: data.id || `${type}_${Date.now()}`,
       type,
@@ -213,14 +1018,22 @@ class SwarmVisualizationServer extends EventEmitter {
       timestamp: new Date()
     };
 
-    // Remove existing node if updating
-    this.graph.nodes = this.graph.nodes.filter(n => n.id !== node.id);
-    this.graph.nodes.push(node);
+    // Replaces any existing node with the same id
+    this.graph.addNode(node);
+
+    this.recordEvent('node:added', { node: { ...node } });
 
     return node;
   }
 
   addEdge(type, from, to, properties = {}) {
+    this.validate('edge', type, `${from}_${type}_${to}`, () => this.validator.validateEdge(
+      type,
+      this.graph.getNode(from)?.type,
+      this.graph.getNode(to)?.type,
+      properties
+    ));
+
     const edge = {
       id: `${from}_${type}_${to}`,
       type,
@@ -230,167 +1043,371 @@ class SwarmVisualizationServer extends EventEmitter {
       timestamp: new Date()
     };
 
-    // Remove existing edge if updating
-    this.graph.edges = this.graph.edges.filter(e => e.id !== edge.id);
-    this.graph.edges.push(edge);
+    // Replaces any existing edge with the same id
+    this.graph.addEdge(edge);
+
+    this.recordEvent('edge:added', { edge: { ...edge } });
 
     return edge;
   }
 
-  updateNode(nodeId, updates) {
-    const node = this.graph.nodes.find(n => n.id === nodeId);
-    if (node) {
-      Object.assign(node, updates, { updated: new Date() });
+  /**
+   * Add the nodes, then the edges, of one event. In strict mode every item is
+   * validated first, so a rejected event leaves the graph as it was.
+   * @param {{nodes?: Array<{type, data}>, edges?: Array<{type, from, to, properties?}>}} changes
+   * @returns {{nodes: object[], edges: object[]}} what was added
+   * @throws {SchemaValidationError}
+   */
+  applyChanges({ nodes = [], edges = [] }) {
+    if (this.validationMode === 'strict') {
+      const planned = new Map(nodes.map(({ type, data }) => [data.id, type]));
+      const typeOf = id => planned.get(id) || this.graph.getNode(id)?.type;
+      for (const { type, data } of nodes) {
+        this.validate('node', type, data.id, () => this.validator.validateNode(type, data));
+      }
+      for (const { type, from, to, properties = {} } of edges) {
+        this.validate('edge', type, `${from}_${type}_${to}`,
+          () => this.validator.validateEdge(type, typeOf(from), typeOf(to), properties));
+      }
     }
-    return node;
+
+    return {
+      nodes: nodes.map(({ type, data }) => this.addNode(type, data)),
+      edges: edges.map(({ type, from, to, properties }) => this.addEdge(type, from, to, properties))
+    };
   }
 
-  calculateMetrics() {
-    const metrics = {
-      timestamp: new Date(),
-      graph: {
-        totalNodes: this.graph.nodes.length,
-        totalEdges: this.graph.edges.length,
-        nodesByType: this.countByType(this.graph.nodes),
-        edgesByType: this.countByType(this.graph.edges)
-      },
-      performance: {
-        activeTasks: this.graph.nodes.filter(n =>
-          n.type === 'Task' && n.status === 'executing'
-        ).length,
-        completedTasks: this.graph.nodes.filter(n =>
-          n.type === 'Task' && n.status === 'completed'
-        ).length,
-        activeAgents: this.graph.nodes.filter(n =>
-          n.type === 'Agent' && n.status === 'active'
-        ).length,
-        avgTaskDuration: this.calculateAvgTaskDuration()
-      },
-      connectivity: {
-        avgDegree: this.calculateAvgDegree(),
-        clustering: this.calculateClustering(),
-        components: this.findConnectedComponents()
-      }
+  /**
+   * Record schema violations; in strict mode also refuse the mutation.
+   * @throws {SchemaValidationError}
+   */
+  validate(kind, type, id, check) {
+    if (!this.validator) return;
+
+    const errors = check();
+    if (errors.length === 0) return;
+
+    const violation = {
+      kind,
+      type,
+      id,
+      errors,
+      rejected: this.validationMode === 'strict',
+      timestamp: new Date()
     };
 
-    this.graph.metrics = metrics;
-    return metrics;
-  }
+    this.validationErrors.push(violation);
+    if (this.validationErrors.length > MAX_VALIDATION_ERRORS) {
+      this.validationErrors.shift();
+    }
+    this.validationErrorCount++;
 
-  countByType(items) {
-    return items.reduce((acc, item) => {
-      acc[item.type] = (acc[item.type] || 0) + 1;
-      return acc;
-    }, {});
+    console.warn(`⚠️  Schema violation on ${type} ${id}: ${errors.join('; ')}`);
+    this.broadcast('validation:error', violation);
+
+    if (violation.rejected) {
+      throw new SchemaValidationError(`${type} ${id} violates the schema: ${errors.join('; ')}`, errors);
+    }
   }
 
-  calculateAvgDegree() {
-    if (this.graph.nodes.length === 0) return 0;
-    return (this.graph.edges.length * 2) / this.graph.nodes.length;
+  updateNode(nodeId, updates) {
+    const changes = { ...updates, updated: new Date() };
+    const node = this.graph.updateNode(nodeId, changes);
+    if (node) {
+      this.recordEvent('node:updated', { id: nodeId, updates: changes });
+    }
+    return node;
   }
 
-  calculateClustering() {
-    // Simplified clustering coefficient
-    const triangles = this.findTriangles();
-    const possibleTriangles = this.graph.nodes.length *
-      (this.graph.nodes.length - 1) * (this.graph.nodes.length - 2) / 6;
-    return possibleTriangles > 0 ? triangles / possibleTriangles : 0;
+  removeEdge(edgeId, notice = { reason: 'deleted' }) {
+    if (!this.graph.getEdge(edgeId)) return false;
+
+    this.removeFromGraph(new Set(), new Set([edgeId]), notice);
+    return true;
   }
 
-  findTriangles() {
-    // Count triangles in the graph
-    let count = 0;
-    const adjacency = this.buildAdjacencyList();
-
-    for (const node of this.graph.nodes) {
-      const neighbors = adjacency[node.id] || [];
-      for (let i = 0; i < neighbors.length; i++) {
-        for (let j = i + 1; j < neighbors.length; j++) {
-          if (this.hasEdge(neighbors[i], neighbors[j])) {
-            count++;
-          }
-        }
+  // Event history & persistence
+  recordEvent(type, payload) {
+    if (!this.restored) {
+      this.pendingEvents.push({ type, payload });
+      return null;
+    }
+
+    const event = this.history.record(type, payload);
+
+    if (this.persistence) {
+      try {
+        this.persistence.append(event);
+      } catch (error) {
+        console.error('❌ Failed to append to event log:', error);
       }
     }
 
-    return count / 3; // Each triangle counted 3 times
+    this.emit('graph:event', event);
+    return event;
   }
 
-  buildAdjacencyList() {
-    const adj = {};
-    for (const edge of this.graph.edges) {
-      if (!adj[edge.from]) adj[edge.from] = [];
-      if (!adj[edge.to]) adj[edge.to] = [];
-      adj[edge.from].push(edge.to);
-      adj[edge.to].push(edge.from);
+  applyEvent(event) {
+    switch (event.type) {
+      case 'node:added':
+        this.graph.addNode(event.node);
+        break;
+      case 'edge:added':
+        this.graph.addEdge(event.edge);
+        break;
+      case 'node:updated':
+        this.graph.updateNode(event.id, event.updates);
+        break;
+      case 'node:removed':
+        event.ids.forEach(id => this.graph.removeNode(id));
+        break;
+      case 'edge:removed':
+        event.ids.forEach(id => this.graph.removeEdge(id));
+        break;
     }
-    return adj;
   }
 
-  hasEdge(from, to) {
-    return this.graph.edges.some(e =>
-      (e.from === from && e.to === to) ||
-      (e.from === to && e.to === from)
-    );
+  parseTimestamp(value) {
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time);
   }
 
-  findConnectedComponents() {
-    const visited = new Set();
-    const components = [];
-    const adjacency = this.buildAdjacencyList();
+  async restoreState() {
+    if (!this.persistence) return;
 
-    for (const node of this.graph.nodes) {
-      if (!visited.has(node.id)) {
-        const component = this.dfs(node.id, adjacency, visited);
-        components.push(component);
-      }
+    const { snapshot, events } = await this.persistence.load();
+
+    for (const node of snapshot?.nodes || []) {
+      this.applyEvent({ type: 'node:added', node });
+    }
+    for (const edge of snapshot?.edges || []) {
+      this.applyEvent({ type: 'edge:added', edge });
+    }
+
+    // Skip anything the snapshot already covers
+    const snapshotSeq = snapshot?.seq || 0;
+    const logged = events.filter(e => e.seq > snapshotSeq);
+    logged.forEach(event => this.applyEvent(event));
+
+    // History continues from the restored sequence; older events live only in the snapshot
+    this.history.reset({
+      nodes: snapshot?.nodes,
+      edges: snapshot?.edges,
+      seq: snapshotSeq,
+      timestamp: snapshot?.savedAt || null
+    });
+    this.history.load(logged);
+    this.restored = true;
+
+    // Startup mutations win over the restored state
+    for (const { type, payload } of this.pendingEvents.splice(0)) {
+      this.applyEvent({ type, ...payload });
+      this.recordEvent(type, payload);
     }
 
-    return components.length;
+    this.graph.timestamp = new Date();
+    console.log(`💾 Restored graph: ${this.graph.nodeCount} nodes, ${this.graph.edgeCount} edges (seq ${this.history.seq})`);
   }
 
-  dfs(nodeId, adjacency, visited) {
-    const stack = [nodeId];
-    const component = [];
+  saveSnapshot() {
+    if (!this.persistence) return;
 
-    while (stack.length > 0) {
-      const current = stack.pop();
-      if (!visited.has(current)) {
-        visited.add(current);
-        component.push(current);
-        const neighbors = adjacency[current] || [];
-        stack.push(...neighbors);
-      }
+    try {
+      this.persistence.saveSnapshot({
+        nodes: this.graph.nodes,
+        edges: this.graph.edges,
+        seq: this.history.seq
+      });
+    } catch (error) {
+      console.error('❌ Failed to save graph snapshot:', error);
     }
+  }
+
+  startSnapshots() {
+    if (!this.persistence || this.snapshotInterval) return;
 
-    return component;
+    this.snapshotInterval = setInterval(() => {
+      this.saveSnapshot();
+    }, this.snapshotIntervalMs);
   }
 
-  calculateAvgTaskDuration() {
-    const completedTasks = this.graph.nodes.filter(n =>
-      n.type === 'Task' && n.status === 'completed' && n.duration
-    );
+  stopSnapshots() {
+    if (this.snapshotInterval) {
+      clearInterval(this.snapshotInterval);
+      this.snapshotInterval = null;
+    }
+  }
 
-    if (completedTasks.length === 0) return 0;
+  // Graph analytics live on the store; kept here as the server's public API
+  calculateMetrics() {
+    return this.graph.calculateMetrics();
+  }
 
-    const totalDuration = completedTasks.reduce((sum, task) =>
-      sum + task.duration, 0
-    );
+  countByType(items) {
+    return this.graph.countByType(items);
+  }
+
+  calculateAvgDegree() {
+    return this.graph.calculateAvgDegree();
+  }
+
+  calculateClustering() {
+    return this.graph.calculateClustering();
+  }
+
+  findTriangles() {
+    return this.graph.findTriangles();
+  }
+
+  hasEdge(from, to) {
+    return this.graph.hasEdge(from, to);
+  }
+
+  findConnectedComponents() {
+    return this.graph.findConnectedComponents();
+  }
 
-    return totalDuration / completedTasks.length;
+  calculateAvgTaskDuration() {
+    return this.graph.calculateAvgTaskDuration();
   }
 
+  /**
+   * Queue a message for every client; it is sent with the next frame.
+   * A `node:updated` replaces any queued one for the same node.
+   */
   broadcast(type, data) {
-    const message = JSON.stringify({ type, data, timestamp: new Date() });
+    // Subjects are resolved now, while the graph matches the message, and only if some client is filtering
+    const filtering = [...this.clients].some(client => client.subscription && !client.subscription.isEmpty);
+    this.broadcaster.push(type, data, filtering ? { subjects: Subscription.subjectsOf(type, data, this.graph) } : {});
+  }
+
+  /**
+   * Sequence a flushed frame, keep it for replay and send each client the
+   * messages it subscribes to: a lone message as itself, several as one
+   * `{type: 'frame', messages}`.
+   */
+  sendFrame(entries) {
+    const timestamp = new Date();
+    const sequenced = entries.map(({ type, data, subjects }) => {
+      const seq = ++this.broadcastSeq;
+      this.prometheus.get('swarm_vis_broadcast_messages_total').inc({ type });
+      const entry = { seq, type, data, message: JSON.stringify({ type, data, timestamp, seq }) };
+      this.replayBuffer.push(entry);
+      return { ...entry, subjects };
+    });
+    this.prometheus.get('swarm_vis_broadcast_frames_total').inc();
 
     for (const client of this.clients) {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(message);
+      if (client.readyState !== WebSocket.OPEN || client.awaitingResume) continue;
+      if (!this.keepsUp(client)) continue;
+
+      const messages = sequenced
+        .filter(entry => this.shouldDeliver(client, entry.type, entry.data, entry.subjects))
+        .map(entry => entry.message);
+      if (messages.length === 1) {
+        client.send(messages[0]);
+      } else if (messages.length > 1) {
+        client.send(`{"type":"frame","messages":[${messages.join(',')}]}`);
+      }
+      client.deliveredSeq = this.broadcastSeq;
+    }
+  }
+
+  /**
+   * Backpressure: whether a client should be sent the current frame. One whose
+   * send buffer is past maxBufferedAmount is downgraded to snapshots; past
+   * dropBufferedAmount it is disconnected.
+   */
+  keepsUp(client) {
+    const verdict = this.broadcaster.classify(client.bufferedAmount);
+    const caughtUp = verdict === 'ok' && !client.bufferedAmount && client.mode !== 'snapshots';
+    client.behindSince = caughtUp ? null : (client.behindSince || Date.now());
+
+    if (verdict === 'drop') {
+      this.dropClient(client);
+      return false;
+    }
+    if (verdict === 'slow' && client.mode !== 'snapshots') {
+      console.log(`🐢 Client ${client.id} has ${client.bufferedAmount} bytes unsent - switching it to snapshots`);
+      client.mode = 'snapshots';
+      this.slowClientTotals.downgraded++;
+      this.prometheus.get('swarm_vis_slow_clients_total').inc({ action: 'downgraded' });
+      this.startSnapshotsForSlowClients();
+    }
+    return client.mode !== 'snapshots';
+  }
+
+  dropClient(client) {
+    console.log(`✂️  Client ${client.id} has ${client.bufferedAmount} bytes unsent - disconnecting it`);
+    this.clients.delete(client);
+    clearTimeout(client.resumeTimer);
+    this.slowClientTotals.dropped++;
+    this.prometheus.get('swarm_vis_slow_clients_total').inc({ action: 'dropped' });
+    // 1013: try again later; the client reconnects and resumes or resyncs
+    client.close(1013, 'Client too slow');
+  }
+
+  /**
+   * Downgraded clients are sent a fresh `initial` (with `snapshot: true`) every
+   * snapshotInterval, once their buffer is back under maxBufferedAmount. A
+   * snapshot that finds the buffer empty returns the client to live frames.
+   */
+  startSnapshotsForSlowClients() {
+    if (this.slowClientInterval) return;
+
+    this.slowClientInterval = setInterval(() => {
+      const slow = [...this.clients].filter(client => client.mode === 'snapshots');
+      for (const client of slow) {
+        if (client.readyState !== WebSocket.OPEN) continue;
+
+        const verdict = this.broadcaster.classify(client.bufferedAmount);
+        if (verdict === 'drop') {
+          this.dropClient(client);
+        } else if (verdict === 'ok') {
+          if (!client.bufferedAmount) {
+            console.log(`🐇 Client ${client.id} caught up - back to live updates`);
+            client.mode = 'live';
+            client.behindSince = null;
+          }
+          this.sendInitial(client, { snapshot: true });
+        }
+      }
+
+      if (!slow.some(client => client.mode === 'snapshots' && this.clients.has(client))) {
+        this.stopSnapshotsForSlowClients();
       }
+    }, this.broadcaster.config.snapshotInterval);
+  }
+
+  stopSnapshotsForSlowClients() {
+    if (this.slowClientInterval) {
+      clearInterval(this.slowClientInterval);
+      this.slowClientInterval = null;
     }
   }
 
+  /**
+   * How far behind each client is: bytes it has yet to receive, how long it
+   * has been behind and how many broadcasts it hasn't been sent
+   */
+  getClientLag() {
+    const now = Date.now();
+    return [...this.clients].map(client => ({
+      id: client.id,
+      role: client.identity?.role,
+      mode: client.mode || 'live',
+      connectedAt: client.connectedAt,
+      bufferedAmount: client.bufferedAmount || 0,
+      lagMs: client.behindSince ? now - client.behindSince : 0,
+      behind: this.broadcastSeq - (client.deliveredSeq ?? this.broadcastSeq)
+    }));
+  }
+
   // Garbage Collection System
+  get gcConfig() {
+    return this.gcPolicy.config;
+  }
+
   startGarbageCollection() {
     if (!this.gcConfig.enabled) return;
 
@@ -401,73 +1418,78 @@ class SwarmVisualizationServer extends EventEmitter {
     }, this.gcConfig.gcInterval);
   }
 
-  runGarbageCollection() {
-    const beforeNodes = this.graph.nodes.length;
-    const beforeEdges = this.graph.edges.length;
-
-    // Determine if we have active clients
-    const hasActiveClients = this.clients.size > 0;
-
-    // Use different thresholds based on client presence
-    const effectiveMaxNodes = hasActiveClients ? this.gcConfig.maxNodes : 20; // Much lower when no clients
-    const effectiveMaxEdges = hasActiveClients ? this.gcConfig.maxEdges : 30;
-    const effectiveMaxAge = hasActiveClients ? this.gcConfig.maxAge : this.gcConfig.noClientMaxAge;
-
-    // More aggressive GC when no clients or over thresholds
-    const shouldRunGC = !hasActiveClients ||
-                       beforeNodes > effectiveMaxNodes ||
-                       beforeEdges > effectiveMaxEdges;
-
-    if (!shouldRunGC) {
-      return;
+  /**
+   * Change GC settings at runtime; the timer restarts if its interval or state changed
+   * @throws {GcConfigError} leaving the current settings in place
+   */
+  configureGarbageCollection(changes) {
+    const { gcInterval, enabled } = this.gcConfig;
+    const config = this.gcPolicy.update(changes);
+
+    if (config.gcInterval !== gcInterval || config.enabled !== enabled) {
+      this.stopGarbageCollection();
+      this.startGarbageCollection();
     }
 
-    const now = new Date();
-    const cutoffTime = new Date(now.getTime() - effectiveMaxAge);
-
-    console.log(`🗑️  Running GC (clients: ${this.clients.size}, maxAge: ${effectiveMaxAge/1000}s)`);
+    console.log('🗑️  GC config updated');
+    return config;
+  }
 
-    // Remove old nodes (except preserved types)
-    const oldNodes = this.graph.nodes.filter(node => {
-      const isOld = new Date(node.timestamp) < cutoffTime;
-      const isPreserved = this.gcConfig.preserveTypes.includes(node.type);
-      return isOld && !isPreserved;
-    });
+  runManualGarbageCollection() {
+    const beforeNodes = this.graph.nodeCount;
+    const beforeEdges = this.graph.edgeCount;
 
-    const oldNodeIds = new Set(oldNodes.map(n => n.id));
+    const byRule = this.runGarbageCollection();
 
-    // Remove old edges connected to old nodes or simply old edges
-    const oldEdges = this.graph.edges.filter(edge => {
-      const isOld = new Date(edge.timestamp) < cutoffTime;
-      const hasOldNode = oldNodeIds.has(edge.from) || oldNodeIds.has(edge.to);
-      return isOld || hasOldNode;
-    });
+    return {
+      beforeNodes,
+      afterNodes: this.graph.nodeCount,
+      beforeEdges,
+      afterEdges: this.graph.edgeCount,
+      byRule
+    };
+  }
 
-    // Clean up nodes
-    this.graph.nodes = this.graph.nodes.filter(node => !oldNodeIds.has(node.id));
+  /**
+   * @returns {object} removal counts per rule, { rule: { nodes, edges } }
+   */
+  runGarbageCollection() {
+    const beforeNodes = this.graph.nodeCount;
+    const beforeEdges = this.graph.edgeCount;
 
-    // Clean up edges
-    const oldEdgeIds = new Set(oldEdges.map(e => e.id));
-    this.graph.edges = this.graph.edges.filter(edge => !oldEdgeIds.has(edge.id));
+    const plan = this.gcPolicy.plan(this.graph, { hasClients: this.clients.size > 0 });
+    if (!plan.run) {
+      return {};
+    }
 
-    // If still over limits, remove oldest non-preserved nodes
-    if (this.graph.nodes.length > this.gcConfig.maxNodes) {
-      const removableNodes = this.graph.nodes
-        .filter(node => !this.gcConfig.preserveTypes.includes(node.type))
-        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    this.prometheus.get('swarm_vis_gc_runs_total').inc();
 
-      const excessCount = this.graph.nodes.length - this.gcConfig.maxNodes;
-      const toRemove = removableNodes.slice(0, excessCount);
-      const removeIds = new Set(toRemove.map(n => n.id));
+    console.log(`🗑️  Running GC (clients: ${this.clients.size}, maxAge: ${plan.maxAge/1000}s)`);
 
-      this.graph.nodes = this.graph.nodes.filter(node => !removeIds.has(node.id));
-      this.graph.edges = this.graph.edges.filter(edge =>
-        !removeIds.has(edge.from) && !removeIds.has(edge.to)
-      );
+    if (this.archive) {
+      this.archive.add([
+        ...[...plan.nodes].map(([id, rule]) => ({ kind: 'node', item: this.graph.getNode(id), rule })),
+        ...[...plan.edges].map(([id, rule]) => ({ kind: 'edge', item: this.graph.getEdge(id), rule }))
+      ]);
+    }
+    this.removeFromGraph(new Set(plan.nodes.keys()), new Set(plan.edges.keys()), { reason: 'gc', archived: Boolean(this.archive) });
+
+    const byRule = GcPolicy.summarize(plan);
+    const removedByRule = this.prometheus.get('swarm_vis_gc_removed_by_rule_total');
+    for (const [rule, counts] of Object.entries(byRule)) {
+      const total = this.gcTotals[rule] = this.gcTotals[rule] || { nodes: 0, edges: 0 };
+      total.nodes += counts.nodes;
+      total.edges += counts.edges;
+      if (counts.nodes) removedByRule.inc({ rule, kind: 'node' }, counts.nodes);
+      if (counts.edges) removedByRule.inc({ rule, kind: 'edge' }, counts.edges);
     }
+    this.gcLastRun = { at: new Date(), byRule };
 
-    const afterNodes = this.graph.nodes.length;
-    const afterEdges = this.graph.edges.length;
+    const afterNodes = this.graph.nodeCount;
+    const afterEdges = this.graph.edgeCount;
+    const removed = this.prometheus.get('swarm_vis_gc_removed_total');
+    removed.inc({ kind: 'node' }, beforeNodes - afterNodes);
+    removed.inc({ kind: 'edge' }, beforeEdges - afterEdges);
 
     if (beforeNodes !== afterNodes || beforeEdges !== afterEdges) {
       console.log(`🗑️  GC: ${beforeNodes}→${afterNodes} nodes, ${beforeEdges}→${afterEdges} edges`);
@@ -479,9 +1501,36 @@ class SwarmVisualizationServer extends EventEmitter {
         beforeEdges,
         afterEdges,
         removedNodes: beforeNodes - afterNodes,
-        removedEdges: beforeEdges - afterEdges
+        removedEdges: beforeEdges - afterEdges,
+        byRule
       });
     }
+
+    return byRule;
+  }
+
+  incidentEdgeIds(nodeIds) {
+    const edgeIds = new Set();
+    for (const nodeId of nodeIds) {
+      this.graph.edgesOf(nodeId).forEach(edge => edgeIds.add(edge.id));
+    }
+    return edgeIds;
+  }
+
+  /**
+   * Remove nodes and edges from the graph and history. Clients are sent
+   * `edge:removed`/`node:removed` batches carrying the ids and the notice (e.g.
+   * `{ reason: 'gc' }`), edges first so none outlives its endpoints on screen.
+   */
+  removeFromGraph(nodeIds, edgeIds, notice = { reason: 'deleted' }) {
+    nodeIds.forEach(id => this.graph.removeNode(id));
+    edgeIds.forEach(id => this.graph.removeEdge(id));
+
+    if (nodeIds.size > 0) this.recordEvent('node:removed', { ids: [...nodeIds] });
+    if (edgeIds.size > 0) this.recordEvent('edge:removed', { ids: [...edgeIds] });
+
+    if (edgeIds.size > 0) this.broadcast('edge:removed', { ids: [...edgeIds], ...notice });
+    if (nodeIds.size > 0) this.broadcast('node:removed', { ids: [...nodeIds], ...notice });
   }
 
   stopGarbageCollection() {
@@ -492,55 +1541,416 @@ class SwarmVisualizationServer extends EventEmitter {
     }
   }
 
+  startBottleneckDetection() {
+    if (this.bottleneckInterval) return;
+
+    this.bottleneckInterval = setInterval(() => {
+      this.bottlenecks.run();
+    }, this.bottleneckIntervalMs);
+  }
+
+  stopBottleneckDetection() {
+    if (this.bottleneckInterval) {
+      clearInterval(this.bottleneckInterval);
+      this.bottleneckInterval = null;
+    }
+  }
+
   getGcStats() {
     return {
       config: this.gcConfig,
+      lastRun: this.gcLastRun,
+      removedByRule: this.gcTotals,
+      archive: this.archive ? this.archive.stats() : null,
       current: {
-        nodes: this.graph.nodes.length,
-        edges: this.graph.edges.length,
+        nodes: this.graph.nodeCount,
+        edges: this.graph.edgeCount,
         memoryUsage: process.memoryUsage()
       },
-      nodesByType: this.countByType(this.graph.nodes),
-      edgesByType: this.countByType(this.graph.edges)
+      nodesByType: this.graph.countNodesByType(),
+      edgesByType: this.graph.countEdgesByType()
     };
   }
 
-  start() {
-    this.server.listen(this.port, () => {
-      console.log(`🎨 Swarm Visualization Server running on http://localhost:${this.port}`);
-      console.log(`🔌 WebSocket endpoint: ws://localhost:${this.port}`);
+  async start() {
+    // Restore before listening so no client ever sees a half-loaded graph
+    if (this.persistence) {
+      await this.restoreState();
+      this.startSnapshots();
+    }
+    if (this.archive) {
+      console.log(`🗄️  Archive loaded: ${await this.archive.load()} items`);
+    }
+
+    if (this.embedded) return;
+
+    // Listen errors (e.g. EADDRINUSE) reject start() instead of going unhandled
+    await new Promise((resolve, reject) => {
+      // The WebSocket server re-emits the HTTP server's errors; without a listener they would throw
+      const fail = (error) => reject(error);
+      const ignore = () => {};
+      this.server.once('error', fail);
+      this.wss.on('error', ignore);
+      this.server.listen(this.port, this.host || undefined, () => {
+        this.server.off('error', fail);
+        this.wss.off('error', ignore);
+        resolve();
+      });
     });
+    const host = this.host || 'localhost';
+    console.log(`🎨 Swarm Visualization Server running on http://${host}:${this.port}${this.basePath}/`);
+    console.log(`🔌 WebSocket endpoint: ws://${host}:${this.port}${this.basePath}/`);
+    if (this.auth.enabled) {
+      console.log(`🔒 Token auth enabled for /api, /v1, /metrics and WebSocket clients (${this.auth.entries.length} tokens)`);
+    }
+  }
+
+  async stop() {
+    this.stopGarbageCollection();
+    this.stopBottleneckDetection();
+    this.stopSnapshots();
+    this.stopSnapshotsForSlowClients();
+    this.globalAgents?.stopMonitoring();
+    await Promise.all(Array.from(this.sessions.keys(), id => this.deleteSession(id)));
+
+    if (this.persistence) {
+      this.saveSnapshot();
+      await this.persistence.close();
+    }
+
+    this.broadcaster.stop();
+    for (const client of this.clients) {
+      clearTimeout(client.resumeTimer);
+      client.close();
+    }
+    this.clients.clear();
+    this.wss.close();
+
+    if (this.server?.listening) {
+      await new Promise(resolve => this.server.close(resolve));
+    }
+    console.log(this.embedded ? `⏹️  Session ${this.sessionId} stopped` : '⏹️  Swarm Visualization Server stopped');
   }
 
   // Integration with Claude Flow
+  /**
+   * Map a Claude Flow event onto the graph.
+   * @returns {{accepted: boolean, type?: string, errors?: string[]}}
+   */
   ingestClaudeFlowEvent(event) {
-    // Parse Claude Flow events and emit appropriate visualization events
-    switch (event.type) {
-      case 'swarm_init':
-        this.emit('swarm:created', event.data);
-        break;
-      case 'agent_spawn':
-        this.emit('agent:spawned', event.data);
-        break;
-      case 'task_orchestrate':
-        this.emit('task:created', event.data);
-        break;
-      case 'task_assign':
-        this.emit('task:assigned', event.data);
-        break;
-      case 'task_progress':
-        this.emit('task:progress', event.data);
-        break;
-      case 'file_operation':
-        this.emit('file:modified', event.data);
-        break;
-      case 'issue_update':
-        this.emit('issue:linked', event.data);
-        break;
-      case 'agent_message':
-        this.emit('agent:collaboration', event.data);
-        break;
+    if (typeof event?.sessionId === 'string' && event.sessionId !== this.sessionId) {
+      const session = this.sessions.get(event.sessionId);
+      return session
+        ? session.ingestClaudeFlowEvent(event)
+        : { accepted: false, errors: [`unknown session: ${event.sessionId}`] };
     }
+
+    const ingestionErrors = this.prometheus.get('swarm_vis_ingestion_errors_total');
+    const errors = validateClaudeFlowEvent(event);
+    if (errors.length > 0) {
+      ingestionErrors.inc({ reason: 'invalid' });
+      return { accepted: false, errors };
+    }
+
+    try {
+      this.emit(CLAUDE_FLOW_EVENTS[event.type].emits, event.data);
+    } catch (error) {
+      if (error instanceof SchemaValidationError) {
+        ingestionErrors.inc({ reason: 'schema' });
+        return { accepted: false, errors: error.violations };
+      }
+      console.error(`❌ Failed to ingest ${event.type} event:`, error);
+      ingestionErrors.inc({ reason: 'failed' });
+      return { accepted: false, errors: [error.message] };
+    }
+
+    this.prometheus.get('swarm_vis_ingested_events_total').inc({ type: event.type });
+    return { accepted: true, type: event.type };
+  }
+
+  // Sessions
+  createSession(id, { gc } = {}) {
+    if (!SESSION_ID_PATTERN.test(id) || id === this.sessionId || this.sessions.has(id)) {
+      throw new Error(`Invalid or existing session id: ${id}`);
+    }
+
+    // Same settings as this server, minus persistence and archive: sessions live in memory
+    const { persistence, persistenceDir, archive, archiveDir, ...shared } = this.options;
+    const session = new SwarmVisualizationServer(this.port, {
+      ...shared,
+      session: id,
+      auth: this.auth,
+      gc: { ...shared.gc, ...gc }
+    });
+    this.sessions.set(id, session);
+
+    console.log(`🗂️  Session ${id} created`);
+    return session;
+  }
+
+  async deleteSession(id) {
+    const session = this.sessions.get(id);
+    if (!session) return false;
+
+    this.sessions.delete(id);
+    session.broadcast('session:deleted', { id });
+    await session.stop();
+    return true;
+  }
+
+  describeSession() {
+    return {
+      id: this.sessionId,
+      nodes: this.graph.nodeCount,
+      edges: this.graph.edgeCount,
+      clients: this.clients.size,
+      createdAt: this.createdAt,
+      gcConfig: this.gcConfig
+    };
+  }
+
+  // Serves this.app under basePath; the bare base path redirects so the pages' relative URLs resolve
+  mountedApp() {
+    const root = express();
+    root.use((req, res, next) => {
+      const [pathname, search] = req.url.split('?');
+      if (pathname !== this.basePath) return next();
+      res.redirect(301, `${this.basePath}/${search !== undefined ? `?${search}` : ''}`);
+    });
+    root.use(this.basePath, this.app);
+    return root;
+  }
+
+  /**
+   * What browser clients need to connect: where the API and WebSocket are,
+   * whether to ask for a token, and which optional features are on. URLs
+   * follow the request (and X-Forwarded-Proto/Host) unless publicUrl is set.
+   */
+  clientConfig(req) {
+    const forwarded = name => req.get(`x-forwarded-${name}`)?.split(',')[0].trim();
+    const origin = this.publicUrl
+      ? new URL(this.publicUrl)
+      : new URL(`${forwarded('proto') || req.protocol}://${forwarded('host') || req.get('host')}${this.basePath}`);
+    const basePath = origin.pathname.replace(/\/+$/, '');
+
+    return {
+      basePath,
+      wsUrl: `${origin.protocol === 'https:' ? 'wss:' : 'ws:'}//${origin.host}${basePath}/`,
+      auth: { mode: this.auth.enabled ? 'token' : 'none' },
+      features: {
+        sessions: !this.embedded,
+        archive: Boolean(this.archive),
+        persistence: Boolean(this.persistence),
+        gc: this.gcConfig.enabled,
+        simulation: this.agentsConfig.simulate
+      }
+    };
+  }
+
+  describeConfig() {
+    const { auth = {}, persistenceDir = null, archiveDir = null, configSources = {} } = this.options;
+    return {
+      config: redact({
+        port: this.port,
+        host: this.host,
+        basePath: this.basePath,
+        publicUrl: this.publicUrl,
+        persistenceDir,
+        archiveDir,
+        validationMode: this.validationMode,
+        auth: { tokens: auth.tokens || null, tokensFile: auth.tokensFile || null },
+        agents: this.agentsConfig,
+        gc: this.gcConfig,
+        broadcast: this.broadcaster.config
+      }),
+      sources: configSources.sources || {},
+      files: configSources.files || { config: null, env: null }
+    };
+  }
+
+  clearGraph(reason) {
+    const removed = { nodes: this.graph.nodeCount, edges: this.graph.edgeCount };
+    this.removeFromGraph(
+      new Set(this.graph.nodes.map(n => n.id)),
+      new Set(this.graph.edges.map(e => e.id)),
+      { reason: 'cleared' }
+    );
+    this.broadcast('graph:cleared', { reason });
+
+    console.log(`🧹 Graph cleared (${reason}): ${removed.nodes} nodes, ${removed.edges} edges`);
+    return removed;
+  }
+
+  /**
+   * Apply an import plan through addNode/addEdge so clients get the usual broadcasts.
+   * replace clears the graph first; merge upserts over it.
+   */
+  importGraph(plan, { mode = 'merge', format } = {}) {
+    const result = {
+      format,
+      mode,
+      nodes: { imported: 0, rejected: plan.rejected.nodes },
+      edges: { imported: 0, rejected: plan.rejected.edges },
+      errors: [...plan.errors]
+    };
+
+    if (mode === 'replace') {
+      this.clearGraph('import');
+    }
+
+    const apply = (kind, change) => {
+      try {
+        change();
+        result[kind].imported++;
+      } catch (error) {
+        if (!(error instanceof SchemaValidationError)) throw error;
+        result[kind].rejected++;
+        result.errors.push(error.message);
+      }
+    };
+
+    // Clients already show items a merge overwrites, so those go out as updates
+    for (const { type, data } of plan.nodes) {
+      apply('nodes', () => {
+        const existed = data.id !== undefined && this.graph.hasNode(data.id);
+        const node = this.addNode(type, data);
+        if (existed) {
+          this.broadcast('node:updated', node);
+        } else {
+          this.broadcast('node:added', { type, data });
+        }
+      });
+    }
+
+    for (const { type, from, to, properties } of plan.edges) {
+      if (!this.graph.hasNode(from) || !this.graph.hasNode(to)) {
+        result.edges.rejected++;
+        result.errors.push(`${from}_${type}_${to}: endpoint not in the graph`);
+        continue;
+      }
+      apply('edges', () => {
+        const existed = this.graph.getEdge(`${from}_${type}_${to}`) !== null;
+        this.broadcast(existed ? 'edge:updated' : 'edge:added', this.addEdge(type, from, to, properties));
+      });
+    }
+
+    console.log(`📥 Imported ${format || 'graph'} (${mode}): ${result.nodes.imported} nodes, ${result.edges.imported} edges`);
+    return result;
+  }
+
+  /**
+   * Bring archived nodes and edges back into the live graph. Restored items get
+   * a fresh timestamp so the next GC pass doesn't collect them straight away.
+   * @param {string[]} ids
+   * @param {{edges?: boolean}} options - also restore archived edges of restored nodes
+   */
+  restoreFromArchive(ids, { edges = true } = {}) {
+    const result = {
+      nodes: { restored: 0, rejected: 0 },
+      edges: { restored: 0, rejected: 0 },
+      errors: []
+    };
+
+    const records = [];
+    for (const id of new Set(ids)) {
+      const record = this.archive.get(id);
+      if (record) {
+        records.push(record);
+      } else {
+        result.errors.push(`${id}: not in the archive`);
+      }
+    }
+
+    const nodeRecords = records.filter(record => record.kind === 'node');
+    const edgeIds = new Set(records.filter(record => record.kind === 'edge').map(record => record.id));
+    if (edges) {
+      nodeRecords.forEach(record => this.archive.edgesOf(record.id).forEach(id => edgeIds.add(id)));
+    }
+
+    const restored = [];
+    const apply = (kind, id, change) => {
+      try {
+        change();
+        result[kind].restored++;
+        restored.push(id);
+      } catch (error) {
+        if (!(error instanceof SchemaValidationError)) throw error;
+        result[kind].rejected++;
+        result.errors.push(error.message);
+      }
+    };
+
+    for (const { item } of nodeRecords) {
+      const { type, timestamp, ...data } = item;
+      apply('nodes', item.id, () => {
+        this.addNode(type, data);
+        this.broadcast('node:added', { type, data });
+      });
+    }
+
+    for (const id of edgeIds) {
+      const { item } = this.archive.get(id);
+      const { id: edgeId, type, from, to, timestamp, ...properties } = item;
+      if (!this.graph.hasNode(from) || !this.graph.hasNode(to)) {
+        // Stays archived until its endpoints are back
+        result.edges.rejected++;
+        result.errors.push(`${edgeId}: endpoint not in the graph`);
+        continue;
+      }
+      apply('edges', edgeId, () => this.broadcast('edge:added', this.addEdge(type, from, to, properties)));
+    }
+
+    this.archive.remove(restored);
+
+    console.log(`🗄️  Restored ${result.nodes.restored} nodes, ${result.edges.restored} edges from the archive`);
+    return result;
+  }
+
+  /**
+   * Map an OTLP/JSON trace export onto the graph.
+   * @returns {{acceptedSpans: number, rejectedSpans: number, errors: string[]}}
+   */
+  ingestTraces(request) {
+    const plan = this.traceMapper.map(request);
+    const result = { acceptedSpans: plan.acceptedSpans, rejectedSpans: plan.rejectedSpans, errors: [...plan.errors] };
+
+    // Schema violations (strict mode) drop the item; a dropped task drops its span
+    const apply = (change, onRejected) => {
+      try {
+        change();
+      } catch (error) {
+        if (!(error instanceof SchemaValidationError)) throw error;
+        result.errors.push(error.message);
+        if (onRejected) onRejected();
+      }
+    };
+
+    for (const { type, data } of plan.nodes) {
+      const existing = type === 'Agent' && this.graph.getNode(data.id);
+      if (existing) {
+        // Keep the agent (and e.g. its pin); just mark it seen
+        this.updateNode(data.id, { status: 'active', lastSeen: new Date() });
+        this.broadcast('node:updated', { ...existing });
+        continue;
+      }
+
+      apply(() => {
+        this.addNode(type, data);
+        this.broadcast('node:added', { type, data });
+      }, type === 'Task' && (() => {
+        result.acceptedSpans--;
+        result.rejectedSpans++;
+      }));
+    }
+
+    for (const { type, from, to, properties } of plan.edges) {
+      apply(() => this.broadcast('edge:added', this.addEdge(type, from, to, properties)));
+    }
+
+    const spans = this.prometheus.get('swarm_vis_otlp_spans_total');
+    spans.inc({ result: 'accepted' }, result.acceptedSpans);
+    spans.inc({ result: 'rejected' }, result.rejectedSpans);
+    return result;
   }
 }
 
@@ -549,6 +1959,28 @@ module.exports = SwarmVisualizationServer;
 
 // Start server if run directly
 if (require.main === module) {
-  const server = new SwarmVisualizationServer(8080);
-  server.start();
+  let loaded;
+  try {
+    loaded = loadConfig();
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error('❌ Invalid configuration:');
+    error.errors.forEach(message => console.error(`   - ${message}`));
+    process.exit(1);
+  }
+
+  const { config: { port, ...options }, sources, files } = loaded;
+  const server = new SwarmVisualizationServer(port, { ...options, configSources: { sources, files } });
+  const read = [files.config, files.env].filter(Boolean).map(file => path.basename(file));
+  if (read.length > 0) console.log(`⚙️  Config read from ${read.join(', ')}`);
+  server.start().catch((error) => {
+    console.error('❌ Failed to start server:', error);
+    process.exit(1);
+  });
+
+  const shutdown = () => {
+    server.stop().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 }
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * Integration Tests for HTTP event ingestion
+ * POST /api/events must validate each event and report it individually
+ */
+
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+const { validateClaudeFlowEvent } = require('../../src/claude-flow-events');
+
+describe('validateClaudeFlowEvent', () => {
+  test('should accept a well-formed event', () => {
+    expect(validateClaudeFlowEvent({ type: 'swarm_init', data: { id: 'swarm_1' } })).toEqual([]);
+  });
+
+  test('should describe what is wrong with malformed events', () => {
+    expect(validateClaudeFlowEvent(null)).toEqual(['event must be an object']);
+    expect(validateClaudeFlowEvent({ data: {} })).toEqual(['type is required']);
+    expect(validateClaudeFlowEvent({ type: 'nope', data: {} })).toEqual(['unknown event type: nope']);
+    expect(validateClaudeFlowEvent({ type: 'task_assign', data: { taskId: 't' } })).toEqual(['data.agentId is required']);
+    expect(validateClaudeFlowEvent({ type: 'task_progress', data: { taskId: 't', progress: 140 } }))
+      .toEqual(['data.progress must be a number between 0 and 100']);
+  });
+});
+
+describe('POST /api/events', () => {
+  let server;
+  let baseUrl;
+
+  const post = async (body) => {
+    const res = await fetch(`${baseUrl}/api/events`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  beforeEach(async () => {
+    server = new SwarmVisualizationServer(0);
+    await server.start();
+    baseUrl = `http://localhost:${server.server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('should ingest a single event', async () => {
+    const { status, body } = await post({ type: 'swarm_init', data: { id: 'http_swarm' } });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ accepted: 1, rejected: 0 });
+    expect(server.graph.getNode('http_swarm')).toMatchObject({ type: 'Swarm' });
+  });
+
+  test('should report accepted and rejected events in a batch', async () => {
+    const { body } = await post([
+      { type: 'swarm_init', data: { id: 'batch_swarm' } },
+      { type: 'agent_spawn', data: { id: 'batch_agent', swarmId: 'batch_swarm' } },
+      { type: 'task_assign', data: { taskId: 'batch_task' } }
+    ]);
+
+    expect(body.accepted).toBe(2);
+    expect(body.rejected).toBe(1);
+    expect(body.results[2]).toEqual({ index: 2, accepted: false, errors: ['data.agentId is required'] });
+    expect(server.graph.hasEdge('batch_swarm', 'batch_agent')).toBe(true);
+  });
+
+  test('should reject an empty batch', async () => {
+    const { status } = await post([]);
+
+    expect(status).toBe(400);
+  });
+
+  test('should reject oversized batches', async () => {
+    const batch = Array.from({ length: 1001 }, (_, i) => ({ type: 'swarm_init', data: { id: `s${i}` } }));
+
+    const { status } = await post(batch);
+
+    expect(status).toBe(413);
+    expect(server.graph.hasNode('s0')).toBe(false);
+  });
+});
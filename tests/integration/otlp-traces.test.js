@@ -0,0 +1,154 @@
+/**
+ * Integration Tests for OTLP/JSON trace ingestion
+ */
+
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+const OtlpTraceMapper = require('../../src/otlp-traces');
+
+const NANOS = 1757851200000n * 1000000n;   // 2025-09-14T12:00:00Z
+const at = seconds => String(NANOS + BigInt(seconds * 1e9));
+
+const resource = (service, spans) => ({
+  resource: {
+    attributes: [
+      { key: 'service.name', value: { stringValue: service } },
+      { key: 'swarm.id', value: { stringValue: 'swarm_1' } }
+    ]
+  },
+  scopeSpans: [{ scope: { name: 'agent-runtime' }, spans }]
+});
+
+const span = (spanId, extra = {}) => ({
+  traceId: '5b8efff798038103d269b633813fc60c',
+  spanId,
+  name: `op-${spanId}`,
+  kind: 1,
+  startTimeUnixNano: at(0),
+  endTimeUnixNano: at(12),
+  ...extra
+});
+
+describe('OtlpTraceMapper', () => {
+  test('should decode attribute values', () => {
+    expect(OtlpTraceMapper.decodeAttributes([
+      { key: 's', value: { stringValue: 'x' } },
+      { key: 'i', value: { intValue: '42' } },
+      { key: 'a', value: { arrayValue: { values: [{ boolValue: true }, { doubleValue: 1.5 }] } } },
+      { key: 'kv', value: { kvlistValue: { values: [{ key: 'k', value: { stringValue: 'v' } }] } } }
+    ])).toEqual({ s: 'x', i: 42, a: [true, 1.5], kv: { k: 'v' } });
+  });
+});
+
+describe('SwarmVisualizationServer /v1/traces', () => {
+  let server;
+  let baseUrl;
+
+  const post = (body, contentType = 'application/json') => fetch(`${baseUrl}/v1/traces`, {
+    method: 'POST',
+    headers: { 'Content-Type': contentType },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  beforeEach(async () => {
+    server = new SwarmVisualizationServer(0);
+    await server.start();
+    baseUrl = `http://localhost:${server.server.address().port}`;
+    server.emit('swarm:created', { id: 'swarm_1', name: 'Swarm' });
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('should map services to agents and spans to tasks', async () => {
+    const res = await post({
+      resourceSpans: [
+        resource('planner', [
+          span('aaaa000000000001'),
+          span('aaaa000000000002', { parentSpanId: 'aaaa000000000001', endTimeUnixNano: at(4) })
+        ]),
+        resource('coder', [
+          span('bbbb000000000001', {
+            parentSpanId: 'aaaa000000000002',
+            kind: 'SPAN_KIND_SERVER',
+            endTimeUnixNano: undefined
+          }),
+          span('bbbb000000000002', { status: { code: 2, message: 'boom' } })
+        ])
+      ]
+    });
+
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({});
+
+    const planner = server.graph.getNode('otel-agent-planner');
+    expect(planner).toMatchObject({ type: 'Agent', name: 'planner', status: 'active', swarmId: 'swarm_1' });
+    expect(server.graph.getEdge('swarm_1_ORCHESTRATES_otel-agent-planner')).not.toBeNull();
+
+    const root = server.graph.getNode('otel-task-aaaa000000000001');
+    expect(root).toMatchObject({ type: 'Task', status: 'completed', duration: 12, progress: 100 });
+    expect(server.graph.getNode('otel-task-aaaa000000000002').parentTaskId).toBe('otel-task-aaaa000000000001');
+    expect(server.graph.getEdge('otel-task-aaaa000000000002_SUBTASK_OF_otel-task-aaaa000000000001')).not.toBeNull();
+    expect(server.graph.getNode('otel-task-bbbb000000000001').status).toBe('executing');
+    expect(server.graph.getNode('otel-task-bbbb000000000002')).toMatchObject({ status: 'failed', statusMessage: 'boom' });
+    expect(server.graph.getEdge('otel-agent-coder_EXECUTES_otel-task-bbbb000000000001')).not.toBeNull();
+
+    // The cross-service parent/child call
+    expect(server.graph.getEdge('otel-agent-planner_COLLABORATES_otel-agent-coder')).toMatchObject({
+      protocol: 'otel',
+      messages: 1
+    });
+  });
+
+  test('should turn span links and peer.service calls into collaborations', async () => {
+    await post({ resourceSpans: [resource('reviewer', [span('cccc000000000001')])] });
+    await post({
+      resourceSpans: [resource('tester', [
+        span('dddd000000000001', { links: [{ traceId: 'x', spanId: 'cccc000000000001' }] }),
+        span('dddd000000000002', {
+          kind: 3,
+          attributes: [{ key: 'peer.service', value: { stringValue: 'reviewer' } }]
+        })
+      ])]
+    });
+
+    expect(server.graph.getEdge('otel-agent-tester_COLLABORATES_otel-agent-reviewer').messages).toBe(2);
+  });
+
+  test('should report rejected spans as a partial success', async () => {
+    const res = await post({ resourceSpans: [resource('planner', [span('eeee000000000001'), { name: 'no id' }])] });
+
+    expect(await res.json()).toEqual({
+      partialSuccess: { rejectedSpans: 1, errorMessage: 'span must have a spanId and name' }
+    });
+    expect(server.graph.hasNode('otel-task-eeee000000000001')).toBe(true);
+  });
+
+  test('should reject a span whose links are not an array', async () => {
+    const res = await post({ resourceSpans: [resource('planner', [span('ffff000000000001'), span('ffff000000000002', { links: { spanId: 'x' } })])] });
+
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({
+      partialSuccess: { rejectedSpans: 1, errorMessage: 'span ffff000000000002: links must be an array' }
+    });
+    expect(server.graph.hasNode('otel-task-ffff000000000001')).toBe(true);
+    expect(server.graph.hasNode('otel-task-ffff000000000002')).toBe(false);
+  });
+
+  test('should reject malformed and non-JSON exports', async () => {
+    expect((await post({ spans: [] })).status).toBe(400);
+    expect((await post('binary', 'application/x-protobuf')).status).toBe(415);
+  });
+
+  test('should reject null resource and scope span entries with a 400', async () => {
+    const res = await post({ resourceSpans: [null, { scopeSpans: [null, { spans: 'none' }] }] });
+
+    expect(res.status).toBe(400);
+    expect((await res.json()).errors).toEqual([
+      'resourceSpans[0] must be an object',
+      'resourceSpans[1].scopeSpans[0] must be an object',
+      'resourceSpans[1].scopeSpans[1].spans must be an array'
+    ]);
+    expect(server.graph.nodes.some(node => node.id.startsWith('otel-'))).toBe(false);
+  });
+});
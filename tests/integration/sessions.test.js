@@ -0,0 +1,112 @@
+/**
+ * Integration Tests for named graph sessions
+ */
+
+const WebSocket = require('ws');
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+
+describe('SwarmVisualizationServer sessions', () => {
+  let server;
+  let baseUrl;
+
+  const api = (path, options = {}) => fetch(`${baseUrl}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+    body: options.body && JSON.stringify(options.body)
+  });
+
+  const swarmEvent = (id, sessionId) => ({ type: 'swarm_init', sessionId, data: { id, name: id } });
+
+  beforeEach(async () => {
+    server = new SwarmVisualizationServer(0);
+    await server.start();
+    baseUrl = `http://localhost:${server.server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('should create sessions with their own GC config', async () => {
+    const res = await api('/api/sessions', { method: 'POST', body: { id: 'team-a', gc: { maxNodes: 10 } } });
+
+    expect(res.status).toBe(201);
+    expect(await res.json()).toMatchObject({ id: 'team-a', nodes: 0, clients: 0, gcConfig: { maxNodes: 10, maxEdges: 150 } });
+    expect(server.gcConfig.maxNodes).toBe(100);
+
+    const { sessions } = await (await api('/api/sessions')).json();
+    expect(sessions.map(session => session.id)).toEqual(['default', 'team-a']);
+  });
+
+  test('should validate session ids', async () => {
+    await api('/api/sessions', { method: 'POST', body: { id: 'team-a' } });
+
+    expect((await api('/api/sessions', { method: 'POST', body: { id: 'team a' } })).status).toBe(400);
+    expect((await api('/api/sessions', { method: 'POST', body: { id: 'team-a' } })).status).toBe(409);
+    expect((await api('/api/sessions', { method: 'POST', body: { id: 'default' } })).status).toBe(409);
+    expect((await api('/api/sessions', { method: 'POST', body: { id: 'team-b', gc: { maxNodes: -1 } } })).status).toBe(400);
+    expect((await api('/api/sessions/nope/graph')).status).toBe(404);
+  });
+
+  test('should keep ingested events in their own session', async () => {
+    server.createSession('team-a');
+
+    const res = await api('/api/events', {
+      method: 'POST',
+      body: [swarmEvent('swarm_a', 'team-a'), swarmEvent('swarm_default'), swarmEvent('swarm_x', 'missing')]
+    });
+    const { results } = await res.json();
+
+    expect(results.map(result => result.accepted)).toEqual([true, true, false]);
+    expect(results[2].errors).toEqual(['unknown session: missing']);
+
+    const teamGraph = await (await api('/api/sessions/team-a/graph')).json();
+    expect(teamGraph.nodes.map(node => node.id)).toEqual(['swarm_a']);
+    expect(server.graph.hasNode('swarm_a')).toBe(false);
+    expect(server.graph.hasNode('swarm_default')).toBe(true);
+
+    // Session-scoped routes work too, including ingestion
+    await api('/api/sessions/team-a/events', { method: 'POST', body: swarmEvent('swarm_b') });
+    expect(server.sessions.get('team-a').graph.hasNode('swarm_b')).toBe(true);
+    expect((await (await api('/api/sessions/default/graph')).json()).nodes.map(node => node.id)).not.toContain('swarm_b');
+  });
+
+  test('should connect WebSocket clients to their session only', async () => {
+    const session = server.createSession('team-a');
+    session.emit('swarm:created', { id: 'swarm_a', name: 'A' });
+
+    const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}?session=team-a`);
+    const messages = [];
+    await new Promise(resolve => ws.on('message', (raw) => {
+      messages.push(JSON.parse(raw));
+      if (messages.length === 1) {
+        server.emit('swarm:created', { id: 'swarm_default', name: 'Default' });
+        session.emit('swarm:created', { id: 'swarm_a2', name: 'A2' });
+      } else {
+        resolve();
+      }
+    }));
+
+    expect(messages[0].type).toBe('initial');
+    expect(messages[0].data.nodes.map(node => node.id)).toEqual(['swarm_a']);
+    expect(messages[1]).toMatchObject({ type: 'node:added', data: { data: { id: 'swarm_a2' } } });
+    expect(session.clients.size).toBe(1);
+    expect(server.clients.has(ws)).toBe(false);
+
+    const closed = new Promise(resolve => ws.on('close', resolve));
+    expect((await api('/api/sessions/team-a', { method: 'DELETE' })).status).toBe(200);
+    await closed;
+    expect(server.sessions.has('team-a')).toBe(false);
+  });
+
+  test('should refuse sockets for unknown sessions and keep the default session', async () => {
+    const status = await new Promise((resolve) => {
+      const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}?session=missing`);
+      ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+    });
+
+    expect(status).toBe(404);
+    expect((await api('/api/sessions/default', { method: 'DELETE' })).status).toBe(400);
+    expect((await api('/api/sessions/missing', { method: 'DELETE' })).status).toBe(404);
+  });
+});
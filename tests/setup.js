@@ -58,6 +58,15 @@ global.TestUtils = {
   }),
 
   // Test server helpers
+  // Messages in one WebSocket payload: broadcast frames hold several
+  unframe: (raw) => {
+    const message = JSON.parse(raw.toString());
+    return message.type === 'frame' ? message.messages : [message];
+  },
+
+  // Everything sent to a mock WebSocket, frames unpacked
+  sentMessages: (ws) => ws.send.mock.calls.flatMap(([raw]) => TestUtils.unframe(raw)),
+
   createTestServer: async (port = 0) => {
     const SwarmVisualizationServer = require('../swarm-vis-server');
     const server = new SwarmVisualizationServer(port);
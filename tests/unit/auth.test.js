@@ -0,0 +1,150 @@
+/**
+ * TDD Tests for bearer-token authentication
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const TokenAuth = require('../../src/auth');
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+
+describe('TokenAuth', () => {
+  const request = (headers = {}, url = '/api/graph') => ({ headers, url });
+
+  test('should be disabled without tokens', () => {
+    const auth = new TokenAuth();
+
+    expect(auth.enabled).toBe(false);
+    expect(auth.authenticate(request())).toBe(true);
+  });
+
+  test('should accept a bearer header, and a token query parameter only when allowed', () => {
+    const auth = new TokenAuth({ tokens: 'alpha, beta' });
+
+    expect(auth.authenticate(request({ authorization: 'Bearer beta' }))).toBe(true);
+    expect(auth.authenticate(request({}, '/?nodeTypes=Agent&token=alpha'), { allowQuery: true })).toBe(true);
+    expect(auth.authenticate(request({}, '/api/graph?token=alpha'))).toBe(false);
+    expect(auth.authenticate(request({ authorization: 'Bearer gamma' }))).toBe(false);
+    expect(auth.authenticate(request({ authorization: 'Basic alpha' }))).toBe(false);
+    expect(auth.authenticate(request())).toBe(false);
+  });
+
+  test('should load tokens from a file, ignoring comments and blank lines', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'swarm-auth-')), 'tokens');
+    fs.writeFileSync(file, '# team tokens\nfile-token   # ci\nwatch-token viewer Dana S.\n\n');
+
+    const auth = new TokenAuth({ tokens: ['env-token:operator'], tokensFile: file });
+
+    expect(auth.verify('env-token')).toEqual({ name: 'token-1', role: 'operator' });
+    expect(auth.verify('file-token')).toEqual({ name: 'token-2', role: 'admin' });
+    expect(auth.verify('watch-token')).toEqual({ name: 'Dana S.', role: 'viewer' });
+    expect(auth.verify('# team tokens')).toBeNull();
+  });
+
+  test('should refuse unknown roles', () => {
+    expect(() => new TokenAuth({ tokens: 'abc:root' })).toThrow('Unknown role');
+  });
+
+  test('should grant each role the permissions of the roles below it', () => {
+    expect(TokenAuth.can('viewer', 'graph:read')).toBe(true);
+    expect(TokenAuth.can('viewer', 'gc:run')).toBe(false);
+    expect(TokenAuth.can('operator', 'agents:control')).toBe(true);
+    expect(TokenAuth.can('operator', 'graph:import')).toBe(false);
+    expect(TokenAuth.can('admin', 'gc:configure')).toBe(true);
+    expect(() => TokenAuth.can('admin', 'fly')).toThrow('Unknown action');
+  });
+});
+
+describe('SwarmVisualizationServer authentication', () => {
+  let server;
+  let port;
+
+  beforeEach(async () => {
+    server = new SwarmVisualizationServer(0, { auth: { tokens: ['secret', 'watch:viewer', 'ops:operator'] } });
+    await server.start();
+    port = server.server.address().port;
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  const connect = query => new Promise((resolve) => {
+    const ws = new WebSocket(`ws://localhost:${port}${query}`);
+    ws.on('message', (raw) => {
+      ws.close();
+      resolve({ type: JSON.parse(raw).type });
+    });
+    ws.on('unexpected-response', (req, res) => resolve({ status: res.statusCode }));
+  });
+
+  test('should require a token on the API but not on static files', async () => {
+    const denied = await fetch(`http://localhost:${port}/api/graph`);
+    expect(denied.status).toBe(401);
+    expect(denied.headers.get('www-authenticate')).toMatch(/^Bearer/);
+
+    const allowed = await fetch(`http://localhost:${port}/api/graph`, { headers: { Authorization: 'Bearer secret' } });
+    expect(allowed.status).toBe(200);
+
+    expect((await fetch(`http://localhost:${port}/api/graph?token=secret`)).status).toBe(401);
+    expect((await fetch(`http://localhost:${port}/metrics`)).status).toBe(401);
+    expect((await fetch(`http://localhost:${port}/index.html`)).status).toBe(200);
+  });
+
+  test('should refuse WebSocket upgrades without a valid token', async () => {
+    expect(await connect('/?token=wrong')).toEqual({ status: 401 });
+    expect(await connect('/?token=secret')).toEqual({ type: 'initial' });
+  });
+
+  const as = (token, path, options = {}) => fetch(`http://localhost:${port}${path}`, {
+    ...options,
+    headers: { Authorization: `Bearer ${token}`, ...options.headers }
+  });
+
+  test('should apply roles to REST routes and audit denials', async () => {
+    expect((await as('watch', '/api/graph')).status).toBe(200);
+    expect(await (await as('watch', '/api/auth')).json()).toMatchObject({ role: 'viewer', permissions: ['graph:read'] });
+
+    expect((await as('watch', '/api/gc/run', { method: 'POST' })).status).toBe(403);
+    expect((await as('ops', '/api/gc/run', { method: 'POST' })).status).toBe(200);
+    expect((await as('ops', '/api/graph', { method: 'DELETE' })).status).toBe(403);
+    expect((await as('ops', '/api/audit')).status).toBe(403);
+
+    const audit = await (await as('secret', '/api/audit')).json();
+    expect(audit.total).toBe(3);
+    expect(audit.denied[0]).toMatchObject({ action: 'gc:run', name: 'token-2', role: 'viewer', via: 'rest', target: 'POST /api/gc/run' });
+    expect(audit.denied.map(entry => entry.action)).toEqual(['gc:run', 'graph:clear', 'audit:read']);
+  });
+
+  test('should let admins clear the graph', async () => {
+    server.emit('swarm:created', TestUtils.generateSwarmData());
+
+    const res = await as('secret', '/api/graph', { method: 'DELETE' });
+
+    expect((await res.json()).removed.nodes).toBeGreaterThan(0);
+    expect(server.graph.hasNode('test_swarm_123')).toBe(false);
+    expect(server.graph.nodeCount).toBe(0);
+  });
+
+  test('should apply roles to WebSocket commands', async () => {
+    const ws = new WebSocket(`ws://localhost:${port}?token=watch`);
+    const replies = [];
+    await new Promise((resolve) => {
+      ws.on('message', (raw) => {
+        const message = JSON.parse(raw);
+        if (message.type === 'initial') {
+          ws.send(JSON.stringify({ type: 'command', id: 'c1', command: 'gc:run' }));
+          ws.send(JSON.stringify({ type: 'command', id: 'c2', command: 'metrics:get' }));
+        } else if (message.type.startsWith('command:') && replies.push(message) === 3) {
+          resolve();
+        }
+      });
+    });
+    ws.close();
+
+    expect(replies[0].data).toMatchObject({ id: 'c1', error: { code: 'FORBIDDEN' } });
+    expect(replies.map(reply => reply.type)).toEqual(['command:error', 'command:ack', 'command:result']);
+    expect(server.auditLog[0]).toMatchObject({ action: 'gc:run', role: 'viewer', via: 'websocket', target: 'gc:run' });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * TDD Tests for bottleneck and overload detection
+ */
+
+const GraphStore = require('../../src/graph-store');
+const BottleneckAnalyzer = require('../../src/bottleneck-analyzer');
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+
+describe('BottleneckAnalyzer', () => {
+  const NOW = Date.parse('2025-09-14T12:00:00Z');
+  let graph;
+  let analyzer;
+
+  const node = (id, type, extra = {}) => graph.addNode({ id, type, ...extra });
+  const edge = (type, from, to, extra = {}) => graph.addEdge({ id: `${from}_${type}_${to}`, type, from, to, ...extra });
+  const kinds = (report) => report.bottlenecks.map(b => `${b.kind}:${b.nodeId}`);
+
+  beforeEach(() => {
+    graph = new GraphStore();
+    analyzer = new BottleneckAnalyzer(graph, { maxConcurrentTasks: 2, hotspotTasks: 3 });
+    node('agent_1', 'Agent', { label: 'Coder' });
+  });
+
+  test('should flag agents with too many unfinished tasks', () => {
+    ['t1', 't2', 't3'].forEach(id => {
+      node(id, 'Task', { status: 'pending' });
+      edge('EXECUTES', 'agent_1', id);
+    });
+
+    const report = analyzer.run(NOW);
+
+    expect(kinds(report)).toEqual(['agent_overload:agent_1']);
+    expect(report.bottlenecks[0]).toMatchObject({ value: 3, threshold: 2, tasks: ['t1', 't2', 't3'] });
+
+    graph.updateNode('t3', { status: 'completed' });
+    expect(analyzer.run(NOW).bottlenecks).toEqual([]);
+  });
+
+  test('should flag tasks executing far beyond the median duration', () => {
+    [10, 20, 30].forEach((duration, i) => node(`done_${i}`, 'Task', { status: 'completed', duration }));
+    node('slow', 'Task', { status: 'executing', startedAt: new Date(NOW - 90 * 1000) });
+    node('fine', 'Task', { status: 'executing', startedAt: new Date(NOW - 30 * 1000) });
+
+    const report = analyzer.run(NOW);
+
+    expect(kinds(report)).toEqual(['stuck_task:slow']);
+    expect(report.bottlenecks[0]).toMatchObject({ value: 90, threshold: 60 });
+  });
+
+  test('should fall back to the estimate until enough tasks have completed', () => {
+    node('slow', 'Task', { status: 'executing', estimatedDuration: 10 });
+    edge('EXECUTES', 'agent_1', 'slow', { startTime: new Date(NOW - 60 * 1000) });
+
+    expect(kinds(analyzer.run(NOW))).toEqual(['stuck_task:slow']);
+  });
+
+  test('should time tasks without a start time from when they were first seen', () => {
+    node('slow', 'Task', { status: 'executing', estimatedDuration: 10 });
+
+    expect(analyzer.run(NOW).bottlenecks).toEqual([]);
+    expect(kinds(analyzer.run(NOW + 31 * 1000))).toEqual(['stuck_task:slow']);
+  });
+
+  test('should flag files modified by many tasks within the window', () => {
+    node('readme.md', 'File');
+    ['t1', 't2', 't3'].forEach(id => {
+      node(id, 'Task', { status: 'executing' });
+      edge('MODIFIES', id, 'readme.md', { timestamp: new Date(NOW - 1000) });
+    });
+
+    expect(kinds(analyzer.run(NOW))).toEqual(['file_hotspot:readme.md']);
+    expect(analyzer.run(NOW + 10 * 60 * 1000).bottlenecks).toEqual([]);
+  });
+
+  test('should emit detected once and resolved when cleared', () => {
+    const detected = jest.fn();
+    const resolved = jest.fn();
+    analyzer.on('detected', detected);
+    analyzer.on('resolved', resolved);
+    ['t1', 't2', 't3'].forEach(id => {
+      node(id, 'Task', { status: 'pending' });
+      edge('EXECUTES', 'agent_1', id);
+    });
+
+    analyzer.run(NOW);
+    analyzer.run(NOW + 1000);
+    expect(detected).toHaveBeenCalledTimes(1);
+    expect(detected.mock.calls[0][0].detectedAt).toEqual(new Date(NOW));
+
+    graph.removeEdge('agent_1_EXECUTES_t1');
+    analyzer.run(NOW + 2000);
+    expect(resolved).toHaveBeenCalledTimes(1);
+    expect(resolved.mock.calls[0][0]).toMatchObject({ key: 'agent_overload:agent_1', resolvedAt: new Date(NOW + 2000) });
+  });
+});
+
+describe('SwarmVisualizationServer bottleneck detection', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = new SwarmVisualizationServer(0, { bottlenecks: { maxConcurrentTasks: 1 } });
+    await server.start();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  const url = () => `http://localhost:${server.server.address().port}/api/analysis/bottlenecks`;
+
+  test('should broadcast detections and serve the report', async () => {
+    const client = TestUtils.mockWebSocket();
+    server.clients.add(client);
+    server.addNode('Agent', { id: 'agent_1' });
+    ['t1', 't2'].forEach(id => {
+      server.addNode('Task', { id, status: 'pending' });
+      server.addEdge('EXECUTES', 'agent_1', id);
+    });
+
+    const res = await fetch(url(), { method: 'POST' });
+    const body = await res.json();
+    server.broadcaster.flush();
+
+    expect(body.bottlenecks.map(b => b.key)).toEqual(['agent_overload:agent_1']);
+    expect(client.send).toHaveBeenCalledWith(expect.stringContaining('"type":"bottleneck:detected"'));
+    expect((await (await fetch(url())).json()).bottlenecks).toEqual(body.bottlenecks);
+  });
+
+  test('should serve the last report on GET without analysing again', async () => {
+    const client = TestUtils.mockWebSocket();
+    server.clients.add(client);
+    server.addNode('Agent', { id: 'agent_1' });
+    ['t1', 't2'].forEach(id => {
+      server.addNode('Task', { id, status: 'pending' });
+      server.addEdge('EXECUTES', 'agent_1', id);
+    });
+    server.broadcaster.flush();
+    client.send.mockClear();
+
+    const body = await (await fetch(url())).json();
+    server.broadcaster.flush();
+
+    expect(body).toMatchObject({ analyzedAt: null, bottlenecks: [] });
+    expect(client.send).not.toHaveBeenCalled();
+  });
+});
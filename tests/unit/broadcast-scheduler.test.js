@@ -0,0 +1,157 @@
+/**
+ * TDD Tests for broadcast framing and per-client backpressure
+ */
+
+const BroadcastScheduler = require('../../src/broadcast-scheduler');
+const { BroadcastConfigError } = BroadcastScheduler;
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+
+describe('BroadcastScheduler', () => {
+  test('should batch into 50 ms frames by default', () => {
+    expect(new BroadcastScheduler().config.frameInterval).toBe(50);
+  });
+
+  test('should flush each message at once with a frame interval of 0', () => {
+    const scheduler = new BroadcastScheduler({ frameInterval: 0 });
+    const frames = [];
+    scheduler.on('flush', entries => frames.push(entries.map(entry => entry.type)));
+
+    scheduler.push('node:added', { id: 'a1' });
+    scheduler.push('node:updated', { id: 'a1' });
+
+    expect(frames).toEqual([['node:added'], ['node:updated']]);
+  });
+
+  test('should batch a frame and keep only the latest update per node', async () => {
+    const scheduler = new BroadcastScheduler({ frameInterval: 20 });
+    const frames = [];
+    scheduler.on('flush', entries => frames.push(entries));
+
+    scheduler.push('node:updated', { id: 'a1', progress: 10 });
+    scheduler.push('node:updated', { id: 't1', progress: 10 });
+    scheduler.push('edge:added', { id: 'a1_EXECUTES_t1' });
+    scheduler.push('node:updated', { id: 'a1', progress: 90 }, { subjects: ['a1'] });
+
+    expect(frames).toHaveLength(0);
+    await TestUtils.delay(50);
+
+    expect(frames).toHaveLength(1);
+    expect(frames[0].map(entry => [entry.type, entry.data.id])).toEqual([
+      ['node:updated', 't1'],
+      ['edge:added', 'a1_EXECUTES_t1'],
+      ['node:updated', 'a1']
+    ]);
+    expect(frames[0][2]).toMatchObject({ data: { progress: 90 }, subjects: ['a1'] });
+    expect(scheduler.totals).toEqual({ frames: 1, messages: 3, coalesced: 1 });
+  });
+
+  test('should classify send buffers', () => {
+    const scheduler = new BroadcastScheduler({ maxBufferedAmount: 100, dropBufferedAmount: 1000 });
+
+    expect(scheduler.classify(undefined)).toBe('ok');
+    expect(scheduler.classify(100)).toBe('ok');
+    expect(scheduler.classify(101)).toBe('slow');
+    expect(scheduler.classify(1001)).toBe('drop');
+  });
+
+  test('should reject invalid settings', () => {
+    let error;
+    try {
+      new BroadcastScheduler({ frameInterval: -1, maxBufferedAmount: 10, dropBufferedAmount: 5, burst: 1 });
+    } catch (thrown) {
+      error = thrown;
+    }
+
+    expect(error).toBeInstanceOf(BroadcastConfigError);
+    expect(error.errors).toEqual([
+      'frameInterval must be a number of at least 0',
+      'unknown setting: burst',
+      'dropBufferedAmount must not be less than maxBufferedAmount'
+    ]);
+  });
+});
+
+describe('SwarmVisualizationServer broadcast frames', () => {
+  let server;
+
+  const received = client => client.send.mock.calls.map(([raw]) => JSON.parse(raw));
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('should send queued broadcasts as one frame', async () => {
+    server = new SwarmVisualizationServer(0, { broadcast: { frameInterval: 20 }, agents: { simulate: false }, gc: { enabled: false } });
+    const client = TestUtils.mockWebSocket();
+    server.clients.add(client);
+
+    server.emit('agent:spawned', TestUtils.generateAgentData());
+    ['idle', 'busy', 'active'].forEach(status => server.broadcast('node:updated', server.updateNode('test_agent_456', { status })));
+    await TestUtils.delay(50);
+
+    const [frame] = received(client);
+    expect(frame.type).toBe('frame');
+    expect(frame.messages.map(message => message.type)).toEqual(['node:added', 'node:updated']);
+    expect(frame.messages[1]).toMatchObject({ seq: 2, data: { status: 'active' } });
+    expect(server.replayBuffer.since(0).map(entry => entry.seq)).toEqual([1, 2]);
+  });
+
+  test('should collapse task progress into one update of the task', async () => {
+    server = new SwarmVisualizationServer(0, { agents: { simulate: false }, gc: { enabled: false } });
+    server.emit('task:created', TestUtils.generateTaskData());
+    server.broadcaster.flush();
+    const client = TestUtils.mockWebSocket();
+    server.clients.add(client);
+
+    [10, 40, 90].forEach(progress => server.emit('task:progress', { taskId: 'test_task_789', progress }));
+    await TestUtils.delay(80);
+
+    expect(client.send).toHaveBeenCalledTimes(1);
+    expect(received(client)).toEqual([
+      expect.objectContaining({ type: 'node:updated', data: expect.objectContaining({ id: 'test_task_789', progress: 90 }) })
+    ]);
+    expect(server.broadcaster.totals.coalesced).toBe(2);
+  });
+
+  test('should switch a backed-up client to snapshots and drop a hopeless one', async () => {
+    server = new SwarmVisualizationServer(0, {
+      broadcast: { maxBufferedAmount: 1000, dropBufferedAmount: 5000, snapshotInterval: 100 },
+      agents: { simulate: false },
+      gc: { enabled: false }
+    });
+    const fast = TestUtils.mockWebSocket();
+    const slow = { ...TestUtils.mockWebSocket(), id: 7, bufferedAmount: 2000, deliveredSeq: 0 };
+    const stuck = { ...TestUtils.mockWebSocket(), bufferedAmount: 10000 };
+    [fast, slow, stuck].forEach(client => server.clients.add(client));
+
+    server.broadcast('node:added', { type: 'Task', data: TestUtils.generateTaskData() });
+    server.broadcaster.flush();
+
+    expect(fast.send).toHaveBeenCalledTimes(1);
+    expect(slow.send).not.toHaveBeenCalled();
+    expect(stuck.close).toHaveBeenCalledWith(1013, 'Client too slow');
+    expect(server.clients.has(stuck)).toBe(false);
+    expect(server.getClientLag().find(lag => lag.id === 7)).toMatchObject({ mode: 'snapshots', bufferedAmount: 2000, behind: 1 });
+
+    slow.bufferedAmount = 0;
+    await TestUtils.delay(150);
+
+    expect(received(slow)).toEqual([expect.objectContaining({ type: 'initial', snapshot: true, seq: 1 })]);
+    expect(slow.mode).toBe('live');
+    expect(server.slowClientInterval).toBeNull();
+  });
+
+  test('should report per-client lag in /api/health', async () => {
+    server = new SwarmVisualizationServer(0, { agents: { simulate: false }, gc: { enabled: false } });
+    await server.start();
+    server.clients.add({ ...TestUtils.mockWebSocket(), id: 42, mode: 'snapshots', bufferedAmount: 4096, deliveredSeq: 0 });
+    server.broadcast('test_type', { test: 'data' });
+    server.broadcaster.flush();
+
+    const res = await fetch(`http://localhost:${server.server.address().port}/api/health`);
+    const body = await res.json();
+
+    expect(body.broadcast).toMatchObject({ frameInterval: 50, pending: 0, slowClients: { downgraded: 0, dropped: 0 } });
+    expect(body.clientLag).toEqual([expect.objectContaining({ id: 42, mode: 'snapshots', bufferedAmount: 4096, behind: 1 })]);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * TDD Tests for centrality metrics
+ */
+
+const GraphStore = require('../../src/graph-store');
+const CentralityAnalyzer = require('../../src/centrality');
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+
+describe('CentralityAnalyzer', () => {
+  let graph;
+  let analyzer;
+
+  const node = (id, type = 'Agent') => graph.addNode({ id, type });
+  const edge = (from, to, type = 'COLLABORATES') => graph.addEdge({ id: `${from}_${to}`, type, from, to });
+
+  beforeEach(() => {
+    graph = new GraphStore();
+    analyzer = new CentralityAnalyzer(graph);
+
+    // Star: hub linked to a, b, c; a and b also linked
+    ['hub', 'a', 'b', 'c'].forEach(id => node(id));
+    edge('a', 'hub');
+    edge('b', 'hub');
+    edge('c', 'hub');
+    edge('a', 'b');
+  });
+
+  test('should compute degree centrality and clustering', () => {
+    const hub = analyzer.nodeMetrics('hub');
+
+    expect(hub.degree).toBe(3);
+    expect(hub.degree_centrality).toBe(1);
+    expect(hub.clustering_coefficient).toBeCloseTo(1 / 3);
+    expect(analyzer.nodeMetrics('a').clustering_coefficient).toBe(1);
+    expect(analyzer.nodeMetrics('c').clustering_coefficient).toBe(0);
+  });
+
+  test('should compute normalized betweenness', () => {
+    // hub lies on the only shortest paths a-c and b-c: 2 of 3 pairs
+    expect(analyzer.nodeMetrics('hub').betweenness_centrality).toBeCloseTo(2 / 3);
+    expect(analyzer.nodeMetrics('a').betweenness_centrality).toBe(0);
+  });
+
+  test('should compute PageRank along edge direction', () => {
+    const results = analyzer.results();
+    const total = Array.from(results.nodes.values()).reduce((sum, m) => sum + m.pagerank, 0);
+
+    expect(total).toBeCloseTo(1);
+    expect(analyzer.nodeMetrics('hub').rank.pagerank).toBe(1);
+  });
+
+  test('should rank nodes by a metric', () => {
+    const ranked = analyzer.ranked({ metric: 'betweenness_centrality', limit: 2 });
+
+    expect(ranked.nodes.map(n => n.id)).toEqual(['hub', 'a']);
+    expect(ranked.nodes[0]).toMatchObject({ rank: 1, score: ranked.nodes[0].betweenness_centrality });
+    expect(ranked.graph.density).toBeCloseTo(4 / 6);
+    expect(() => analyzer.ranked({ metric: 'fame' })).toThrow('Unknown metric');
+  });
+
+  test('should reuse cached results until the graph changes', () => {
+    const first = analyzer.results();
+
+    expect(analyzer.results()).toBe(first);
+    expect(analyzer.results({ force: true })).not.toBe(first);
+
+    node('d');
+    expect(analyzer.results().nodeCount).toBe(5);
+    expect(analyzer.nodeMetrics('d')).toMatchObject({ id: 'd', degree: 0 });
+  });
+
+  test('should recompute once the graph changes', () => {
+    const first = analyzer.results();
+
+    graph.removeEdge('a_b');
+
+    expect(analyzer.results()).not.toBe(first);
+    expect(analyzer.nodeMetrics('hub').clustering_coefficient).toBe(0);
+  });
+
+  test('should handle an empty graph', () => {
+    analyzer = new CentralityAnalyzer(new GraphStore());
+
+    expect(analyzer.ranked().nodes).toEqual([]);
+    expect(analyzer.nodeMetrics('missing')).toBeNull();
+  });
+});
+
+describe('SwarmVisualizationServer centrality API', () => {
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    server = new SwarmVisualizationServer(0, { agents: { simulate: false } });
+    await server.start();
+    baseUrl = `http://localhost:${server.server.address().port}`;
+    server.emit('swarm:created', TestUtils.generateSwarmData());
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('GET /api/nodes/:id/metrics should return metrics for one node', async () => {
+    const res = await fetch(`${baseUrl}/api/nodes/test_swarm_123/metrics`);
+    const body = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(body).toMatchObject({ id: 'test_swarm_123', type: 'Swarm' });
+    expect(Object.keys(body.rank)).toEqual(CentralityAnalyzer.NODE_METRICS);
+  });
+
+  test('GET /api/nodes/:id/metrics should cover nodes added since the last computation', async () => {
+    await fetch(`${baseUrl}/api/nodes/test_swarm_123/metrics`);
+    server.emit('task:created', TestUtils.generateTaskData({ id: 't3' }));
+
+    const res = await fetch(`${baseUrl}/api/nodes/t3/metrics`);
+
+    expect(res.status).toBe(200);
+    expect((await res.json()).id).toBe('t3');
+  });
+
+  test('GET /api/nodes/:id/metrics should 404 for unknown nodes', async () => {
+    const res = await fetch(`${baseUrl}/api/nodes/nope/metrics`);
+
+    expect(res.status).toBe(404);
+  });
+
+  test('GET /api/metrics/centrality should return a ranked list', async () => {
+    const res = await fetch(`${baseUrl}/api/metrics/centrality?metric=degree_centrality&limit=5`);
+    const body = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(body.metric).toBe('degree_centrality');
+    expect(body.nodes.length).toBeLessThanOrEqual(5);
+    expect(body.nodes[0].rank).toBe(1);
+  });
+
+  test('GET /api/metrics/centrality should reject unknown metrics', async () => {
+    const res = await fetch(`${baseUrl}/api/metrics/centrality?metric=fame`);
+
+    expect(res.status).toBe(400);
+  });
+});
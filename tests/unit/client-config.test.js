@@ -0,0 +1,75 @@
+/**
+ * TDD Tests for the browser client config and base path mounting
+ */
+
+const WebSocket = require('ws');
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+
+describe('SwarmVisualizationServer client config', () => {
+  let server;
+  let port;
+
+  const start = async (options) => {
+    server = new SwarmVisualizationServer(0, options);
+    await server.start();
+    port = server.server.address().port;
+  };
+
+  const upgrade = path => new Promise((resolve) => {
+    const ws = new WebSocket(`ws://localhost:${port}${path}`);
+    ws.on('message', (raw) => {
+      ws.close();
+      resolve(JSON.parse(raw).type);
+    });
+    ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('should be readable without a token and describe the server', async () => {
+    await start({ auth: { tokens: 'secret' }, agents: { simulate: false } });
+
+    const res = await fetch(`http://localhost:${port}/api/client-config`);
+
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({
+      basePath: '',
+      wsUrl: `ws://localhost:${port}/`,
+      auth: { mode: 'token' },
+      features: { sessions: true, archive: false, persistence: false, gc: true, simulation: false }
+    });
+  });
+
+  test('should follow forwarded headers, or the configured public URL', async () => {
+    await start();
+    const forwarded = await (await fetch(`http://localhost:${port}/api/client-config`, {
+      headers: { 'X-Forwarded-Proto': 'https', 'X-Forwarded-Host': 'swarm.example.com' }
+    })).json();
+
+    expect(forwarded.wsUrl).toBe('wss://swarm.example.com/');
+
+    server.publicUrl = 'https://tools.example.com/viz/';
+    const configured = await (await fetch(`http://localhost:${port}/api/client-config`)).json();
+
+    expect(configured).toMatchObject({ basePath: '/viz', wsUrl: 'wss://tools.example.com/viz/', auth: { mode: 'none' } });
+  });
+
+  test('should serve the pages, API and WebSocket under a base path', async () => {
+    await start({ basePath: '/swarm/' });
+    const base = `http://localhost:${port}`;
+
+    const redirect = await fetch(`${base}/swarm?session=team-a`, { redirect: 'manual' });
+    expect(redirect.status).toBe(301);
+    expect(redirect.headers.get('location')).toBe('/swarm/?session=team-a');
+
+    expect((await fetch(`${base}/swarm/index.html`)).status).toBe(200);
+    expect((await fetch(`${base}/swarm/api/graph`)).status).toBe(200);
+    expect((await fetch(`${base}/api/graph`)).status).toBe(404);
+    expect((await (await fetch(`${base}/swarm/api/client-config`)).json()).wsUrl).toBe(`ws://localhost:${port}/swarm/`);
+
+    expect(await upgrade('/swarm/')).toBe('initial');
+    expect(await upgrade('/')).toBe(404);
+  });
+});
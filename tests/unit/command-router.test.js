@@ -0,0 +1,154 @@
+/**
+ * TDD Tests for the WebSocket command channel
+ */
+
+const WebSocket = require('ws');
+const CommandRouter = require('../../src/command-router');
+const { CommandError } = CommandRouter;
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+
+describe('CommandRouter', () => {
+  let router;
+  let replies;
+  const reply = (type, data) => replies.push({ type, data });
+
+  beforeEach(() => {
+    router = new CommandRouter();
+    replies = [];
+  });
+
+  test('should ack and then return the result under the same id', async () => {
+    router.register('echo', params => params);
+
+    await router.handle({ id: 'c1', command: 'echo', params: { a: 1 } }, {}, reply);
+
+    expect(replies).toEqual([
+      { type: 'command:ack', data: { id: 'c1', command: 'echo' } },
+      { type: 'command:result', data: { id: 'c1', command: 'echo', result: { a: 1 } } }
+    ]);
+  });
+
+  test('should reply with an error code when the handler throws', async () => {
+    router.register('missing', () => { throw new CommandError('NOT_FOUND', 'nope'); });
+    router.register('broken', async () => { throw new Error('boom'); });
+
+    await router.handle({ id: 'c2', command: 'missing' }, {}, reply);
+    await router.handle({ id: 'c3', command: 'broken' }, {}, reply);
+
+    expect(replies[1].data.error).toEqual({ code: 'NOT_FOUND', message: 'nope' });
+    expect(replies[3].data.error).toEqual({ code: 'COMMAND_FAILED', message: 'boom' });
+  });
+
+  test('should refuse commands the authorize hook rejects, without running them', async () => {
+    const handler = jest.fn();
+    router = new CommandRouter({ authorize: (permission, context) => context.role === permission });
+    router.register('purge', handler, { permission: 'admin' });
+
+    await router.handle({ id: 'c4', command: 'purge' }, { role: 'viewer' }, reply);
+    await router.handle({ id: 'c5', command: 'purge' }, { role: 'admin' }, reply);
+
+    expect(replies[0]).toEqual({
+      type: 'command:error',
+      data: { id: 'c4', command: 'purge', error: { code: 'FORBIDDEN', message: 'Not allowed to run purge' } }
+    });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject unknown commands without an ack', async () => {
+    await router.handle({ id: 'c4', command: 'self-destruct' }, {}, reply);
+
+    expect(replies).toHaveLength(1);
+    expect(replies[0].type).toBe('command:error');
+    expect(replies[0].data.error.code).toBe('UNKNOWN_COMMAND');
+  });
+});
+
+describe('SwarmVisualizationServer commands', () => {
+  let server;
+  let client;
+  const messages = [];
+
+  const waitFor = async (predicate) => {
+    for (let i = 0; i < 100; i++) {
+      const found = messages.find(predicate);
+      if (found) return found;
+      await TestUtils.delay(10);
+    }
+    throw new Error('Timed out waiting for message');
+  };
+
+  const command = async (id, name, params) => {
+    client.send(JSON.stringify({ type: 'command', id, command: name, params }));
+    return waitFor(m => (m.type === 'command:result' || m.type === 'command:error') && m.data.id === id);
+  };
+
+  beforeEach(async () => {
+    messages.length = 0;
+    server = new SwarmVisualizationServer(0);
+    await server.start();
+
+    client = new WebSocket(`ws://localhost:${server.server.address().port}`);
+    client.on('message', raw => messages.push(...TestUtils.unframe(raw)));
+    await new Promise(resolve => client.on('open', resolve));
+  });
+
+  afterEach(async () => {
+    client.terminate();
+    await server.stop();
+  });
+
+  test('should run garbage collection on request', async () => {
+    const response = await command('gc-1', 'gc:run');
+
+    expect(messages.find(m => m.type === 'command:ack' && m.data.id === 'gc-1')).toBeDefined();
+    expect(response.type).toBe('command:result');
+    expect(response.data.result).toHaveProperty('afterNodes');
+  });
+
+  test('should return current metrics', async () => {
+    server.emit('swarm:created', TestUtils.generateSwarmData());
+
+    const response = await command('m-1', 'metrics:get');
+
+    expect(response.data.result.graph.totalNodes).toBe(server.graph.nodeCount);
+  });
+
+  test('should pin a node and broadcast the change', async () => {
+    server.emit('swarm:created', TestUtils.generateSwarmData({ id: 'swarm_pin' }));
+
+    const response = await command('p-1', 'node:pin', { id: 'swarm_pin', x: 10, y: -5 });
+
+    expect(response.data.result).toEqual({ id: 'swarm_pin', pinned: true, x: 10, y: -5 });
+    expect(server.graph.getNode('swarm_pin').pinned).toBe(true);
+    await waitFor(m => m.type === 'node:updated' && m.data.id === 'swarm_pin' && m.data.pinned);
+  });
+
+  test('should report a missing node as NOT_FOUND', async () => {
+    const response = await command('p-2', 'node:pin', { id: 'ghost' });
+
+    expect(response.type).toBe('command:error');
+    expect(response.data.error.code).toBe('NOT_FOUND');
+  });
+
+  test('should spawn and terminate global agents', async () => {
+    server.globalAgents.globalAgents.set('researcher', {
+      config: { name: 'Researcher', type: 'research' },
+      status: 'configured',
+      metrics: {}
+    });
+
+    const spawned = await command('a-1', 'agent:spawn', { agentId: 'researcher' });
+    expect(spawned.data.result).toEqual({ id: 'researcher', name: 'Researcher', status: 'active' });
+
+    const all = await command('a-2', 'agents:terminateAll');
+    expect(all.data.result.agents).toEqual(
+      expect.arrayContaining([{ id: 'researcher', name: 'Researcher', status: 'configured' }])
+    );
+  });
+
+  test('should require an agent id', async () => {
+    const response = await command('a-3', 'agent:spawn', {});
+
+    expect(response.data.error.code).toBe('INVALID_PARAMS');
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * TDD Tests for the configuration loader
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, parseArgs, redact, ConfigError, DEFAULTS } = require('../../src/config');
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+
+describe('loadConfig', () => {
+  let cwd;
+
+  const write = (file, content) => fs.writeFileSync(path.join(cwd, file), content);
+  const load = (argv = [], env = {}) => loadConfig({ argv, env, cwd });
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'swarm-vis-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  test('should fall back to the defaults', () => {
+    const { config, sources, files } = load();
+
+    expect(config).toEqual(DEFAULTS);
+    expect(sources).toEqual({});
+    expect(files).toEqual({ config: null, env: null });
+  });
+
+  test('should layer the config file, .env, environment and flags', () => {
+    write('swarm-vis.config.json', JSON.stringify({
+      port: 9000,
+      host: '127.0.0.1',
+      gc: { maxNodes: 300, types: { Task: { ttl: 60000 } } },
+      agents: { simulate: false }
+    }));
+    write('.env', 'SWARM_VIS_PORT=9100\nSWARM_VIS_GC_MAX_NODES=400\nSWARM_VIS_PERSISTENCE_DIR=./data\n');
+
+    const { config, sources, files } = load(
+      ['--port', '9300', '--gc-interval=5000', '--simulation'],
+      { SWARM_VIS_PORT: '9200' }
+    );
+
+    expect(config).toMatchObject({
+      port: 9300,
+      host: '127.0.0.1',
+      persistenceDir: './data',
+      gc: { maxNodes: 400, gcInterval: 5000, types: { Task: { ttl: 60000 } } },
+      agents: { simulate: true }
+    });
+    expect(sources).toMatchObject({
+      port: 'cli',
+      host: 'file',
+      persistenceDir: '.env',
+      'gc.maxNodes': '.env',
+      'gc.types': 'file',
+      'agents.simulate': 'cli'
+    });
+    expect(files.config).toBe(path.join(cwd, 'swarm-vis.config.json'));
+  });
+
+  test('should read the config file named by --config', () => {
+    write('team.json', JSON.stringify({ archiveDir: '/var/swarm/archive' }));
+
+    expect(load(['--config', 'team.json']).config.archiveDir).toBe('/var/swarm/archive');
+    expect(() => load(['--config', 'missing.json'])).toThrow(/cannot read/);
+  });
+
+  test('should collect every problem into one error', () => {
+    write('swarm-vis.config.json', JSON.stringify({ colour: 'blue', validationMode: 'loose', gc: { eviction: 'random' } }));
+
+    let error;
+    try {
+      load(['--port', 'eighty', '--verbose', '--no-host'], { SWARM_VIS_SIMULATION: 'maybe' });
+    } catch (thrown) {
+      error = thrown;
+    }
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.errors).toEqual([
+      'unknown argument: --verbose',
+      'unknown argument: --no-host',
+      'swarm-vis.config.json: unknown setting: colour',
+      'SWARM_VIS_SIMULATION must be true or false (got "maybe")',
+      '--port must be a number (got "eighty")',
+      'validationMode must be one of strict, warn, off',
+      'gc: eviction must be one of oldest, lru'
+    ]);
+  });
+
+  test('should parse flag forms', () => {
+    const flags = parseArgs(['--host', '0.0.0.0', '--no-gc', '--gc-max-age=60000']);
+
+    expect(Object.fromEntries(flags)).toEqual({ host: '0.0.0.0', gc: false, 'gc-max-age': '60000' });
+  });
+
+  test('should redact tokens', () => {
+    const { config } = load([], { SWARM_VIS_TOKENS: 'abc:viewer,def' });
+
+    expect(config.auth.tokens).toBe('abc:viewer,def');
+    expect(redact(config).auth.tokens).toBe('<2 redacted>');
+  });
+});
+
+describe('SwarmVisualizationServer config', () => {
+  let server;
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('should describe the effective config at GET /api/config', async () => {
+    server = new SwarmVisualizationServer(0, {
+      auth: { tokens: ['secret', 'watch:viewer'] },
+      agents: { simulate: false },
+      gc: { maxNodes: 250 },
+      configSources: { sources: { 'gc.maxNodes': 'file' }, files: { config: '/etc/swarm-vis.config.json', env: null } }
+    });
+    await server.start();
+    const url = `http://localhost:${server.server.address().port}/api/config`;
+
+    const res = await fetch(url, { headers: { Authorization: 'Bearer secret' } });
+    const body = await res.json();
+
+    expect(body.config).toMatchObject({
+      validationMode: 'warn',
+      auth: { tokens: '<2 redacted>' },
+      agents: { simulate: false },
+      gc: { maxNodes: 250, eviction: 'oldest' }
+    });
+    expect(body.sources).toEqual({ 'gc.maxNodes': 'file' });
+    expect((await fetch(url, { headers: { Authorization: 'Bearer watch' } })).status).toBe(403);
+  });
+});
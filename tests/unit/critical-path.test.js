@@ -0,0 +1,119 @@
+/**
+ * TDD Tests for critical path analysis
+ */
+
+const GraphStore = require('../../src/graph-store');
+const CriticalPathAnalyzer = require('../../src/critical-path');
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+
+describe('CriticalPathAnalyzer', () => {
+  let graph;
+  let analyzer;
+
+  const node = (id, type, extra = {}) => graph.addNode({ id, type, ...extra });
+  const edge = (type, from, to) => graph.addEdge({ id: `${from}_${type}_${to}`, type, from, to });
+
+  beforeEach(() => {
+    graph = new GraphStore();
+    analyzer = new CriticalPathAnalyzer(graph);
+
+    // issue_c depends on issue_a and issue_b; each is implemented by one task
+    node('agent_1', 'Agent');
+    node('issue_a', 'Issue');
+    node('issue_b', 'Issue');
+    node('issue_c', 'Issue');
+    node('task_a', 'Task', { estimatedDuration: 100, progress: 50 });
+    node('task_b', 'Task', { estimatedDuration: 300 });
+    node('task_c', 'Task', { estimatedDuration: 60 });
+    edge('IMPLEMENTS', 'task_a', 'issue_a');
+    edge('IMPLEMENTS', 'task_b', 'issue_b');
+    edge('IMPLEMENTS', 'task_c', 'issue_c');
+    edge('DEPENDS_ON', 'issue_c', 'issue_a');
+    edge('DEPENDS_ON', 'issue_c', 'issue_b');
+    edge('EXECUTES', 'agent_1', 'task_b');
+  });
+
+  test('should follow the longest chain of remaining work', () => {
+    const result = analyzer.analyze();
+
+    expect(result.duration).toBe(360);
+    expect(result.nodes).toEqual(['agent_1', 'task_b', 'issue_b', 'task_c', 'issue_c']);
+    expect(result.edges.map(e => e.id)).toEqual([
+      'agent_1_EXECUTES_task_b',
+      'task_b_IMPLEMENTS_issue_b',
+      'issue_c_DEPENDS_ON_issue_b',
+      'task_c_IMPLEMENTS_issue_c'
+    ]);
+  });
+
+  test('should weight tasks by remaining progress', () => {
+    graph.updateNode('task_b', { progress: 90 });
+
+    const result = analyzer.analyze();
+
+    expect(result.duration).toBe(110);
+    expect(result.nodes).toContain('task_a');
+    expect(result.steps.find(step => step.id === 'task_a')).toMatchObject({ remaining: 50, start: 0, finish: 50 });
+  });
+
+  test('should end at a requested target', () => {
+    const result = analyzer.analyze({ target: 'issue_a' });
+
+    expect(result.duration).toBe(50);
+    expect(result.nodes).toEqual(['task_a', 'issue_a']);
+    expect(analyzer.analyze({ target: 'missing' })).toBeNull();
+  });
+
+  test('should report and skip dependency cycles', () => {
+    edge('DEPENDS_ON', 'issue_b', 'issue_c');
+
+    const result = analyzer.analyze();
+
+    expect(result.cycles.length).toBeGreaterThan(0);
+    expect(result.duration).toBeGreaterThan(0);
+  });
+
+  test('should return an empty path without tasks', () => {
+    const result = new CriticalPathAnalyzer(new GraphStore()).analyze();
+
+    expect(result).toMatchObject({ duration: 0, nodes: [], edges: [], steps: [] });
+  });
+});
+
+describe('SwarmVisualizationServer critical path', () => {
+  let server;
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('should create DEPENDS_ON edges from issue dependencies', () => {
+    server = new SwarmVisualizationServer(0);
+
+    server.ingestClaudeFlowEvent({ type: 'issue_update', data: { id: 'issue_1', taskId: 'task_1', issueId: 'issue_1' } });
+    server.ingestClaudeFlowEvent({
+      type: 'issue_update',
+      data: { id: 'issue_2', dependsOn: ['issue_1', { id: 'issue_3', type: 'relates' }] }
+    });
+
+    expect(server.graph.getEdge('issue_2_DEPENDS_ON_issue_1')).toMatchObject({ type: 'DEPENDS_ON', dependencyType: 'blocks' });
+    expect(server.graph.getEdge('issue_2_DEPENDS_ON_issue_3').dependencyType).toBe('relates');
+  });
+
+  test('GET /api/analysis/critical-path should return the path', async () => {
+    server = new SwarmVisualizationServer(0);
+    await server.start();
+    const baseUrl = `http://localhost:${server.server.address().port}`;
+    server.emit('task:created', TestUtils.generateTaskData({ estimatedDuration: 120 }));
+
+    const res = await fetch(`${baseUrl}/api/analysis/critical-path`);
+    const body = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(body.nodes).toEqual(['test_task_789']);
+    expect(body.duration).toBeGreaterThan(0);
+
+    const missing = await fetch(`${baseUrl}/api/analysis/critical-path?target=nope`);
+    expect(missing.status).toBe(404);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * TDD Tests for the event-sourced history and time-travel API
+ */
+
+const EventHistory = require('../../src/event-history');
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+
+describe('EventHistory', () => {
+  let history;
+
+  beforeEach(() => {
+    history = new EventHistory();
+  });
+
+  test('should assign increasing sequence numbers', () => {
+    const first = history.record('node:added', { node: { id: 'a' } });
+    const second = history.record('node:added', { node: { id: 'b' } });
+
+    expect(first.seq).toBe(1);
+    expect(second.seq).toBe(2);
+    expect(history.seq).toBe(2);
+  });
+
+  test('should page through events after a sequence number', () => {
+    for (let i = 0; i < 5; i++) {
+      history.record('node:added', { node: { id: `n${i}` } });
+    }
+
+    const page = history.since(1, 2);
+
+    expect(page.events.map(e => e.seq)).toEqual([2, 3]);
+    expect(page.lastSeq).toBe(3);
+    expect(page.hasMore).toBe(true);
+  });
+
+  test('should rebuild the graph as it stood at a past moment', () => {
+    history.record('node:added', { node: { id: 'a', status: 'pending' } }, new Date(1000));
+    history.record('node:updated', { id: 'a', updates: { status: 'executing' } }, new Date(2000));
+    history.record('node:added', { node: { id: 'b' } }, new Date(3000));
+    history.record('node:removed', { ids: ['a'] }, new Date(4000));
+
+    expect(history.stateAt(2500).nodes).toEqual([{ id: 'a', status: 'executing' }]);
+    expect(history.stateAt(1500).nodes).toEqual([{ id: 'a', status: 'pending' }]);
+    expect(history.stateAt(5000).nodes).toEqual([{ id: 'b' }]);
+  });
+
+  test('should fold trimmed events into the base state', () => {
+    history = new EventHistory({ maxEvents: 2 });
+    history.record('node:added', { node: { id: 'a' } }, new Date(1000));
+    history.record('edge:added', { edge: { id: 'e1', from: 'a', to: 'b' } }, new Date(2000));
+    history.record('node:added', { node: { id: 'b' } }, new Date(3000));
+
+    expect(history.events).toHaveLength(2);
+    expect(history.stateAt(3000).nodes.map(n => n.id)).toEqual(['a', 'b']);
+    expect(history.stateAt(500).truncated).toBe(true);
+    expect(history.since(0).truncated).toBe(true);
+  });
+
+  test('should continue sequencing after a reset', () => {
+    history.reset({ nodes: [{ id: 'a' }], seq: 42 });
+    history.load([{ seq: 40, type: 'node:added', node: { id: 'old' } }]);
+
+    expect(history.record('node:removed', { ids: ['a'] }).seq).toBe(43);
+    expect(history.events).toHaveLength(1);
+  });
+});
+
+describe('SwarmVisualizationServer history API', () => {
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    server = new SwarmVisualizationServer(0);
+    await server.start();
+    baseUrl = `http://localhost:${server.server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('should record every mutation as a sequenced event', () => {
+    server.addNode('Task', TestUtils.generateTaskData());
+    server.updateNode('test_task_789', { progress: 50 });
+    server.addEdge('EXECUTES', 'test_agent_456', 'test_task_789');
+
+    const types = server.history.events.map(e => e.type);
+    expect(types).toEqual(expect.arrayContaining(['node:added', 'node:updated', 'edge:added']));
+  });
+
+  test('should not let later in-place updates rewrite recorded events', () => {
+    server.addNode('Task', TestUtils.generateTaskData());
+    const added = server.history.events.find(e => e.type === 'node:added' && e.node.id === 'test_task_789');
+
+    server.updateNode('test_task_789', { status: 'completed' });
+
+    expect(added.node.status).toBe('pending');
+  });
+
+  test('GET /api/graph?at= should return the graph at that moment', async () => {
+    server.addNode('Task', TestUtils.generateTaskData());
+    const before = new Date();
+    await TestUtils.delay(5);
+    server.updateNode('test_task_789', { status: 'failed' });
+
+    const res = await fetch(`${baseUrl}/api/graph?at=${before.toISOString()}`);
+    const body = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(body.nodes.find(n => n.id === 'test_task_789').status).toBe('pending');
+  });
+
+  test('GET /api/graph?at= should reject invalid timestamps', async () => {
+    const res = await fetch(`${baseUrl}/api/graph?at=yesterday-ish`);
+
+    expect(res.status).toBe(400);
+  });
+
+  test('GET /api/events?since= should page through raw history', async () => {
+    server.addNode('Task', TestUtils.generateTaskData());
+    server.updateNode('test_task_789', { progress: 10 });
+    const since = server.history.seq - 1;
+
+    const res = await fetch(`${baseUrl}/api/events?since=${since}&limit=1`);
+    const body = await res.json();
+
+    expect(body.events).toHaveLength(1);
+    expect(body.events[0]).toMatchObject({ seq: since + 1, type: 'node:updated', id: 'test_task_789' });
+    expect(body.latestSeq).toBe(server.history.seq);
+  });
+});
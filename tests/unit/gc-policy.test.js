@@ -0,0 +1,188 @@
+/**
+ * TDD Tests for garbage collection policies
+ */
+
+const GcPolicy = require('../../src/gc-policy');
+const GraphStore = require('../../src/graph-store');
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+
+const { GcConfigError } = GcPolicy;
+
+describe('GcPolicy', () => {
+  const now = Date.parse('2026-01-01T12:00:00Z');
+  const ago = ms => new Date(now - ms);
+  let graph;
+
+  const node = (id, type, age, extra = {}) => graph.addNode({ id, type, timestamp: ago(age), ...extra });
+  const edge = (id, from, to, age = 0) => graph.addEdge({ id, type: 'ASSIGNED_TO', from, to, timestamp: ago(age) });
+  const plan = (config, hasClients = true) => new GcPolicy(config).plan(graph, { now, hasClients });
+
+  beforeEach(() => {
+    graph = new GraphStore();
+  });
+
+  test('should not run while clients watch a graph within its caps', () => {
+    node('t1', 'Task', 60 * 60 * 1000);
+
+    expect(plan().run).toBe(false);
+    expect([...plan({}, false).nodes]).toEqual([['t1', 'ttl']]);
+  });
+
+  test('should expire types with their own TTL while clients watch a graph within its caps', () => {
+    node('t1', 'Task', 20 * 1000);
+    node('m1', 'Memory', 60 * 60 * 1000);
+    node('t2', 'Task', 20 * 1000, { status: 'executing' });
+
+    const result = plan({ types: { Task: { ttl: 10 * 1000 } } });
+
+    expect(result.run).toBe(true);
+    expect([...result.nodes]).toEqual([['t1', 'ttl:Task']]);
+    expect(plan({ types: { Task: { ttl: 60 * 1000 } } }).run).toBe(false);
+  });
+
+  test('should apply per-type TTLs and keep types whose TTL is null', () => {
+    node('t1', 'Task', 20 * 1000);
+    node('m1', 'Memory', 20 * 1000);
+    node('s1', 'Swarm', 60 * 60 * 1000);
+
+    const { nodes } = plan({ types: { Task: { ttl: 10 * 1000 }, Swarm: { ttl: null } } }, false);
+
+    expect([...nodes]).toEqual([['t1', 'ttl:Task']]);
+  });
+
+  test('should never collect executing tasks or their edges', () => {
+    node('a1', 'Agent', 0);
+    node('t1', 'Task', 60 * 60 * 1000, { status: 'executing' });
+    node('t2', 'Task', 60 * 60 * 1000, { status: 'completed' });
+    edge('e1', 't1', 'a1', 60 * 60 * 1000);
+
+    const { nodes, edges } = plan({}, false);
+
+    expect([...nodes.keys()]).toEqual(['t2']);
+    expect(edges.size).toBe(0);
+  });
+
+  test('should trim per-type caps oldest first, attributing incident edges', () => {
+    node('t1', 'Task', 3000);
+    node('t2', 'Task', 1000);
+    node('t3', 'Task', 2000);
+    node('a1', 'Agent', 5000);
+    edge('e1', 't1', 'a1');
+
+    const { nodes, edges } = plan({ types: { Task: { max: 1 } } });
+
+    expect([...nodes]).toEqual([['t1', 'cap:Task'], ['t3', 'cap:Task']]);
+    expect([...edges]).toEqual([['e1', 'incident']]);
+  });
+
+  test('should evict the least recently updated nodes with the lru order', () => {
+    node('t1', 'Task', 3000, { updated: ago(100) });
+    node('t2', 'Task', 2000);
+    node('t3', 'Task', 1000);
+
+    expect([...plan({ maxNodes: 2 }).nodes.keys()]).toEqual(['t1']);
+    expect([...plan({ maxNodes: 2, eviction: 'lru' }).nodes]).toEqual([['t2', 'cap:nodes']]);
+  });
+
+  test('should count preserved nodes towards the global cap without evicting them', () => {
+    node('g1', 'GlobalAgent', 9000);
+    node('t1', 'Task', 2000);
+    node('t2', 'Task', 1000);
+
+    expect([...plan({ maxNodes: 2 }).nodes.keys()]).toEqual(['t1']);
+  });
+
+  test('should keep every protected node when they alone exceed the global cap', () => {
+    node('g1', 'GlobalAgent', 9000);
+    node('g2', 'GlobalAgent', 8000);
+    node('w1', 'Workspace', 7000);
+    node('t1', 'Task', 2000);
+    node('t2', 'Task', 1000, { status: 'executing' });
+
+    const { run, nodes } = plan({ maxNodes: 2 });
+
+    expect(run).toBe(true);
+    expect([...nodes]).toEqual([['t1', 'cap:nodes']]);
+    expect(graph.nodeCount - nodes.size).toBe(4);
+  });
+
+  test('should reject invalid settings and keep the current ones', () => {
+    const policy = new GcPolicy();
+
+    expect(() => new GcPolicy({ maxNodes: -1 })).toThrow(GcConfigError);
+    expect(() => policy.update({ eviction: 'random', types: { Task: { ttl: '1m', cap: 3 } }, colour: 1 }))
+      .toThrow(expect.objectContaining({
+        errors: [
+          'unknown setting: colour',
+          'eviction must be one of oldest, lru',
+          'types.Task.cap is not a setting (expected ttl, max)',
+          'types.Task.ttl must be a non-negative number or null'
+        ]
+      }));
+    expect(policy.config.eviction).toBe('oldest');
+
+    expect(policy.update({ types: { Task: { max: 5 } } }).types).toEqual({ Task: { max: 5 } });
+    expect(policy.config.maxNodes).toBe(100);
+  });
+
+  test('should count removals per rule', () => {
+    const byRule = GcPolicy.summarize({
+      nodes: new Map([['t1', 'ttl'], ['t2', 'cap:Task']]),
+      edges: new Map([['e1', 'incident'], ['e2', 'ttl']])
+    });
+
+    expect(byRule).toEqual({ ttl: { nodes: 1, edges: 1 }, 'cap:Task': { nodes: 1, edges: 0 }, incident: { nodes: 0, edges: 1 } });
+  });
+});
+
+describe('SwarmVisualizationServer GC configuration', () => {
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    server = new SwarmVisualizationServer(0, { gc: { enabled: false } });
+    await server.start();
+    baseUrl = `http://localhost:${server.server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  const configure = body => fetch(`${baseUrl}/api/gc/config`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  test('should update the policy at runtime and report removals by rule', async () => {
+    server.emit('task:created', { ...TestUtils.generateTaskData(), id: 'task_a' });
+    server.emit('task:created', { ...TestUtils.generateTaskData(), id: 'task_b', status: 'executing' });
+    server.graph.updateNode('task_a', { timestamp: new Date(0) });
+    server.graph.updateNode('task_b', { timestamp: new Date(0) });
+
+    const res = await configure({ types: { Task: { ttl: 1000 } } });
+    expect(res.status).toBe(200);
+    expect((await res.json()).config.types).toEqual({ Task: { ttl: 1000 } });
+
+    server.runGarbageCollection();
+
+    expect(server.graph.hasNode('task_a')).toBe(false);
+    expect(server.graph.hasNode('task_b')).toBe(true);
+
+    const stats = await (await fetch(`${baseUrl}/api/gc/stats`)).json();
+    expect(stats.lastRun.byRule['ttl:Task']).toEqual({ nodes: 1, edges: 0 });
+    expect(stats.removedByRule['ttl:Task'].nodes).toBe(1);
+  });
+
+  test('should refuse invalid config and restart the timer when enabled', async () => {
+    const res = await configure({ maxNodes: 'lots' });
+    expect(res.status).toBe(400);
+    expect((await res.json()).errors).toEqual(['maxNodes must be a non-negative number']);
+    expect(server.gcInterval).toBeFalsy();
+
+    await configure({ enabled: true, gcInterval: 5000 });
+    expect(server.gcInterval).toBeTruthy();
+    expect(server.gcConfig.gcInterval).toBe(5000);
+  });
+});
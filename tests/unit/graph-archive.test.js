@@ -0,0 +1,129 @@
+/**
+ * TDD Tests for the GC archive
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GraphArchive = require('../../src/graph-archive');
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+
+describe('GraphArchive', () => {
+  let dir;
+  let archive;
+
+  const node = (id, type = 'Task') => ({ kind: 'node', item: { id, type, title: id }, rule: 'ttl' });
+  const edge = (from, to) => ({ kind: 'edge', item: { id: `${from}_EXECUTES_${to}`, type: 'EXECUTES', from, to }, rule: 'incident' });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swarm-vis-archive-'));
+    archive = new GraphArchive({ dir, segmentSize: 2 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should require a directory', () => {
+    expect(() => new GraphArchive()).toThrow(/dir/);
+  });
+
+  test('should read archived items back from their segments', () => {
+    archive.add([node('t1'), node('a1', 'Agent'), edge('a1', 't1')]);
+
+    expect(fs.readdirSync(dir).sort()).toEqual(['segment-000001.jsonl', 'segment-000002.jsonl']);
+    expect(archive.get('a1_EXECUTES_t1')).toMatchObject({ kind: 'edge', rule: 'incident', item: { from: 'a1', to: 't1' } });
+    expect(archive.get('t1').item).toEqual({ id: 't1', type: 'Task', title: 't1' });
+    expect(archive.get('nope')).toBeNull();
+    expect(archive.edgesOf('t1')).toEqual(['a1_EXECUTES_t1']);
+  });
+
+  test('should query by type, kind and time, newest first', () => {
+    archive.add([node('t1')], new Date('2026-01-01T10:00:00Z'));
+    archive.add([node('t2'), node('a1', 'Agent')], new Date('2026-01-01T11:00:00Z'));
+
+    expect(archive.query({ type: 'Task' }).items.map(record => record.id)).toEqual(['t2', 't1']);
+    expect(archive.query({ since: new Date('2026-01-01T10:30:00Z'), limit: 1 })).toMatchObject({ total: 2, items: [{ id: 'a1' }] });
+    expect(archive.query({ kind: 'edge' }).total).toBe(0);
+  });
+
+  test('should rebuild its index from disk, without restored items', async () => {
+    archive.add([node('t1'), node('t2'), node('t3')]);
+    archive.remove(['t2']);
+
+    const reopened = new GraphArchive({ dir, segmentSize: 2 });
+    expect(await reopened.load()).toBe(2);
+    expect(reopened.get('t2')).toBeNull();
+    expect(reopened.get('t3').item.title).toBe('t3');
+
+    reopened.add([node('t4')]);
+    expect(reopened.stats()).toMatchObject({ items: 3, nodes: 3, edges: 0, segment: 3, byType: { Task: 3 } });
+  });
+});
+
+describe('SwarmVisualizationServer archive', () => {
+  let dir;
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swarm-vis-archive-'));
+    server = new SwarmVisualizationServer(0, { archiveDir: dir, gc: { enabled: false } });
+    await server.start();
+    baseUrl = `http://localhost:${server.server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const collectTask = () => {
+    server.emit('agent:spawned', TestUtils.generateAgentData());
+    server.emit('task:created', TestUtils.generateTaskData());
+    server.emit('task:assigned', { agentId: 'test_agent_456', taskId: 'test_task_789' });
+    server.graph.updateNode('test_task_789', { timestamp: new Date(0) });
+    server.runGarbageCollection();
+  };
+
+  test('should archive what GC removes and list it', async () => {
+    collectTask();
+
+    expect(server.graph.hasNode('test_task_789')).toBe(false);
+
+    const { total, items } = await (await fetch(`${baseUrl}/api/archive?type=Task`)).json();
+    expect(total).toBe(1);
+    expect(items[0]).toMatchObject({ id: 'test_task_789', kind: 'node', rule: 'ttl', item: { status: 'pending' } });
+
+    const record = await (await fetch(`${baseUrl}/api/archive/test_agent_456_EXECUTES_test_task_789`)).json();
+    expect(record).toMatchObject({ kind: 'edge', rule: 'incident' });
+    expect((await fetch(`${baseUrl}/api/archive/nope`)).status).toBe(404);
+  });
+
+  test('should refuse limits and offsets that are not positive integers', async () => {
+    for (const query of ['limit=-5', 'limit=0', 'limit=ten', 'limit=2.5', 'offset=-1']) {
+      const res = await fetch(`${baseUrl}/api/archive?${query}`);
+      expect(res.status).toBe(400);
+    }
+    expect((await fetch(`${baseUrl}/api/archive?limit=5000&offset=0`)).status).toBe(200);
+  });
+
+  test('should restore nodes with their archived edges', async () => {
+    collectTask();
+
+    const res = await fetch(`${baseUrl}/api/archive/restore`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids: ['test_task_789', 'missing'] })
+    });
+
+    expect(await res.json()).toEqual({
+      nodes: { restored: 1, rejected: 0 },
+      edges: { restored: 1, rejected: 0 },
+      errors: ['missing: not in the archive']
+    });
+    expect(server.graph.getNode('test_task_789').status).toBe('pending');
+    expect(server.graph.hasEdge('test_agent_456', 'test_task_789')).toBe(true);
+    expect(server.archive.size).toBe(0);
+  });
+});
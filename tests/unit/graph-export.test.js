@@ -0,0 +1,141 @@
+/**
+ * TDD Tests for multi-format graph export
+ */
+
+const GraphStore = require('../../src/graph-store');
+const GraphExporter = require('../../src/graph-export');
+const GraphImporter = require('../../src/graph-import');
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+const { schema } = require('../../swarm-vis-schema.json');
+
+describe('GraphExporter', () => {
+  let graph;
+  let exporter;
+
+  const run = (format, filters = {}) => exporter.export(graph, { format, ...filters }).body;
+
+  beforeEach(() => {
+    graph = new GraphStore();
+    exporter = new GraphExporter(schema);
+
+    graph.addNode({ id: 'swarm_1', type: 'Swarm', label: 'Main', topology: 'mesh', timestamp: new Date('2025-09-14T10:00:00Z') });
+    graph.addNode({ id: 'agent_1', type: 'Agent', label: 'Coder "A"', status: 'active', capabilities: ['code'], x: 10, y: 20, pinned: true, timestamp: new Date('2025-09-14T11:00:00Z') });
+    graph.addNode({ id: 'task_1', type: 'Task', label: 'Build <api>', status: 'executing', progress: 40, timestamp: new Date('2025-09-14T12:00:00Z') });
+    graph.addEdge({ id: 'swarm_1_ORCHESTRATES_agent_1', type: 'ORCHESTRATES', from: 'swarm_1', to: 'agent_1', timestamp: new Date('2025-09-14T11:00:00Z') });
+    graph.addEdge({ id: 'agent_1_EXECUTES_task_1', type: 'EXECUTES', from: 'agent_1', to: 'task_1', progress: 40, timestamp: new Date('2025-09-14T12:00:00Z') });
+  });
+
+  test('should export GraphML with typed keys and labels', () => {
+    const xml = run('graphml');
+
+    expect(xml).toContain('<key id="n_progress" for="node" attr.name="progress" attr.type="double"/>');
+    expect(xml).toContain('<node id="agent_1" labels=":Agent"><data key="labels">:Agent</data>');
+    expect(xml).toContain('<data key="n_label">Coder &quot;A&quot;</data>');
+    expect(xml).toContain('<data key="n_capabilities">[&quot;code&quot;]</data>');
+    expect(xml).toContain('<edge id="agent_1_EXECUTES_task_1" source="agent_1" target="task_1" label="EXECUTES">');
+    expect(xml).not.toContain('n_pinned');
+    expect(xml).not.toContain('attr.name="x"');
+  });
+
+  test('should export GEXF with attributes and schema colors', () => {
+    const xml = run('gexf');
+
+    expect(xml).toContain('<attribute id="topology" title="topology" type="string"/>');
+    expect(xml).toContain('<node id="task_1" label="Build &lt;api&gt;">');
+    expect(xml).toContain('<attvalue for="type" value="Task"/>');
+    // Executing tasks are #F39C12 in the schema
+    expect(xml).toContain('<viz:color r="243" g="156" b="18"/>');
+  });
+
+  test('should export DOT with schema shapes and styles', () => {
+    const dot = run('dot');
+
+    expect(dot).toMatch(/^digraph swarm \{/);
+    expect(dot).toContain('"swarm_1" [label="Main", shape="hexagon", fillcolor="#FF6B6B", type="Swarm"');
+    expect(dot).toContain('"agent_1" [label="Coder \\"A\\""');
+    expect(dot).toContain('"agent_1" -> "task_1" [label="EXECUTES", color="#4ECDC4"');
+    expect(dot).toContain('status="executing", progress="40"');
+    expect(dot).not.toContain('data_label');
+  });
+
+  test('should export Cypher MERGE statements', () => {
+    const cypher = run('cypher');
+
+    expect(cypher).toContain("MERGE (n:Agent {id: 'agent_1'}) SET n += {label: 'Coder \"A\"', status: 'active', capabilities: ['code'], timestamp: '2025-09-14T11:00:00.000Z'};");
+    expect(cypher).toContain("MATCH (a:Agent {id: 'agent_1'}), (b:Task {id: 'task_1'}) MERGE (a)-[r:EXECUTES]->(b) SET r += {progress: 40,");
+  });
+
+  test('should export apoc-style CSV', () => {
+    const lines = run('csv').trim().split('\n');
+
+    expect(lines[0]).toBe('"_id","_labels","capabilities","label","progress","status","timestamp","topology","_start","_end","_type"');
+    expect(lines[2]).toBe('"agent_1",":Agent","[""code""]","Coder ""A""","","active","2025-09-14T11:00:00.000Z","","","",""');
+    expect(lines[5]).toBe('"","","","","40","","2025-09-14T12:00:00.000Z","","agent_1","task_1","EXECUTES"');
+  });
+
+  test('should share CSV columns between node and edge properties', () => {
+    const plan = new GraphImporter().parse(run('csv'), 'csv');
+
+    expect(plan.nodes.find(node => node.data.id === 'task_1').data.progress).toBe(40);
+    expect(plan.edges.find(edge => edge.type === 'EXECUTES').properties).toMatchObject({ progress: 40 });
+  });
+
+  test('should filter by type and keep only edges between exported nodes', () => {
+    const cypher = run('cypher', { nodeTypes: ['Agent', 'Task'] });
+
+    expect(cypher).not.toContain('Swarm');
+    expect(cypher).toContain('EXECUTES');
+    expect(run('cypher', { edgeTypes: ['ORCHESTRATES'] })).not.toContain('EXECUTES');
+  });
+
+  test('should filter by time window', () => {
+    const csv = run('csv', { since: new Date('2025-09-14T10:30:00Z'), until: new Date('2025-09-14T11:30:00Z') });
+
+    expect(csv).toContain('"agent_1"');
+    expect(csv).not.toContain('"swarm_1"');
+    expect(csv).not.toContain('"task_1"');
+  });
+
+  test('should refuse unknown formats', () => {
+    expect(() => run('xlsx')).toThrow('Unknown export format');
+  });
+});
+
+describe('SwarmVisualizationServer /api/export', () => {
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    server = new SwarmVisualizationServer(0);
+    await server.start();
+    baseUrl = `http://localhost:${server.server.address().port}`;
+    server.emit('swarm:created', TestUtils.generateSwarmData());
+    server.emit('task:created', TestUtils.generateTaskData());
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('should download the requested format', async () => {
+    const res = await fetch(`${baseUrl}/api/export?format=gexf&nodeTypes=Task`);
+    const body = await res.text();
+
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-type')).toMatch('application/gexf+xml');
+    expect(res.headers.get('content-disposition')).toBe('attachment; filename="swarm-graph.gexf"');
+    expect(body).toContain('test_task_789');
+    expect(body).not.toContain('test_swarm_123');
+  });
+
+  test('should default to GraphML', async () => {
+    const res = await fetch(`${baseUrl}/api/export`);
+
+    expect(await res.text()).toContain('<graphml');
+  });
+
+  test('should reject unknown formats and bad timestamps', async () => {
+    expect((await fetch(`${baseUrl}/api/export?format=xlsx`)).status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/export?format=csv&since=yesterday`)).status).toBe(400);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * TDD Tests for graph import
+ */
+
+const GraphStore = require('../../src/graph-store');
+const GraphExporter = require('../../src/graph-export');
+const GraphImporter = require('../../src/graph-import');
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+const { schema } = require('../../swarm-vis-schema.json');
+
+describe('GraphImporter', () => {
+  let graph;
+  let importer;
+
+  const roundTrip = format => importer.parse(new GraphExporter(schema).export(graph, { format }).body, format);
+
+  beforeEach(() => {
+    graph = new GraphStore();
+    importer = new GraphImporter();
+
+    graph.addNode({ id: 'agent_1', type: 'Agent', label: 'Coder, "A"', status: 'active', capabilities: ['code'], timestamp: new Date() });
+    graph.addNode({ id: 'task_1', type: 'Task', label: 'Build <api>', status: 'executing', progress: 40, timestamp: new Date() });
+    graph.addEdge({ id: 'agent_1_EXECUTES_task_1', type: 'EXECUTES', from: 'agent_1', to: 'task_1', progress: 40, timestamp: new Date() });
+  });
+
+  test.each(['graphml', 'csv'])('should read back its own %s export', (format) => {
+    const plan = roundTrip(format);
+
+    expect(plan.errors).toEqual([]);
+    expect(plan.nodes).toEqual([
+      { type: 'Agent', data: { id: 'agent_1', label: 'Coder, "A"', status: 'active', capabilities: ['code'] } },
+      { type: 'Task', data: { id: 'task_1', label: 'Build <api>', status: 'executing', progress: 40 } }
+    ]);
+    expect(plan.edges).toEqual([
+      { type: 'EXECUTES', from: 'agent_1', to: 'task_1', properties: { progress: 40 } }
+    ]);
+  });
+
+  test.each(['graphml', 'csv'])('should keep titles through a %s round trip', (format) => {
+    graph.addNode({ id: 'task_2', type: 'Task', label: 'Review', title: 'Review the API', timestamp: new Date() });
+    graph.addNode({ id: 'issue_1', type: 'Issue', label: '#1', number: 1, title: 'Login fails', timestamp: new Date() });
+
+    const { nodes } = roundTrip(format);
+
+    expect(nodes.find(node => node.data.id === 'task_2').data.title).toBe('Review the API');
+    expect(nodes.find(node => node.data.id === 'issue_1').data.title).toBe('Login fails');
+  });
+
+  test('should read a JSON snapshot', () => {
+    const plan = importer.parse(JSON.parse(JSON.stringify(graph)), 'json');
+
+    expect(plan.nodes[0]).toEqual({
+      type: 'Agent',
+      data: { id: 'agent_1', label: 'Coder, "A"', status: 'active', capabilities: ['code'] }
+    });
+    expect(plan.edges[0]).toEqual({ type: 'EXECUTES', from: 'agent_1', to: 'task_1', properties: { progress: 40 } });
+  });
+
+  test('should map apoc internal ids to the id property', () => {
+    const graphml = [
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+      '<key id="id" for="node" attr.name="id"/>',
+      '<key id="progress" for="node" attr.name="progress" attr.type="long"/>',
+      '<graph id="G" edgedefault="directed">',
+      '<node id="n0" labels=":Agent"><data key="labels">:Agent</data><data key="id">agent_9</data></node>',
+      '<node id="n1" labels=":Task"><data key="labels">:Task</data><data key="id">task_9</data><data key="progress">7</data></node>',
+      '<edge id="e0" source="n0" target="n1" label="EXECUTES"><data key="label">EXECUTES</data></edge>',
+      '</graph></graphml>'
+    ].join('\n');
+    const csv = [
+      '"_id","_labels","id","_start","_end","_type"',
+      '"0",":Agent","agent_9",,,',
+      '"1",":Task","task_9",,,',
+      ',,,"0","1","EXECUTES"'
+    ].join('\n');
+
+    for (const plan of [importer.parse(graphml, 'graphml'), importer.parse(csv, 'csv')]) {
+      expect(plan.nodes.map(node => node.data.id)).toEqual(['agent_9', 'task_9']);
+      expect(plan.edges[0]).toMatchObject({ type: 'EXECUTES', from: 'agent_9', to: 'task_9' });
+    }
+  });
+
+  test('should reject unreadable documents and count bad entries', () => {
+    expect(() => importer.parse('{', 'json')).toThrow(GraphImporter.ImportError);
+    expect(() => importer.parse('"a","b"', 'csv')).toThrow('apoc-style CSV header');
+    expect(() => importer.parse('<gexf/>', 'graphml')).toThrow('GraphML');
+    expect(() => importer.parse({}, 'xlsx')).toThrow('Unknown import format');
+
+    const plan = importer.parse({ nodes: [{ id: 'x' }], edges: [{ type: 'EXECUTES' }] }, 'json');
+    expect(plan.rejected).toEqual({ nodes: 1, edges: 1 });
+  });
+});
+
+describe('SwarmVisualizationServer /api/import', () => {
+  let server;
+  let baseUrl;
+  let client;
+
+  const post = (query, body, contentType) => fetch(`${baseUrl}/api/import${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': contentType },
+    body
+  });
+
+  beforeEach(async () => {
+    server = new SwarmVisualizationServer(0);
+    await server.start();
+    baseUrl = `http://localhost:${server.server.address().port}`;
+    server.emit('swarm:created', TestUtils.generateSwarmData());
+    server.broadcaster.flush();
+
+    client = TestUtils.mockWebSocket();
+    server.clients.add(client);
+  });
+
+  afterEach(async () => {
+    server.clients.delete(client);
+    await server.stop();
+  });
+
+  const snapshot = {
+    nodes: [
+      { id: 'agent_1', type: 'Agent', label: 'Coder', status: 'active' },
+      { id: 'task_1', type: 'Task', label: 'Build', status: 'executing' }
+    ],
+    edges: [
+      { id: 'agent_1_EXECUTES_task_1', type: 'EXECUTES', from: 'agent_1', to: 'task_1' },
+      { id: 'agent_1_EXECUTES_ghost', type: 'EXECUTES', from: 'agent_1', to: 'ghost' }
+    ]
+  };
+
+  test('should merge a JSON snapshot and broadcast each item', async () => {
+    const res = await post('', JSON.stringify(snapshot), 'application/json');
+
+    expect(await res.json()).toMatchObject({
+      format: 'json',
+      mode: 'merge',
+      nodes: { imported: 2, rejected: 0 },
+      edges: { imported: 1, rejected: 1 }
+    });
+    expect(server.graph.hasNode('test_swarm_123')).toBe(true);
+    expect(server.graph.getEdge('agent_1_EXECUTES_task_1')).not.toBeNull();
+
+    server.broadcaster.flush();
+    const types = TestUtils.sentMessages(client).map(message => message.type);
+    expect(types.filter(type => type === 'node:added')).toHaveLength(2);
+    expect(types).toContain('edge:added');
+    expect(types).not.toContain('graph:cleared');
+  });
+
+  test('should broadcast merged items that already existed as updates', async () => {
+    await post('', JSON.stringify(snapshot), 'application/json');
+    server.broadcaster.flush();
+    client.send.mockClear();
+
+    await post('', JSON.stringify(snapshot), 'application/json');
+    server.broadcaster.flush();
+
+    const types = TestUtils.sentMessages(client).map(message => message.type);
+    expect(types).toEqual(['node:updated', 'node:updated', 'edge:updated']);
+  });
+
+  test('should replace the graph from apoc CSV', async () => {
+    const csv = '"_id","_labels","label","_start","_end","_type"\n"task_2",":Task","Review",,,\n';
+    const res = await post('?mode=replace', csv, 'text/csv');
+
+    expect((await res.json()).nodes.imported).toBe(1);
+    expect(server.graph.nodes.map(node => node.id)).toEqual(['task_2']);
+    server.broadcaster.flush();
+    const sent = TestUtils.sentMessages(client);
+    expect(sent.slice(0, 2).map(message => message.type)).toEqual(['node:removed', 'graph:cleared']);
+    expect(sent[0].data).toMatchObject({ ids: expect.arrayContaining(['test_swarm_123']), reason: 'cleared' });
+  });
+
+  test('should accept GraphML by explicit format', async () => {
+    const body = new GraphExporter(schema).export(server.graph, { format: 'graphml' }).body;
+    server.graph.clear();
+
+    await post('?format=graphml', body, 'text/plain');
+
+    expect(server.graph.getNode('test_swarm_123')).toMatchObject({ type: 'Swarm' });
+  });
+
+  test('should reject unknown formats, modes and bad documents', async () => {
+    expect((await post('', 'x', 'application/octet-stream')).status).toBe(400);
+    expect((await post('?mode=append', '{"nodes":[]}', 'application/json')).status).toBe(400);
+    expect((await post('?format=graphml', 'nope', 'text/plain')).status).toBe(400);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * TDD Tests for graph persistence (write-ahead log + snapshots)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileGraphPersistence = require('../../src/graph-persistence');
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+
+describe('FileGraphPersistence', () => {
+  let dir;
+  let persistence;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swarm-vis-persist-'));
+    persistence = new FileGraphPersistence({ dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should require a directory', () => {
+    expect(() => new FileGraphPersistence()).toThrow(/dir/);
+  });
+
+  test('should load an empty state when nothing has been written', async () => {
+    const state = await persistence.load();
+
+    expect(state).toEqual({ snapshot: null, events: [] });
+  });
+
+  test('should replay appended events in order', async () => {
+    persistence.append({ op: 'addNode', node: { id: 'a' } });
+    persistence.append({ op: 'addNode', node: { id: 'b' } });
+
+    const { events } = await persistence.load();
+
+    expect(events.map(e => e.node.id)).toEqual(['a', 'b']);
+  });
+
+  test('should truncate the log once a snapshot covers it', async () => {
+    persistence.append({ op: 'addNode', node: { id: 'a' } });
+    persistence.saveSnapshot({ nodes: [{ id: 'a' }], edges: [] });
+
+    const { snapshot, events } = await persistence.load();
+
+    expect(snapshot.nodes).toEqual([{ id: 'a' }]);
+    expect(events).toEqual([]);
+  });
+
+  test('should skip a torn trailing log entry', async () => {
+    persistence.append({ op: 'addNode', node: { id: 'a' } });
+    fs.appendFileSync(persistence.logFile, '{"op":"addNo');
+
+    const { events } = await persistence.load();
+
+    expect(events).toHaveLength(1);
+  });
+});
+
+describe('SwarmVisualizationServer persistence', () => {
+  let dir;
+  const servers = [];
+
+  const createServer = () => {
+    const server = new SwarmVisualizationServer(0, { persistenceDir: dir });
+    servers.push(server);
+    return server;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swarm-vis-server-'));
+  });
+
+  afterEach(async () => {
+    for (const server of servers.splice(0)) {
+      await server.stop();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should restore nodes and edges from the event log', async () => {
+    const first = createServer();
+    await first.restoreState();
+    first.addNode('Swarm', TestUtils.generateSwarmData());
+    first.addNode('Agent', TestUtils.generateAgentData());
+    first.addEdge('ORCHESTRATES', 'test_swarm_123', 'test_agent_456');
+    first.updateNode('test_swarm_123', { status: 'idle' });
+
+    const second = createServer();
+    await second.restoreState();
+
+    expect(second.graph.nodes.find(n => n.id === 'test_swarm_123').status).toBe('idle');
+    expect(second.graph.edges.map(e => e.id)).toContain('test_swarm_123_ORCHESTRATES_test_agent_456');
+  });
+
+  test('should restore from snapshot plus later log entries', async () => {
+    const first = createServer();
+    await first.restoreState();
+    first.addNode('Task', TestUtils.generateTaskData());
+    first.saveSnapshot();
+    first.addNode('Task', TestUtils.generateTaskData({ id: 'later_task' }));
+    first.removeEdge('missing_edge');
+
+    const second = createServer();
+    await second.restoreState();
+
+    const ids = second.graph.nodes.map(n => n.id);
+    expect(ids).toEqual(expect.arrayContaining(['test_task_789', 'later_task']));
+  });
+
+  test('should replay garbage collection removals', async () => {
+    const first = createServer();
+    await first.restoreState();
+    first.addNode('Task', TestUtils.generateTaskData({ id: 'stale_task' }));
+    first.graph.nodes.find(n => n.id === 'stale_task').timestamp = new Date(Date.now() - 60 * 60 * 1000);
+    first.runGarbageCollection();
+
+    const second = createServer();
+    await second.restoreState();
+
+    expect(second.graph.nodes.find(n => n.id === 'stale_task')).toBeUndefined();
+  });
+
+  test('should hold back mutations made before restore and apply them on top', async () => {
+    const first = createServer();
+    await first.restoreState();
+    first.addNode('Agent', TestUtils.generateAgentData({ status: 'idle' }));
+
+    const second = createServer();
+    second.addNode('Agent', TestUtils.generateAgentData({ status: 'busy' }));
+    await second.restoreState();
+
+    expect(second.graph.nodes.find(n => n.id === 'test_agent_456').status).toBe('busy');
+    expect(second.history.events.filter(e => e.node?.id === 'test_agent_456').map(e => e.node.status))
+      .toEqual(['idle', 'busy']);
+  });
+
+  test('should snapshot on stop', async () => {
+    const server = createServer();
+    server.addNode('Swarm', TestUtils.generateSwarmData());
+
+    await server.stop();
+    servers.splice(servers.indexOf(server), 1);
+
+    const snapshot = JSON.parse(fs.readFileSync(path.join(dir, 'snapshot.json'), 'utf8'));
+    expect(snapshot.nodes.map(n => n.id)).toContain('test_swarm_123');
+  });
+
+  test('should reject start() when the state cannot be restored', async () => {
+    const server = new SwarmVisualizationServer(0, {
+      agents: { simulate: false },
+      persistence: {
+        load: async () => { throw new Error('disk unreadable'); },
+        saveSnapshot: () => {},
+        close: async () => {}
+      }
+    });
+    servers.push(server);
+
+    await expect(server.start()).rejects.toThrow('disk unreadable');
+  });
+
+  test('should reject start() when the port is taken', async () => {
+    const first = createServer();
+    await first.start();
+
+    const second = new SwarmVisualizationServer(first.server.address().port, { agents: { simulate: false } });
+    servers.push(second);
+
+    await expect(second.start()).rejects.toMatchObject({ code: 'EADDRINUSE' });
+  });
+});
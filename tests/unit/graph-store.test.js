@@ -0,0 +1,114 @@
+/**
+ * TDD Tests for GraphStore
+ * Indexes must stay consistent through add / replace / update / remove
+ */
+
+const GraphStore = require('../../src/graph-store');
+
+describe('GraphStore', () => {
+  let store;
+
+  const node = (id, type, extra = {}) => ({ id, type, ...extra });
+  const edge = (type, from, to) => ({ id: `${from}_${type}_${to}`, type, from, to });
+
+  beforeEach(() => {
+    store = new GraphStore();
+  });
+
+  describe('nodes', () => {
+    test('should look up nodes by id', () => {
+      store.addNode(node('a1', 'Agent'));
+
+      expect(store.getNode('a1')).toMatchObject({ id: 'a1', type: 'Agent' });
+      expect(store.getNode('missing')).toBeNull();
+      expect(store.nodeCount).toBe(1);
+    });
+
+    test('should reindex when a node is replaced with a different type', () => {
+      store.addNode(node('x', 'Task'));
+      store.addNode(node('x', 'Issue'));
+
+      expect(store.nodesOfType('Task')).toEqual([]);
+      expect(store.nodesOfType('Issue').map(n => n.id)).toEqual(['x']);
+      expect(store.nodes).toHaveLength(1);
+    });
+
+    test('should keep the status index current through updates', () => {
+      store.addNode(node('t1', 'Task', { status: 'pending' }));
+      store.updateNode('t1', { status: 'executing' });
+
+      expect(store.nodesWithStatus('Task', 'pending')).toEqual([]);
+      expect(store.nodesWithStatus('Task', 'executing').map(n => n.id)).toEqual(['t1']);
+    });
+
+    test('should return null when updating a missing node', () => {
+      expect(store.updateNode('missing', { status: 'x' })).toBeNull();
+    });
+  });
+
+  describe('edges', () => {
+    beforeEach(() => {
+      store.addNode(node('s', 'Swarm'));
+      store.addNode(node('a', 'Agent'));
+      store.addNode(node('t', 'Task'));
+      store.addEdge(edge('ORCHESTRATES', 's', 'a'));
+      store.addEdge(edge('EXECUTES', 'a', 't'));
+    });
+
+    test('should index adjacency by direction and type', () => {
+      expect(store.edgesOf('a', { direction: 'out' }).map(e => e.type)).toEqual(['EXECUTES']);
+      expect(store.edgesOf('a', { direction: 'in' }).map(e => e.type)).toEqual(['ORCHESTRATES']);
+      expect(store.edgesOf('a', { type: 'EXECUTES' })).toHaveLength(1);
+      expect(store.neighborsOf('a').sort()).toEqual(['s', 't']);
+    });
+
+    test('should answer hasEdge in either direction', () => {
+      expect(store.hasEdge('a', 't')).toBe(true);
+      expect(store.hasEdge('t', 'a')).toBe(true);
+      expect(store.hasEdge('s', 't')).toBe(false);
+    });
+
+    test('should drop adjacency entries when an edge is removed', () => {
+      store.removeEdge('a_EXECUTES_t');
+
+      expect(store.hasEdge('a', 't')).toBe(false);
+      expect(store.edgesOf('t')).toEqual([]);
+      expect(store.edgesOfType('EXECUTES')).toEqual([]);
+    });
+
+    test('should keep hasEdge true while a parallel edge remains', () => {
+      store.addEdge(edge('COLLABORATES', 't', 'a'));
+      store.removeEdge('a_EXECUTES_t');
+
+      expect(store.hasEdge('a', 't')).toBe(true);
+    });
+  });
+
+  describe('metrics', () => {
+    test('should count each triangle once', () => {
+      ['a', 'b', 'c', 'd'].forEach(id => store.addNode(node(id, 'Agent')));
+      store.addEdge(edge('COLLABORATES', 'a', 'b'));
+      store.addEdge(edge('COLLABORATES', 'b', 'c'));
+      store.addEdge(edge('COLLABORATES', 'c', 'a'));
+      store.addEdge(edge('COLLABORATES', 'c', 'd'));
+
+      expect(store.findTriangles()).toBe(1);
+    });
+
+    test('should count connected components including isolated nodes', () => {
+      ['a', 'b', 'c'].forEach(id => store.addNode(node(id, 'Agent')));
+      store.addEdge(edge('COLLABORATES', 'a', 'b'));
+
+      expect(store.findConnectedComponents()).toBe(2);
+    });
+
+    test('should serialize without exposing indexes', () => {
+      store.addNode(node('a', 'Agent'));
+      store.globalAgentsMetrics = { totalAgents: 1 };
+
+      const json = JSON.parse(JSON.stringify(store));
+
+      expect(Object.keys(json).sort()).toEqual(['edges', 'globalAgentsMetrics', 'metrics', 'nodes', 'timestamp']);
+    });
+  });
+});
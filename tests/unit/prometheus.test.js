@@ -0,0 +1,114 @@
+/**
+ * TDD Tests for the Prometheus metrics exporter
+ */
+
+const MetricsRegistry = require('../../src/prometheus');
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+
+describe('MetricsRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new MetricsRegistry();
+  });
+
+  test('should render counters with labels', () => {
+    const counter = registry.counter('jobs_total', 'Jobs run', ['queue']);
+    counter.inc({ queue: 'fast' });
+    counter.inc({ queue: 'fast' }, 2);
+    counter.inc({ queue: 'say "hi"' });
+
+    expect(registry.render()).toBe([
+      '# HELP jobs_total Jobs run',
+      '# TYPE jobs_total counter',
+      'jobs_total{queue="fast"} 3',
+      'jobs_total{queue="say \\"hi\\""} 1',
+      ''
+    ].join('\n'));
+  });
+
+  test('should collect gauges at render time', () => {
+    let value = 1;
+    registry.gauge('temperature', 'Current temperature', [], gauge => gauge.set({}, value));
+
+    expect(registry.render()).toContain('temperature 1\n');
+    value = 5;
+    expect(registry.render()).toContain('temperature 5\n');
+  });
+
+  test('should render cumulative histogram buckets', () => {
+    const histogram = registry.histogram('latency_seconds', 'Latency', [1, 5]);
+    [0.5, 3, 10].forEach(value => histogram.observe(value));
+
+    const output = registry.render();
+
+    expect(output).toContain('latency_seconds_bucket{le="1"} 1');
+    expect(output).toContain('latency_seconds_bucket{le="5"} 2');
+    expect(output).toContain('latency_seconds_bucket{le="+Inf"} 3');
+    expect(output).toContain('latency_seconds_sum 13.5');
+    expect(output).toContain('latency_seconds_count 3');
+  });
+
+  test('should refuse duplicate metric names', () => {
+    registry.counter('jobs_total', 'Jobs run');
+
+    expect(() => registry.gauge('jobs_total', 'Jobs')).toThrow('already registered');
+  });
+});
+
+describe('SwarmVisualizationServer /metrics', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = new SwarmVisualizationServer(0);
+    await server.start();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  const scrape = async () => {
+    const res = await fetch(`http://localhost:${server.server.address().port}/metrics`);
+    return { res, body: await res.text() };
+  };
+
+  test('should expose graph, client and ingestion metrics', async () => {
+    server.ingestClaudeFlowEvent({ type: 'swarm_init', data: TestUtils.generateSwarmData() });
+    server.ingestClaudeFlowEvent({ type: 'task_assign', data: { taskId: 'task_1' } });
+    server.broadcaster.flush();
+
+    const { res, body } = await scrape();
+
+    expect(res.headers.get('content-type')).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(body).toContain('swarm_vis_nodes{type="Swarm"} 1');
+    expect(body).toContain('swarm_vis_websocket_clients 0');
+    expect(body).toContain('swarm_vis_ingested_events_total{type="swarm_init"} 1');
+    expect(body).toContain('swarm_vis_ingestion_errors_total{reason="invalid"} 1');
+    expect(body).toMatch(/swarm_vis_broadcast_messages_total\{type="node:added"\} \d+/);
+  });
+
+  test('should observe each completed task duration once', async () => {
+    server.addNode('Task', { id: 'task_1', status: 'executing' });
+    server.updateNode('task_1', { status: 'completed', duration: 42 });
+    server.updateNode('task_1', { result: { ok: true } });
+
+    const { body } = await scrape();
+
+    expect(body).toContain('swarm_vis_task_duration_seconds_bucket{le="30"} 0');
+    expect(body).toContain('swarm_vis_task_duration_seconds_bucket{le="60"} 1');
+    expect(body).toContain('swarm_vis_task_duration_seconds_count 1');
+    expect(body).toContain('swarm_vis_task_duration_average_seconds 42');
+  });
+
+  test('should count garbage collection runs and removals', async () => {
+    server.addNode('Task', { id: 'old_task', status: 'completed' });
+    server.graph.getNode('old_task').timestamp = new Date(0);
+
+    server.runManualGarbageCollection();
+    const { body } = await scrape();
+
+    expect(body).toContain('swarm_vis_gc_runs_total 1');
+    expect(body).toContain('swarm_vis_gc_removed_total{kind="node"} 1');
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * TDD Tests for the Cypher-subset query engine
+ */
+
+const GraphStore = require('../../src/graph-store');
+const CypherParser = require('../../src/cypher-parser');
+const QueryEngine = require('../../src/query-engine');
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+
+describe('CypherParser', () => {
+  test('should parse patterns with labels, types and directions', () => {
+    const query = CypherParser.parse('MATCH p = (a:Agent)-[r:EXECUTES|COLLABORATES]->(t)<-[:MODIFIES]-(f:File) RETURN p');
+    const [pattern] = query.patterns;
+
+    expect(pattern.pathVariable).toBe('p');
+    expect(pattern.nodes.map(n => n.label)).toEqual(['Agent', null, 'File']);
+    expect(pattern.relationships.map(r => r.direction)).toEqual(['out', 'in']);
+    expect(pattern.relationships[0]).toMatchObject({ variable: 'r', types: ['EXECUTES', 'COLLABORATES'] });
+  });
+
+  test('should name columns by alias or expression text', () => {
+    const query = CypherParser.parse('MATCH (t:Task) RETURN t.status, count(t) AS total');
+
+    expect(query.returns.map(item => item.name)).toEqual(['t.status', 'total']);
+  });
+
+  test('should report the position of syntax errors', () => {
+    expect(() => CypherParser.parse('MATCH (a:Agent RETURN a')).toThrow(/Expected '\)'.*position 15/);
+    expect(() => CypherParser.parse('MATCH (a)<-[:X]->(b) RETURN a')).toThrow('cannot point both ways');
+  });
+});
+
+describe('QueryEngine', () => {
+  let graph;
+  let engine;
+
+  const node = (id, type, extra = {}) => graph.addNode({ id, type, ...extra });
+  const edge = (type, from, to, extra = {}) => graph.addEdge({ id: `${from}_${type}_${to}`, type, from, to, ...extra });
+  const run = (query, params) => engine.run(query, params);
+
+  beforeEach(() => {
+    graph = new GraphStore();
+    engine = new QueryEngine(graph);
+
+    node('swarm', 'Swarm');
+    node('a1', 'Agent', { name: 'Architect', status: 'active' });
+    node('a2', 'Agent', { name: 'Guardian', status: 'busy' });
+    node('t1', 'Task', { status: 'executing', duration: 10, priority: 'high' });
+    node('t2', 'Task', { status: 'executing', duration: 100, priority: 'low' });
+    node('t3', 'Task', { status: 'completed', duration: 20 });
+    node('i1', 'Issue', { priority: 'critical' });
+    node('readme.md', 'File');
+    node('notes.md', 'File');
+    node('index.md', 'File');
+    edge('ORCHESTRATES', 'swarm', 'a1');
+    edge('ORCHESTRATES', 'swarm', 'a2');
+    edge('EXECUTES', 'a1', 't1');
+    edge('EXECUTES', 'a2', 't2');
+    edge('EXECUTES', 'a2', 't3');
+    edge('IMPLEMENTS', 't1', 'i1');
+    edge('MODIFIES', 't1', 'readme.md');
+    edge('MODIFIES', 't2', 'notes.md');
+    edge('LINKS_TO', 'index.md', 'readme.md');
+    edge('LINKS_TO', 'notes.md', 'readme.md');
+    edge('LINKS_TO', 'index.md', 'notes.md');
+    edge('COLLABORATES', 'a1', 'a2', { messages: 7 });
+  });
+
+  test('should match labelled patterns and filter with WHERE', () => {
+    const result = run("MATCH (a:Agent)-[:EXECUTES]->(t:Task) WHERE t.status = 'executing' RETURN a.name, t.id ORDER BY t.id");
+
+    expect(result.columns).toEqual(['a.name', 't.id']);
+    expect(result.rows).toEqual([
+      { 'a.name': 'Architect', 't.id': 't1' },
+      { 'a.name': 'Guardian', 't.id': 't2' }
+    ]);
+  });
+
+  test('should group by non-aggregate columns', () => {
+    const result = run('MATCH (a:Agent)-[:EXECUTES]->(t:Task) RETURN a.name AS agent, count(t) AS tasks, avg(t.duration) AS avg ORDER BY tasks DESC');
+
+    expect(result.rows).toEqual([
+      { agent: 'Guardian', tasks: 2, avg: 60 },
+      { agent: 'Architect', tasks: 1, avg: 10 }
+    ]);
+  });
+
+  test('should count with no matches', () => {
+    expect(run('MATCH (m:Memory) RETURN count(*) AS n').rows).toEqual([{ n: 0 }]);
+  });
+
+  test('should traverse undirected relationships both ways', () => {
+    const result = run('MATCH (x:Agent)-[c:COLLABORATES]-(y:Agent) RETURN x.id, y.id, c.messages ORDER BY x.id');
+
+    expect(result.rows).toEqual([
+      { 'x.id': 'a1', 'y.id': 'a2', 'c.messages': 7 },
+      { 'x.id': 'a2', 'y.id': 'a1', 'c.messages': 7 }
+    ]);
+  });
+
+  test('should bind path variables', () => {
+    const result = run("MATCH path = (s:Swarm)-[:ORCHESTRATES]->(a:Agent)-[:EXECUTES]->(t:Task)-[:IMPLEMENTS]->(i:Issue) WHERE i.priority = 'critical' RETURN path, length(path) AS hops");
+
+    expect(result.count).toBe(1);
+    expect(result.rows[0].path.nodes.map(n => n.id)).toEqual(['swarm', 'a1', 't1', 'i1']);
+    expect(result.rows[0].hops).toBe(3);
+  });
+
+  test('should support inline properties, parameters, IN and LIMIT', () => {
+    expect(run('MATCH (a:Agent {status: $status}) RETURN a.id', { status: 'busy' }).rows).toEqual([{ 'a.id': 'a2' }]);
+    expect(run("MATCH (t:Task) WHERE t.priority IN ['high', 'low'] RETURN t.id ORDER BY t.id LIMIT 1").rows)
+      .toEqual([{ 't.id': 't1' }]);
+  });
+
+  test('should treat comparisons with missing properties as false', () => {
+    expect(run('MATCH (t:Task) WHERE t.priority = \'high\' OR t.missing > 3 RETURN t.id').rows).toEqual([{ 't.id': 't1' }]);
+    expect(run('MATCH (t:Task) WHERE t.priority IS NULL RETURN t.id').rows).toEqual([{ 't.id': 't3' }]);
+  });
+
+  test('should return DISTINCT rows', () => {
+    expect(run('MATCH (a:Agent)-[:EXECUTES]->(:Task) RETURN DISTINCT a.id ORDER BY a.id').rows)
+      .toEqual([{ 'a.id': 'a1' }, { 'a.id': 'a2' }]);
+  });
+
+  test('should run every named query from the schema', () => {
+    const { queries } = require('../../swarm-vis-schema.json').schema;
+
+    const bottlenecks = run(queries.bottlenecks);
+    expect(bottlenecks.rows.map(row => row.t.id)).toEqual(['t2']);
+
+    const impact = run(queries.file_impact);
+    expect(impact.rows.map(row => [row.f.id, row.impact])).toEqual([['readme.md', 2], ['notes.md', 1]]);
+
+    expect(run(queries.critical_path).count).toBe(1);
+    expect(run(queries.collaboration_network).count).toBe(2);
+  });
+
+  test('should reject unknown variables and functions', () => {
+    expect(() => run('MATCH (a:Agent) RETURN b')).toThrow('Unknown variable: b');
+    expect(() => run('MATCH (a:Agent) RETURN shout(a)')).toThrow('Unknown function: shout()');
+  });
+
+  test('should cap runaway matches', () => {
+    engine = new QueryEngine(graph, { maxRows: 5 });
+
+    expect(() => run('MATCH (a), (b) RETURN a, b')).toThrow('more than 5 rows');
+  });
+});
+
+describe('SwarmVisualizationServer query API', () => {
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    server = new SwarmVisualizationServer(0);
+    await server.start();
+    baseUrl = `http://localhost:${server.server.address().port}`;
+    server.emit('swarm:created', TestUtils.generateSwarmData());
+    server.emit('task:created', TestUtils.generateTaskData());
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('POST /api/query should run a query with parameters', async () => {
+    const res = await fetch(`${baseUrl}/api/query`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query: 'MATCH (t:Task) WHERE t.priority = $priority RETURN t.id', params: { priority: 'medium' } })
+    });
+    const body = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(body.rows).toEqual([{ 't.id': 'test_task_789' }]);
+  });
+
+  test('POST /api/query should answer syntax errors with 400', async () => {
+    const res = await fetch(`${baseUrl}/api/query`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query: 'MATCH (t:Task' })
+    });
+    const body = await res.json();
+
+    expect(res.status).toBe(400);
+    expect(body.position).toBe(13);
+  });
+
+  test('GET /api/queries/:name should run a named schema query', async () => {
+    const res = await fetch(`${baseUrl}/api/queries/bottlenecks`);
+    const body = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(body.columns).toEqual(['a', 't']);
+  });
+
+  test('GET /api/queries/:name should 404 for unknown names', async () => {
+    const res = await fetch(`${baseUrl}/api/queries/nope`);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * TDD Tests for sequenced broadcasts and reconnect resume
+ */
+
+const WebSocket = require('ws');
+const ReplayBuffer = require('../../src/replay-buffer');
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+
+describe('ReplayBuffer', () => {
+  const entry = (seq) => ({ seq, message: `m${seq}` });
+
+  test('should return entries after the given sequence number', () => {
+    const buffer = new ReplayBuffer(10);
+    [1, 2, 3, 4].forEach(seq => buffer.push(entry(seq)));
+
+    expect(buffer.since(2).map(e => e.seq)).toEqual([3, 4]);
+    expect(buffer.since(4)).toEqual([]);
+  });
+
+  test('should report a rollover once the missed entries are evicted', () => {
+    const buffer = new ReplayBuffer(2);
+    [1, 2, 3, 4].forEach(seq => buffer.push(entry(seq)));
+
+    expect(buffer.since(2).map(e => e.seq)).toEqual([3, 4]);
+    expect(buffer.since(1)).toBeNull();
+  });
+
+  test('should not replay for a sequence number it has never issued', () => {
+    const buffer = new ReplayBuffer(10);
+    buffer.push(entry(1));
+
+    expect(buffer.since(5)).toBeNull();
+  });
+});
+
+describe('SwarmVisualizationServer resume protocol', () => {
+  let server;
+  let wsUrl;
+  const sockets = [];
+
+  const connect = (query = '') => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${wsUrl}${query}`);
+    const messages = [];
+    ws.on('message', raw => messages.push(...TestUtils.unframe(raw)));
+    ws.on('open', () => resolve({ ws, messages }));
+    ws.on('error', reject);
+    sockets.push(ws);
+  });
+
+  const waitFor = async (messages, predicate) => {
+    for (let i = 0; i < 100; i++) {
+      const found = messages.find(predicate);
+      if (found) return found;
+      await TestUtils.delay(10);
+    }
+    throw new Error('Timed out waiting for message');
+  };
+
+  beforeEach(async () => {
+    server = new SwarmVisualizationServer(0, { replayBufferSize: 3 });
+    await server.start();
+    wsUrl = `ws://localhost:${server.server.address().port}`;
+  });
+
+  afterEach(async () => {
+    sockets.splice(0).forEach(ws => ws.terminate());
+    await server.stop();
+  });
+
+  test('should number every broadcast', () => {
+    server.broadcast('test:one', {});
+    server.broadcast('test:two', {});
+    server.broadcaster.flush();
+
+    expect(server.replayBuffer.since(server.broadcastSeq - 2).map(e => e.type)).toEqual(['test:one', 'test:two']);
+  });
+
+  test('should include seq and epoch in the initial dump', async () => {
+    server.broadcast('test:one', {});
+    const { messages } = await connect();
+
+    const initial = await waitFor(messages, m => m.type === 'initial');
+    expect(initial.seq).toBe(server.broadcastSeq);
+    expect(initial.epoch).toBe(server.epoch);
+  });
+
+  test('should replay only the missed deltas on resume', async () => {
+    const lastSeq = server.broadcastSeq;
+    server.broadcast('test:missed', { n: 1 });
+    server.broadcast('test:missed', { n: 2 });
+
+    const { ws, messages } = await connect('?resume=1');
+    ws.send(JSON.stringify({ type: 'resume', lastSeq, epoch: server.epoch }));
+
+    await waitFor(messages, m => m.type === 'test:missed' && m.data.n === 2);
+    expect(messages.map(m => m.type)).toEqual(['resume:ok', 'test:missed', 'test:missed']);
+    expect(messages.slice(1).map(m => m.seq)).toEqual([lastSeq + 1, lastSeq + 2]);
+  });
+
+  test('should hold live broadcasts until the resume is answered', async () => {
+    const lastSeq = server.broadcastSeq;
+    const { ws, messages } = await connect('?resume=1');
+
+    server.broadcast('test:during-gap', {});
+    await TestUtils.delay(20);
+    expect(messages).toEqual([]);
+
+    ws.send(JSON.stringify({ type: 'resume', lastSeq, epoch: server.epoch }));
+    await waitFor(messages, m => m.type === 'test:during-gap');
+    expect(messages.map(m => m.type)).toEqual(['resume:ok', 'test:during-gap']);
+  });
+
+  test('should fall back to a full resync when the buffer has rolled over', async () => {
+    const lastSeq = server.broadcastSeq;
+    for (let i = 0; i < 5; i++) server.broadcast('test:missed', { n: i });
+
+    const { ws, messages } = await connect('?resume=1');
+    ws.send(JSON.stringify({ type: 'resume', lastSeq, epoch: server.epoch }));
+
+    const initial = await waitFor(messages, m => m.type === 'initial');
+    expect(initial.resync).toBe(true);
+    expect(initial.seq).toBe(server.broadcastSeq);
+  });
+
+  test('should resync a client from a previous server epoch', async () => {
+    const { ws, messages } = await connect('?resume=1');
+    ws.send(JSON.stringify({ type: 'resume', lastSeq: server.broadcastSeq, epoch: 'stale' }));
+
+    const initial = await waitFor(messages, m => m.type === 'initial');
+    expect(initial.resync).toBe(true);
+  });
+});
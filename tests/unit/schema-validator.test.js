@@ -0,0 +1,134 @@
+/**
+ * TDD Tests for schema-driven validation
+ */
+
+const path = require('path');
+const SchemaValidator = require('../../src/schema-validator');
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+
+const SCHEMA_PATH = path.join(__dirname, '../../swarm-vis-schema.json');
+
+describe('SchemaValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = SchemaValidator.fromFile(SCHEMA_PATH);
+  });
+
+  test('should accept nodes that match the schema', () => {
+    expect(validator.validateNode('Agent', TestUtils.generateAgentData())).toEqual([]);
+    expect(validator.validateNode('Task', TestUtils.generateTaskData())).toEqual([]);
+  });
+
+  test('should flag enum and type violations', () => {
+    const errors = validator.validateNode('Agent', { status: 'actve', capabilities: 'all' });
+
+    expect(errors).toEqual([
+      'status must be one of active, idle, busy, failed (got "actve")',
+      'capabilities must be an array'
+    ]);
+  });
+
+  test('should not validate undeclared node types or properties', () => {
+    expect(validator.validateNode('GlobalAgent', { status: 'anything' })).toEqual([]);
+    expect(validator.validateNode('Task', { complexity: 42 })).toEqual([]);
+  });
+
+  test('should check relationship endpoints', () => {
+    expect(validator.validateEdge('MODIFIES', 'Agent', 'Issue')).toEqual([
+      'MODIFIES must start at Task, not Agent',
+      'MODIFIES must end at File, not Issue'
+    ]);
+    expect(validator.validateEdge('MODIFIES', 'Task', 'File', { operation: 'update' })).toEqual([]);
+  });
+
+  test('should skip endpoints the schema does not know', () => {
+    expect(validator.validateEdge('EXECUTES', 'GlobalAgent', 'Task')).toEqual([]);
+  });
+});
+
+describe('SwarmVisualizationServer schema validation', () => {
+  let server;
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('should record and broadcast violations in warn mode', () => {
+    server = new SwarmVisualizationServer(0);
+    const client = TestUtils.mockWebSocket();
+    server.clients.add(client);
+
+    const node = server.addNode('Agent', TestUtils.generateAgentData({ status: 'sleepy' }));
+
+    server.broadcaster.flush();
+
+    expect(node.status).toBe('sleepy');
+    expect(server.validationErrors).toHaveLength(1);
+    expect(server.validationErrors[0]).toMatchObject({ kind: 'node', type: 'Agent', rejected: false });
+    expect(client.send).toHaveBeenCalledWith(expect.stringContaining('"type":"validation:error"'));
+  });
+
+  test('should reject violating edges in strict mode', () => {
+    server = new SwarmVisualizationServer(0, { validationMode: 'strict' });
+    server.addNode('Agent', { id: 'agent_1', status: 'active' });
+    server.addNode('Issue', { id: 'issue_1', status: 'open' });
+
+    expect(() => server.addEdge('MODIFIES', 'agent_1', 'issue_1')).toThrow('violates the schema');
+    expect(server.graph.hasEdge('agent_1', 'issue_1')).toBe(false);
+  });
+
+  test('should report strict-mode rejections from ingestion', () => {
+    server = new SwarmVisualizationServer(0, { validationMode: 'strict' });
+
+    const result = server.ingestClaudeFlowEvent({
+      type: 'task_orchestrate',
+      data: TestUtils.generateTaskData({ priority: 'urgent' })
+    });
+
+    expect(result.accepted).toBe(false);
+    expect(result.errors[0]).toMatch('priority must be one of');
+    expect(server.graph.hasNode('test_task_789')).toBe(false);
+  });
+
+  test('should leave the graph untouched when part of an event is rejected', () => {
+    server = new SwarmVisualizationServer(0, { validationMode: 'strict', agents: { simulate: false } });
+    server.addNode('Issue', { id: 'issue_1', status: 'open' });
+
+    const result = server.ingestClaudeFlowEvent({
+      type: 'agent_spawn',
+      data: TestUtils.generateAgentData({ swarmId: 'issue_1' })
+    });
+
+    expect(result.accepted).toBe(false);
+    expect(result.errors).toEqual(['ORCHESTRATES must start at Swarm, not Issue']);
+    expect(server.graph.hasNode('test_agent_456')).toBe(false);
+    expect(server.graph.edgeCount).toBe(0);
+  });
+
+  test('should skip validation when off', () => {
+    server = new SwarmVisualizationServer(0, { validationMode: 'off' });
+
+    server.addNode('Agent', { id: 'agent_1', status: 'sleepy' });
+
+    expect(server.validationErrors).toEqual([]);
+  });
+
+  test('should refuse an unknown validation mode', () => {
+    expect(() => new SwarmVisualizationServer(0, { validationMode: 'lenient' })).toThrow('Invalid validation mode');
+    server = new SwarmVisualizationServer(0);
+  });
+
+  test('GET /api/validation/errors should list recent violations', async () => {
+    server = new SwarmVisualizationServer(0);
+    await server.start();
+    server.addNode('Task', { id: 'task_1', status: 'stalled' });
+
+    const res = await fetch(`http://localhost:${server.server.address().port}/api/validation/errors`);
+    const body = await res.json();
+
+    expect(body.mode).toBe('warn');
+    expect(body.total).toBeGreaterThanOrEqual(1);
+    expect(body.errors.find(e => e.id === 'task_1').errors[0]).toMatch('status must be one of');
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * TDD Tests for per-client subscriptions and server-side filtering
+ */
+
+const WebSocket = require('ws');
+const GraphStore = require('../../src/graph-store');
+const Subscription = require('../../src/subscription');
+const SwarmVisualizationServer = require('../../swarm-vis-server');
+
+describe('Subscription', () => {
+  let graph;
+
+  const edge = (type, from, to) => ({ id: `${from}_${type}_${to}`, type, from, to });
+
+  beforeEach(() => {
+    graph = new GraphStore();
+    graph.addNode({ id: 'swarm_1', type: 'Swarm' });
+    graph.addNode({ id: 'swarm_2', type: 'Swarm' });
+    graph.addNode({ id: 'agent_1', type: 'Agent', status: 'active', swarmId: 'swarm_1' });
+    graph.addNode({ id: 'agent_2', type: 'Agent', status: 'idle', swarmId: 'swarm_2' });
+    graph.addNode({ id: 'task_1', type: 'Task', status: 'executing' });
+    graph.addNode({ id: 'notes.md', type: 'File', workspace: 'ws_a' });
+    graph.addEdge(edge('ORCHESTRATES', 'swarm_1', 'agent_1'));
+    graph.addEdge(edge('ORCHESTRATES', 'swarm_2', 'agent_2'));
+    graph.addEdge(edge('EXECUTES', 'agent_1', 'task_1'));
+    graph.addEdge(edge('MODIFIES', 'task_1', 'notes.md'));
+  });
+
+  test('should reject unknown filters and malformed values', () => {
+    expect(() => new Subscription({ colour: 'red' })).toThrow('Unknown subscription filter');
+    expect(() => new Subscription({ nodeTypes: [1] })).toThrow('list of strings');
+    expect(() => new Subscription({ swarmId: ['a'] })).toThrow('must be a string');
+  });
+
+  test('should accept a single value for list filters', () => {
+    expect(new Subscription({ nodeTypes: 'Agent' }).filters).toEqual({ nodeTypes: ['Agent'] });
+  });
+
+  test('should parse filters from query parameters', () => {
+    const params = new URLSearchParams('nodeTypes=Agent,Task&swarmId=swarm_1&resume=1');
+
+    expect(Subscription.fromQuery(params)).toEqual({ nodeTypes: ['Agent', 'Task'], swarmId: 'swarm_1' });
+  });
+
+  test('should follow the orchestration chain for swarm membership', () => {
+    const subscription = new Subscription({ swarmId: 'swarm_1' });
+    const ids = subscription.filterGraph(graph).nodes.map(n => n.id).sort();
+
+    expect(ids).toEqual(['agent_1', 'notes.md', 'swarm_1', 'task_1']);
+  });
+
+  test('should only keep edges whose endpoints are both in the slice', () => {
+    const trimmed = new Subscription({ nodeTypes: ['Agent', 'Task'] }).filterGraph(graph);
+
+    expect(trimmed.edges.map(e => e.id)).toEqual(['agent_1_EXECUTES_task_1']);
+  });
+
+  test('should filter by status without dropping nodes that have none', () => {
+    const ids = new Subscription({ status: ['active'] }).filterGraph(graph).nodes.map(n => n.id);
+
+    expect(ids).toContain('agent_1');
+    expect(ids).toContain('swarm_1');
+    expect(ids).not.toContain('agent_2');
+  });
+
+  test('should match nodes in a workspace', () => {
+    const subscription = new Subscription({ workspace: 'ws_a' });
+
+    expect(subscription.matchesNode(graph.getNode('notes.md'), graph)).toBe(true);
+    expect(subscription.matchesNode(graph.getNode('agent_1'), graph)).toBe(false);
+  });
+
+  test('should resolve broadcasts to the entities they concern', () => {
+    const subscription = new Subscription({ swarmId: 'swarm_2' });
+    const progress = Subscription.subjectsOf('node:updated', { taskId: 'task_1', progress: 50 }, graph);
+    const globalUpdate = Subscription.subjectsOf('global-agents-update', { agents: [] }, graph);
+
+    expect(subscription.matches(progress, graph)).toBe(false);
+    expect(subscription.matches(globalUpdate, graph)).toBe(false);
+    expect(subscription.matches(Subscription.subjectsOf('gc:cleanup', { removedNodes: 1 }, graph), graph)).toBe(true);
+  });
+});
+
+describe('SwarmVisualizationServer subscriptions', () => {
+  let server;
+  let wsUrl;
+  const sockets = [];
+
+  const connect = (query = '') => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${wsUrl}${query}`);
+    const messages = [];
+    ws.on('message', raw => messages.push(...TestUtils.unframe(raw)));
+    ws.on('open', () => resolve({ ws, messages }));
+    ws.on('error', reject);
+    sockets.push(ws);
+  });
+
+  const waitFor = async (messages, predicate) => {
+    for (let i = 0; i < 100; i++) {
+      const found = messages.find(predicate);
+      if (found) return found;
+      await TestUtils.delay(10);
+    }
+    throw new Error('Timed out waiting for message');
+  };
+
+  beforeEach(async () => {
+    server = new SwarmVisualizationServer(0);
+    await server.start();
+    wsUrl = `ws://localhost:${server.server.address().port}`;
+
+    server.emit('swarm:created', TestUtils.generateSwarmData({ id: 'swarm_a' }));
+    server.emit('swarm:created', TestUtils.generateSwarmData({ id: 'swarm_b' }));
+    server.emit('agent:spawned', TestUtils.generateAgentData({ id: 'agent_a', swarmId: 'swarm_a' }));
+    server.emit('agent:spawned', TestUtils.generateAgentData({ id: 'agent_b', swarmId: 'swarm_b' }));
+  });
+
+  afterEach(async () => {
+    sockets.splice(0).forEach(ws => ws.terminate());
+    await server.stop();
+  });
+
+  test('should trim the initial payload to filters given on connect', async () => {
+    const { messages } = await connect('?swarmId=swarm_a');
+
+    const initial = await waitFor(messages, m => m.type === 'initial');
+    expect(initial.data.nodes.map(n => n.id).sort()).toEqual(['agent_a', 'swarm_a']);
+    expect(initial.subscription).toEqual({ swarmId: 'swarm_a' });
+  });
+
+  test('should resend a trimmed initial after a subscribe message', async () => {
+    const { ws, messages } = await connect();
+    await waitFor(messages, m => m.type === 'initial');
+
+    ws.send(JSON.stringify({ type: 'subscribe', filters: { nodeTypes: ['Swarm'] } }));
+
+    await waitFor(messages, m => m.type === 'subscribed');
+    const initial = await waitFor(messages, m => m.type === 'initial' && m.subscription.nodeTypes);
+    expect(initial.data.nodes.every(n => n.type === 'Swarm')).toBe(true);
+  });
+
+  test('should reject invalid subscribe filters', async () => {
+    const { ws, messages } = await connect();
+    ws.send(JSON.stringify({ type: 'subscribe', filters: { planet: 'mars' } }));
+
+    const error = await waitFor(messages, m => m.type === 'error');
+    expect(error.data.message).toMatch('Unknown subscription filter');
+  });
+
+  test('should reject subscribe filters that are not an object', async () => {
+    const { ws, messages } = await connect();
+    await waitFor(messages, m => m.type === 'initial');
+
+    ['swarm_a', ['nodeTypes'], null].forEach(filters => ws.send(JSON.stringify({ type: 'subscribe', filters })));
+    ws.send(JSON.stringify({ type: 'unsubscribe', filters: 'swarmId' }));
+
+    await waitFor(messages, () => messages.filter(m => m.type === 'error').length === 4);
+    expect(messages.filter(m => m.type === 'error').map(m => m.data.message)).toEqual([
+      'Subscription filters must be an object',
+      'Subscription filters must be an object',
+      'Subscription filters must be an object',
+      'Unsubscribe filters must be a list of filter names'
+    ]);
+    expect(messages.some(m => m.type === 'subscribed')).toBe(false);
+  });
+
+  test('should only deliver broadcasts within each client\'s slice', async () => {
+    const swarmA = await connect('?swarmId=swarm_a');
+    const everything = await connect();
+    await waitFor(swarmA.messages, m => m.type === 'initial');
+    await waitFor(everything.messages, m => m.type === 'initial');
+
+    server.emit('task:created', TestUtils.generateTaskData({ id: 'task_b' }));
+    server.emit('task:assigned', { agentId: 'agent_b', taskId: 'task_b' });
+    server.emit('task:progress', { taskId: 'task_b', progress: 40 });
+    server.broadcast('gc:cleanup', { removedNodes: 0, removedEdges: 0 });
+
+    await waitFor(everything.messages, m => m.type === 'gc:cleanup');
+    await waitFor(swarmA.messages, m => m.type === 'gc:cleanup');
+    expect(everything.messages.some(m => m.type === 'node:updated')).toBe(true);
+    expect(swarmA.messages.map(m => m.type)).toEqual(['initial', 'gc:cleanup']);
+  });
+
+  test('should drop filters on unsubscribe', async () => {
+    const { ws, messages } = await connect('?nodeTypes=Swarm');
+    await waitFor(messages, m => m.type === 'initial');
+
+    ws.send(JSON.stringify({ type: 'unsubscribe' }));
+
+    const initial = await waitFor(messages, m => m.type === 'initial' && Object.keys(m.subscription).length === 0);
+    expect(initial.data.nodes.map(n => n.id)).toContain('agent_a');
+  });
+});
@@ -279,6 +279,7 @@ describe('SwarmVisualizationServer', () => {
       server.clients.add(mockClient2);
 
       server.broadcast('test_type', { test: 'data' });
+      server.broadcaster.flush();
 
       expect(mockClient1.send).toHaveBeenCalledWith(
         expect.stringContaining('"type":"test_type"')
@@ -296,10 +297,61 @@ describe('SwarmVisualizationServer', () => {
       server.clients.add(mockClient2);
 
       server.broadcast('test_type', { test: 'data' });
+      server.broadcaster.flush();
 
       expect(mockClient1.send).toHaveBeenCalled();
       expect(mockClient2.send).not.toHaveBeenCalled();
     });
+
+    test('should broadcast the ids of nodes and edges removed by GC', () => {
+      const mockClient = TestUtils.mockWebSocket();
+      server.clients.add(mockClient);
+      server.addNode('Agent', TestUtils.generateAgentData());
+      server.addNode('Task', TestUtils.generateTaskData());
+      server.addEdge('EXECUTES', 'test_agent_456', 'test_task_789');
+      server.graph.updateNode('test_task_789', { timestamp: new Date(0) });
+      server.gcPolicy.update({ maxNodes: 1 });
+
+      server.runGarbageCollection();
+      server.broadcaster.flush();
+
+      const sent = TestUtils.sentMessages(mockClient);
+      expect(sent.map(message => message.type)).toEqual(['edge:removed', 'node:removed', 'gc:cleanup']);
+      expect(sent[0].data).toEqual({ ids: ['test_agent_456_EXECUTES_test_task_789'], reason: 'gc', archived: false });
+      expect(sent[1].data.ids).toEqual(['test_task_789']);
+    });
+
+    test('should broadcast assigned task edges with their id', () => {
+      const mockClient = TestUtils.mockWebSocket();
+      server.clients.add(mockClient);
+
+      server.emit('task:assigned', { agentId: 'test_agent_456', taskId: 'test_task_789' });
+      server.broadcaster.flush();
+
+      expect(TestUtils.sentMessages(mockClient)[0]).toMatchObject({
+        type: 'edge:added',
+        data: { id: 'test_agent_456_EXECUTES_test_task_789', type: 'EXECUTES', from: 'test_agent_456', to: 'test_task_789' }
+      });
+    });
+
+    test('should broadcast the ids of deleted edges and cleared graphs', () => {
+      const mockClient = TestUtils.mockWebSocket();
+      server.clients.add(mockClient);
+      server.addNode('Agent', TestUtils.generateAgentData());
+      server.addNode('Task', TestUtils.generateTaskData());
+      server.addEdge('EXECUTES', 'test_agent_456', 'test_task_789');
+
+      expect(server.removeEdge('test_agent_456_EXECUTES_test_task_789')).toBe(true);
+      expect(server.removeEdge('test_agent_456_EXECUTES_test_task_789')).toBe(false);
+      server.clearGraph('test');
+      server.broadcaster.flush();
+
+      expect(TestUtils.sentMessages(mockClient).map(({ type, data }) => ({ type, data }))).toEqual([
+        { type: 'edge:removed', data: { ids: ['test_agent_456_EXECUTES_test_task_789'], reason: 'deleted' } },
+        { type: 'node:removed', data: { ids: ['test_agent_456', 'test_task_789'], reason: 'cleared' } },
+        { type: 'graph:cleared', data: { reason: 'test' } }
+      ]);
+    });
   });
 
   describe('Graph Analytics - TDD', () => {